@@ -1,8 +1,24 @@
 'use strict'
 
-const clients = require('restify-clients')
-const crypto = require('crypto')
 const Q = require('q')
+const CandleBuilder = require('./lib/candles')
+const credentials = require('./lib/credentials')
+const decimal = require('./lib/decimal')
+const errors = require('./lib/errors')
+const marketOrder = require('./lib/market-order')
+const MarketMetadata = require('./lib/metadata')
+const models = require('./lib/models')
+const NonceGenerator = require('./lib/nonce')
+const OrderBook = require('./lib/order-book')
+const paginate = require('./lib/pagination')
+const PaperExchange = require('./lib/paper')
+const settleAll = require('./lib/batch')
+const RateLimiter = require('./lib/rate-limiter')
+const RestifyTransport = require('./lib/transport')
+const RetryPolicy = require('./lib/retry')
+const RiskControls = require('./lib/risk')
+const sign = require('./lib/signature')
+const WithdrawalGuard = require('./lib/withdrawal-guard')
 
 /**
  * A Node.js client for the KuCoin API.
@@ -10,8 +26,14 @@ const Q = require('q')
  * @version 0.0.2
  * @param {string} apiKey Your KuCoin API Key.
  * @param {string} apiSecret Your KuCoin API Secret.
+ * @param {Object} [options] Client options, see the constructor.
  * @example
  * let kc = new Kucoin();
+ * @example <caption>Point the client at a local server:</caption>
+ * let kc = new Kucoin(apiKey, apiSecret, {
+ *   baseUrl: 'http://localhost:8080',
+ *   timeout: 5000
+ * })
  */
 class Kucoin {
 
@@ -19,14 +41,61 @@ class Kucoin {
    * You'll need to provide your KuCoin API key and secret.
    * @param {string} apiKey Your KuCoin API Key.
    * @param {string} apiSecret Your KuCoin API Secret.
+   * @param {Object} [options] Client options.
+   * @param {string} [options.baseUrl='https://api.kucoin.com'] Base URL of the API.
+   * @param {string} [options.pathPrefix='/v1'] API version prefix for every endpoint.
+   * @param {number} [options.timeout] Request timeout in milliseconds.
+   * @param {Object} [options.agent] A custom `http.Agent` to send requests through.
+   * @param {boolean} [options.keepAlive=false] Reuse sockets between requests.
+   * @param {string} [options.userAgent] Value of the User-Agent header.
+   * @param {Object} [options.transport] A transport to use instead of the default RestifyTransport, the other connection options are then ignored.
+   * @param {Object|RetryPolicy|boolean} [options.retry] RetryPolicy options or instance, `false` disables retries. By default failed GET requests are tried up to 3 times.
+   * @param {Object} [options.rateLimit] RateLimiter options, to limit the request rate of this client.
+   * @param {RateLimiter} [options.rateLimiter] A RateLimiter instance, e.g. one shared between clients using the same key.
+   * @param {Object} [options.nonce] A nonce provider to use instead of the default NonceGenerator.
+   * @param {boolean} [options.normalize=false] Resolve public methods with normalised models instead of the raw API response, which stays reachable as their `raw` property.
+   * @param {string} [options.decimals='number'] How normalised models represent prices and amounts, either 'number', 'string' or 'bignumber'.
+   * @param {string|boolean} [options.orderPrecision=false] Check order prices and amounts against the pair's precision before sending them, either 'round' to round them or 'strict' to reject orders with too many decimal places.
+   * @param {Object|MarketMetadata|boolean} [options.metadata=false] Validate orders, withdrawals and order book requests against cached trading pairs and coins before sending them. Either `true`, MarketMetadata options or an instance.
+   * @param {number} [options.maxSlippage=0.01] Default slippage cap of `marketBuy` and `marketSell`, as a fraction of the best price.
+   * @param {Object|PaperExchange|boolean} [options.paper=false] Paper trade: simulate orders, withdrawals and the balances they affect instead of sending them. Either `true`, PaperExchange options or an instance.
+   * @param {Object|Function} [options.credentials] A credential provider to use instead of `apiKey` and `apiSecret`, e.g. EnvCredentials or FileCredentials, or a function returning `{apiKey, apiSecret}` or a Promise for it. It is asked for every signed request.
+   * @param {boolean} [options.readOnly=false] Refuse requests that change the account, i.e. orders, withdrawals and settings, with a ReadOnlyError instead of sending them.
+   * @param {Object|RiskControls} [options.risk] Check every order against value, open order, price band and position limits before placing it, with a kill switch as `risk.halt()`. Either RiskControls options or an instance.
+   * @param {Object|WithdrawalGuard} [options.withdrawalGuard] Check every withdrawal against an address allowlist, limits, a balance reserve and an approval hook before requesting it. Either WithdrawalGuard options or an instance.
    */
-  constructor(apiKey, apiSecret) {
-    this._apiKey = apiKey
-    this._apiSecret = apiSecret
-    this.client = clients.createJsonClient({
-      url: 'https://api.kucoin.com'
+  constructor(apiKey, apiSecret, options = {}) {
+    this.credentials = credentials.provider(options.credentials, apiKey, apiSecret)
+    this.readOnly = !!options.readOnly
+    this.transport = options.transport || new RestifyTransport({
+      baseUrl: options.baseUrl,
+      timeout: options.timeout,
+      agent: options.agent,
+      keepAlive: options.keepAlive,
+      userAgent: options.userAgent
     })
-    this.path_prefix = '/v1'
+    this.path_prefix = (options.pathPrefix !== undefined ? options.pathPrefix : '/v1')
+    if (options.retry === false) {
+      this.retryPolicy = null
+    } else {
+      this.retryPolicy = (options.retry instanceof RetryPolicy ? options.retry : new RetryPolicy(options.retry))
+    }
+    this.rateLimiter = options.rateLimiter || (options.rateLimit ? new RateLimiter(options.rateLimit) : null)
+    this.nonceProvider = options.nonce || new NonceGenerator()
+    this.normalizeResponses = !!options.normalize
+    this.decimals = options.decimals || 'number'
+    this.orderPrecision = options.orderPrecision || false
+    this.metadata = (options.metadata instanceof MarketMetadata ? options.metadata : new MarketMetadata(this, (typeof options.metadata === 'object' ? options.metadata : {})))
+    this.validateRequests = !!options.metadata
+    this.maxSlippage = (options.maxSlippage !== undefined ? options.maxSlippage : 0.01)
+    if (options.paper instanceof PaperExchange) {
+      this.paper = options.paper
+    } else {
+      this.paper = (options.paper ? new PaperExchange(this, (typeof options.paper === 'object' ? options.paper : {})) : null)
+    }
+    this.risk = (options.risk instanceof RiskControls ? options.risk : (options.risk ? new RiskControls(this, options.risk) : null))
+    this.withdrawalGuard = (options.withdrawalGuard instanceof WithdrawalGuard ? options.withdrawalGuard : (options.withdrawalGuard ? new WithdrawalGuard(this, options.withdrawalGuard) : null))
+    this.timeOffset = 0
   }
 
   /**
@@ -36,80 +105,138 @@ class Kucoin {
    * @param {string} endpoint API endpoint URL suffix.
    * @param {boolean} [signed=false] Whether this endpoint requires authentiation.
    * @param {Object} params Any parameters for the request.
-   * @return {Promise} An object containing the API response.
+   * @return {Promise} An object containing the API response, rejects with a KucoinError.
    */
   rawRequest(method, endpoint, signed = false, params) {
-    let deferred = Q.defer()
     let path = this.path_prefix + endpoint
-    let nonce = new Date().getTime()
     let queryString
     if (params !== undefined) {
       queryString = [];
       for (let key in params) {
-        queryString.push(key + '=' + params[key])
+        queryString.push(key + '=' + (decimal.isDecimal(params[key]) ? decimal.format(params[key]) : params[key]))
       }
       queryString.sort()
       queryString = queryString.join('&')
     } else {
       queryString = ''
     }
-    let options = {
-      path: path + (queryString ? '?' + queryString : ''),
-      headers: {}
-    }
-    if (signed) {
-      options.headers = {
-        'Content-Type': 'application/json',
-        'KC-API-KEY': this._apiKey,
-        'KC-API-NONCE': nonce,
-        'KC-API-SIGNATURE': this.getSignature(path, queryString, nonce)
-      }
-    } else {
-      options.headers = {
-        'Content-Type': 'application/json'
-      }
+    let attempt = (number) => {
+      return this.sendRequest(method, path, queryString, signed)
+        .catch((err) => {
+          err = errors.fromResponse(err, {
+            method: method,
+            endpoint: endpoint,
+            params: params
+          })
+          if (err instanceof errors.RateLimitError && this.rateLimiter) {
+            this.rateLimiter.pause(this.retryPolicy ? this.retryPolicy.delay(number, err) : 1000)
+          }
+          if (!this.retryPolicy || !this.retryPolicy.shouldRetry(method, err, number)) {
+            throw err
+          }
+          return Q.delay(this.retryPolicy.delay(number, err))
+            .then(() => attempt(number + 1))
+        })
     }
-    if (method == 'post') {
-      this.client.post(options, {}, (err, req, res, obj) => {
-        if (err || !obj.success) {
-          if (!err && !obj.success) {
-            err = obj
+    return attempt(1)
+  }
+
+  /**
+   * Get a nonce and the credentials to sign a request with.
+   * A provider that fails rejects with an AuthenticationError, so the request is not retried as if it had failed on the network.
+   * @access private
+   * @return {Promise} Resolves with `[nonce, {apiKey, apiSecret}]`.
+   */
+  signing() {
+    return Q.fcall(() => Q.all([this.nonceProvider.next(), this.credentials.get()]))
+      .catch((err) => {
+        if (err instanceof errors.AuthenticationError) {
+          throw err
+        }
+        throw new errors.AuthenticationError('Cannot sign the request: ' + ((err && err.message) || err), {
+          cause: (err instanceof Error ? err : undefined)
+        })
+      })
+  }
+
+  /**
+   * Send a single attempt of a request once the rate limiter allows it, the nonce and signature are generated per attempt.
+   * @access private
+   * @param {string} method HTTP request method, either 'get' or 'post'.
+   * @param {string} path API endpoint path including the version prefix.
+   * @param {string} queryString A sorted querystring of parameters for the request.
+   * @param {boolean} signed Whether this endpoint requires authentiation.
+   * @return {Promise} An object containing the API response.
+   */
+  sendRequest(method, path, queryString, signed) {
+    let ready = (this.rateLimiter ? this.rateLimiter.acquire() : Q())
+    return ready
+      .then(() => (signed ? this.signing() : null))
+      .then((signing) => {
+        let options = {
+          path: path + (queryString ? '?' + queryString : ''),
+          headers: {}
+        }
+        if (signed) {
+          options.headers = {
+            'Content-Type': 'application/json',
+            'KC-API-KEY': signing[1].apiKey,
+            'KC-API-NONCE': signing[0],
+            'KC-API-SIGNATURE': this.getSignature(signing[1].apiSecret, path, queryString, signing[0])
           }
-          deferred.reject(err)
         } else {
-          deferred.resolve(obj)
+          options.headers = {
+            'Content-Type': 'application/json'
+          }
         }
+        return this.transport.request(method, options)
       })
-    } else {
-      this.client.get(options, (err, req, res, obj) => {
-        if (err || !obj.success) {
-          if (!err && !obj.success) {
-            err = obj
+      .then((res) => {
+        if (!res.body || !res.body.success) {
+          throw {
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: res.body
           }
-          deferred.reject(err)
-        } else {
-          deferred.resolve(obj)
         }
+        return res.body
+      })
+  }
+
+  /**
+   * Measure how far the local clock is from the KuCoin server clock and correct nonces for it.
+   * The offset is taken between the server's response timestamp and the midpoint of the request.
+   * @access public
+   * @return {Promise} Resolves with the offset in milliseconds, positive if the server clock is ahead.
+   * @example
+   * kc.syncTime().then((offset) => {
+   *   console.log('Server clock is ' + offset + 'ms ahead')
+   * })
+   */
+  syncTime() {
+    let sent = Date.now()
+    return this.doRequest('get', '/open/lang-list')
+      .then((result) => {
+        let received = Date.now()
+        this.timeOffset = Math.round(result.timestamp - (sent + received) / 2) || 0
+        if (typeof this.nonceProvider.setOffset === 'function') {
+          this.nonceProvider.setOffset(this.timeOffset)
+        }
+        return this.timeOffset
       })
-    }
-    return deferred.promise
   }
 
   /**
    * Generate a signature to sign API requests that require authorisation.
    * @access private
+   * @param {string} apiSecret The API secret of the credentials the request is sent with.
    * @param {string} path API endpoint URL suffix.
    * @param {string} queryString A querystring of parameters for the request.
    * @param {number} nonce Number of milliseconds since the Unix epoch.
    * @return {string} A string to be used as the authorisation signature.
    */
-  getSignature(path, queryString, nonce) {
-    let strForSign = path + '/' + nonce + '/' + queryString
-    let signatureStr = new Buffer(strForSign).toString('base64')
-    let signatureResult = crypto.createHmac('sha256', this._apiSecret)
-      .update(signatureStr)
-      .digest('hex')
-    return signatureResult
+  getSignature(apiSecret, path, queryString, nonce) {
+    return sign(apiSecret, path, queryString, nonce)
   }
 
   /**
@@ -125,17 +252,90 @@ class Kucoin {
   }
 
   /**
-   * Do a signed private request.
+   * Do a signed private request, or simulate it when paper trading.
+   * Every signed POST changes the account, so none is sent by a read-only client.
    * @access private
    * @param {string} method HTTP request method, either 'get' or 'post'.
    * @param {string} endpoint API endpoint URL suffix.
    * @param {Object} params Any parameters for the request.
-   * @return {Promise} An object containing the API response.
+   * @return {Promise} An object containing the API response, rejects with a ReadOnlyError for a POST from a read-only client.
    */
   doSignedRequest(method, endpoint, params) {
+    if (this.readOnly && method === 'post') {
+      return Q.reject(new errors.ReadOnlyError('The client is read-only, ' + method.toUpperCase() + ' ' + endpoint + ' was not sent', {
+        method: method,
+        endpoint: endpoint,
+        params: params
+      }))
+    }
+    if (this.paper && this.paper.handles(method, endpoint)) {
+      return this.paper.request(method, endpoint, params)
+    }
     return this.rawRequest(method, endpoint, true, params)
   }
 
+  /**
+   * Normalise the response of a public method if the client was created with `normalize: true`.
+   * @access private
+   * @param {string} method Name of the public method.
+   * @param {Promise} request The request for the raw API response.
+   * @param {Object} [params] The parameters the method was called with.
+   * @return {Promise} The raw response, or the normalised data with the raw response as its `raw` property.
+   */
+  normalize(method, request, params) {
+    if (!this.normalizeResponses) {
+      return request
+    }
+    return request.then((response) => models.normalize(method, response, params, this.decimals))
+  }
+
+  /**
+   * Look up the number of decimal places a trading pair accepts for prices and amounts.
+   * Amounts take the `tradePrecision` of the pair's coin, prices the `pricePrecisions` option of `metadata`, as the API does not give them.
+   * @access public
+   * @param {string} pair The trading pair.
+   * @return {Promise} Resolves with `{price, amount}`, the decimal places for each or null if not known.
+   * @example
+   * kc.getPairPrecision('GAS-NEO').then(console.log)
+   *
+   * // Returns, with metadata: { pricePrecisions: { 'GAS-NEO': 6 } }:
+   *
+   * { price: 6, amount: 4 }
+   */
+  getPairPrecision(pair) {
+    return this.metadata.precision(pair)
+  }
+
+  /**
+   * Round or validate an order's price and amount against its pair's precision, as configured with `orderPrecision`.
+   * Amounts are rounded down, prices towards the better side for the order, so never above a BUY price or below a SELL price.
+   * A field whose precision is not known is sent as it is.
+   * @access private
+   * @param {Object} params The order parameters, price and amount are replaced by exactly formatted strings.
+   * @return {Promise} Resolves once the parameters are ready to send.
+   */
+  applyPrecision(params) {
+    return this.metadata.precision(params.pair).then((precision) => {
+      let fields = {
+        price: (params.type === 'SELL' ? 'up' : 'down'),
+        amount: 'down'
+      }
+      Object.keys(fields).forEach((field) => {
+        if (params[field] === undefined || precision[field] === null) {
+          return
+        }
+        if (this.orderPrecision === 'strict' && decimal.decimalPlaces(params[field]) > precision[field]) {
+          throw new errors.ValidationError('The ' + field + ' ' + decimal.format(params[field]) + ' has more than ' + precision[field] + ' decimal places for ' + params.pair, {
+            method: 'post',
+            endpoint: '/order',
+            params: params
+          })
+        }
+        params[field] = decimal.format(decimal.round(params[field], precision[field], fields[field]))
+      })
+    })
+  }
+
   /**
    * Retrieve exchange rates for coins.
    * @access public
@@ -185,7 +385,7 @@ class Kucoin {
    */
   getExchangeRates(params = {}) {
     params.coins = (params.symbols ? params.symbols.join(',') : '')
-    return this.doRequest('get', '/open/currencies', params)
+    return this.normalize('getExchangeRates', this.doRequest('get', '/open/currencies', params), params)
   }
 
   /**
@@ -206,7 +406,7 @@ class Kucoin {
    * }
    */
   getLanguages() {
-    return this.doRequest('get', '/open/lang-list')
+    return this.normalize('getLanguages', this.doRequest('get', '/open/lang-list'))
   }
 
   /**
@@ -230,7 +430,7 @@ class Kucoin {
    * }
    */
   changeLanguage(params = {}) {
-    return this.doSignedRequest('post', '/user/change-lang', params)
+    return this.normalize('changeLanguage', this.doSignedRequest('post', '/user/change-lang', params), params)
   }
 
   /**
@@ -270,7 +470,7 @@ class Kucoin {
    * }
    */
   getUserInfo() {
-    return this.doSignedRequest('get', '/user/info')
+    return this.normalize('getUserInfo', this.doSignedRequest('get', '/user/info'))
   }
 
   /**
@@ -295,7 +495,7 @@ class Kucoin {
    * }
    */
   getInviteCount() {
-    return this.doSignedRequest('get', '/referrer/descendant/count')
+    return this.normalize('getInviteCount', this.doSignedRequest('get', '/referrer/descendant/count'))
   }
 
   /**
@@ -326,7 +526,7 @@ class Kucoin {
    */
   getPromotionRewardInfo(params = {}) {
     params.coin = (params.symbol ? params.symbol : '')
-    return this.doSignedRequest('get', '/account/' + (params.symbol != undefined ? params.symbol + '/' : '') + 'promotion/info', params)
+    return this.normalize('getPromotionRewardInfo', this.doSignedRequest('get', '/account/' + (params.symbol != undefined ? params.symbol + '/' : '') + 'promotion/info', params), params)
   }
 
   /**
@@ -353,7 +553,7 @@ class Kucoin {
    */
   getPromotionRewardSummary(params = {}) {
     params.coin = (params.symbol ? params.symbol : '')
-    return this.doSignedRequest('get', '/account/' + (params.symbol != undefined ? params.symbol + '/' : '') + 'promotion/sum')
+    return this.normalize('getPromotionRewardSummary', this.doSignedRequest('get', '/account/' + (params.symbol != undefined ? params.symbol + '/' : '') + 'promotion/sum'), params)
   }
 
   /**
@@ -387,14 +587,25 @@ class Kucoin {
    * }
    */
   getDepositAddress(params = {}) {
-    return this.doSignedRequest('get', '/account/' + params.symbol + '/wallet/address')
+    return this.normalize('getDepositAddress', this.doSignedRequest('get', '/account/' + params.symbol + '/wallet/address'), params)
   }
 
   /**
-   * Create a withdrawal request for the specified coin.
+   * Run one of the `metadata` checks, if validation is enabled.
+   * @access private
+   * @param {string} check Name of the MarketMetadata method, e.g. 'validateOrder'.
+   * @param {Object} params The request parameters.
+   * @return {Promise} Resolves if the request may be sent.
+   */
+  validate(check, params) {
+    return (this.validateRequests ? this.metadata[check](params) : Q())
+  }
+
+  /**
+   * Create a withdrawal request for the specified coin, once the `withdrawalGuard` allows it if there is one.
    * @access public
    * @param {{symbol: string, amount: number, address: string}} params Withdrawal details including the coin's symbol, amount, and address to withdraw to.
-   * @return {Promise} An object containing the API response.
+   * @return {Promise} An object containing the API response, rejects with a WithdrawalBlockedError if the guard blocked the withdrawal.
    * @example
    * kc.createWithdrawal({
    *   symbol: 'NEO',
@@ -404,7 +615,9 @@ class Kucoin {
    */
   createWithdrawal(params = {}) {
     params.coin = params.symbol
-    return this.doSignedRequest('post', '/account/' + params.symbol + '/withdraw/apply', params)
+    let ready = this.validate('validateWithdrawal', params)
+    let send = () => this.doSignedRequest('post', '/account/' + params.symbol + '/withdraw/apply', params)
+    return this.normalize('createWithdrawal', ready.then(() => (this.withdrawalGuard && !this.readOnly ? this.withdrawalGuard.withdraw(params, send) : send())), params)
   }
 
   /**
@@ -419,7 +632,7 @@ class Kucoin {
    * }).then(console.log).catch(console.error)
    */
   cancelWithdrawal(params = {}) {
-    return this.doSignedRequest('post', '/account/' + params.symbol + '/withdraw/cancel', params)
+    return this.normalize('cancelWithdrawal', this.doSignedRequest('post', '/account/' + params.symbol + '/withdraw/cancel', params), params)
   }
 
   /**
@@ -477,7 +690,21 @@ class Kucoin {
    * }
    */
   getDepositAndWithdrawalRecords(params = {}) {
-    return this.doSignedRequest('get', '/account/' + params.symbol + '/wallet/records', params)
+    return this.normalize('getDepositAndWithdrawalRecords', this.doSignedRequest('get', '/account/' + params.symbol + '/wallet/records', params), params)
+  }
+
+  /**
+   * Iterate over the whole deposit and withdrawal record history, newest first, fetching pages as needed.
+   * @access public
+   * @param {{symbol: string, type: string, status: string, limit: number, since: number, until: number}} params Record details as for `getDepositAndWithdrawalRecords`, with optional `since` and `until` times in milliseconds.
+   * @return {AsyncIterator} The records.
+   * @example
+   * for await (let record of kc.iterateDepositAndWithdrawalRecords({ symbol: 'GAS', since: Date.now() - 86400000 })) {
+   *   console.log(record.type, record.amount)
+   * }
+   */
+  iterateDepositAndWithdrawalRecords(params = {}) {
+    return paginate((query) => this.getDepositAndWithdrawalRecords(query), params)
   }
 
   /**
@@ -509,14 +736,14 @@ class Kucoin {
    * kc.getBalance().then(console.log).catch(console.error)
    */
   getBalance(params = {}) {
-    return this.doSignedRequest('get', '/account/' + (params.symbol ? params.symbol + '/' : '') + 'balance')
+    return this.normalize('getBalance', this.doSignedRequest('get', '/account/' + (params.symbol ? params.symbol + '/' : '') + 'balance'), params)
   }
 
   /**
    * Create an order for the specified trading pair.
    * @access public
-   * @param {{pair: string, amount: number, price: number, type: string}} params Order details including the trading pair, amount, price, and type of order.
-   * @return {Promise} An object containing the API response.
+   * @param {{pair: string, amount: (number|string|BigNumber), price: (number|string|BigNumber), type: string}} params Order details including the trading pair, amount, price, and type of order. Decimal strings and BigNumbers are sent exactly as they are.
+   * @return {Promise} An object containing the API response, rejects with a RiskLimitError if the `risk` controls refused the order.
    * @example <caption>Create an order to sell 5 GAS for NEO at the specified price:</caption>
    * kc.createWithdrawal({
    *   pair: 'GAS-NEO',
@@ -539,7 +766,61 @@ class Kucoin {
    */
   createOrder(params = {}) {
     params.symbol = params.pair
-    return this.doSignedRequest('post', '/order', params)
+    let ready = (this.orderPrecision ? this.applyPrecision(params) : Q())
+      .then(() => this.validate('validateOrder', params))
+    let send = () => this.doSignedRequest('post', '/order', params)
+    return this.normalize('createOrder', ready.then(() => (this.risk ? this.risk.place(params, send) : send())), params)
+  }
+
+  /**
+   * Buy at the best prices available, emulated with a limit order at the price that fills the whole amount according to the order book.
+   * Nothing is placed if the expected average price is further from the best ask than the slippage cap, and whatever is not filled within the timeout is cancelled.
+   * @access public
+   * @param {{pair: string, amount: number, funds: number, maxSlippage: number, timeout: number}} params The trading pair, either the amount to buy or the funds of the quote coin to spend, and optionally the slippage cap as a fraction (`maxSlippage` of the client by default) and milliseconds before the remainder is cancelled (5000 by default).
+   * @return {Promise} Resolves with the order once filled or cancelled: `{orderOid, pair, type, price, amount, dealtAmount, averagePrice, status, fills, expectedPrice, expectedSlippage, slippage}`. Rejects with a SlippageError if the book cannot fill it within the cap.
+   * @example
+   * kc.marketBuy({
+   *   pair: 'GAS-NEO',
+   *   funds: 10,
+   *   maxSlippage: 0.005
+   * }).then((order) => console.log(order.dealtAmount, order.averagePrice)).catch(console.error)
+   */
+  marketBuy(params = {}) {
+    return marketOrder(this, 'BUY', params)
+  }
+
+  /**
+   * Sell at the best prices available, emulated with a limit order at the price that fills the whole amount according to the order book.
+   * Nothing is placed if the expected average price is further from the best bid than the slippage cap, and whatever is not filled within the timeout is cancelled.
+   * @access public
+   * @param {{pair: string, amount: number, funds: number, maxSlippage: number, timeout: number}} params The trading pair, either the amount to sell or the funds of the quote coin to receive, and optionally the slippage cap as a fraction (`maxSlippage` of the client by default) and milliseconds before the remainder is cancelled (5000 by default).
+   * @return {Promise} Resolves with the order once filled or cancelled, as for `marketBuy`. Rejects with a SlippageError if the book cannot fill it within the cap.
+   * @example
+   * kc.marketSell({
+   *   pair: 'GAS-NEO',
+   *   amount: 25
+   * }).then((order) => console.log(order.dealtAmount, order.averagePrice)).catch(console.error)
+   */
+  marketSell(params = {}) {
+    return marketOrder(this, 'SELL', params)
+  }
+
+  /**
+   * Place several orders, a few at a time. Every order is attempted, so one failing does not stop the others.
+   * @access public
+   * @param {Object[]} orders Order details as for `createOrder`.
+   * @param {{concurrency: number}} [options] How many orders to place at once, 5 by default.
+   * @return {Promise} Resolves, even if some orders fail, with `{succeeded, failed, results}` where each result is `{success: true, params, result}` or `{success: false, params, error}`, in the same order as `orders`.
+   * @example
+   * kc.createOrders([
+   *   { pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 10 },
+   *   { pair: 'GAS-NEO', type: 'BUY', price: 0.59, amount: 20 }
+   * ]).then((batch) => {
+   *   batch.results.filter((result) => !result.success).forEach((result) => console.error(result.params, result.error.message))
+   * })
+   */
+  createOrders(orders = [], options = {}) {
+    return settleAll(orders, options.concurrency || 5, (order) => this.createOrder(Object.assign({}, order)))
   }
 
   /**
@@ -567,7 +848,7 @@ class Kucoin {
    */
   getActiveOrders(params = {}) {
     params.symbol = params.pair
-    return this.doSignedRequest('get', '/' + params.pair + '/order/active', params)
+    return this.normalize('getActiveOrders', this.doSignedRequest('get', '/' + params.pair + '/order/active', params), params)
   }
 
   /**
@@ -593,7 +874,36 @@ class Kucoin {
    */
   cancelOrder(params = {}) {
     params.symbol = params.pair
-    return this.doSignedRequest('post', '/cancel-order', params)
+    return this.normalize('cancelOrder', this.doSignedRequest('post', '/cancel-order', params), params)
+  }
+
+  /**
+   * Cancel every active order for the specified trading pair, a few at a time, as listed by `getActiveOrders`.
+   * @access public
+   * @param {{pair: string, type: string, concurrency: number}} params The trading pair, optionally 'BUY' or 'SELL' to only cancel orders of that type, and how many orders to cancel at once, 5 by default.
+   * @return {Promise} Resolves, even if some cancellations fail, with `{succeeded, failed, results}` as for `createOrders`, where each result's `params` are `{pair, type, txOid}`.
+   * @example
+   * kc.cancelAllOrders({
+   *   pair: 'GAS-NEO',
+   *   type: 'BUY'
+   * }).then((batch) => console.log(batch.succeeded, 'cancelled,', batch.failed, 'failed'))
+   */
+  cancelAllOrders(params = {}) {
+    return this.getActiveOrders({
+      pair: params.pair
+    }).then((result) => {
+      let data = models.raw(result).data || {}
+      let types = (params.type ? [params.type] : ['BUY', 'SELL'])
+      let orders = []
+      types.forEach((type) => {
+        (data[type] || []).forEach((order) => orders.push({
+          pair: params.pair,
+          type: type,
+          txOid: order[5]
+        }))
+      })
+      return settleAll(orders, params.concurrency || 5, (order) => this.cancelOrder(Object.assign({}, order)))
+    })
   }
 
   /**
@@ -639,7 +949,21 @@ class Kucoin {
    */
   getDealtOrders(params = {}) {
     params.symbol = params.pair
-    return this.doSignedRequest('get', '/' + params.pair + '/deal-orders', params)
+    return this.normalize('getDealtOrders', this.doSignedRequest('get', '/' + params.pair + '/deal-orders', params), params)
+  }
+
+  /**
+   * Iterate over all completed orders for the specified trading pair, newest first, fetching pages as needed.
+   * @access public
+   * @param {{pair: string, type: string, limit: number, since: number, until: number}} params Order details as for `getDealtOrders`, with optional `since` and `until` times in milliseconds.
+   * @return {AsyncIterator} The fills.
+   * @example
+   * for await (let fill of kc.iterateDealtOrders({ pair: 'GAS-NEO', limit: 100 })) {
+   *   console.log(fill.orderOid, fill.dealPrice, fill.amount)
+   * }
+   */
+  iterateDealtOrders(params = {}) {
+    return paginate((query) => this.getDealtOrders(query), params)
   }
 
   /**
@@ -680,7 +1004,7 @@ class Kucoin {
    * }
    */
   getTicker(params = {}) {
-    return this.doRequest('get', '/' + params.pair + '/open/tick')
+    return this.normalize('getTicker', this.doRequest('get', '/' + params.pair + '/open/tick'), params)
   }
 
   /**
@@ -723,7 +1047,60 @@ class Kucoin {
    */
   getOrderBooks(params = {}) {
     params.symbol = params.pair
-    return this.doRequest('get', '/' + params.pair + '/open/orders' + (params.type ? '-' + params.type.toLowerCase() : ''), params)
+    let ready = this.validate('validateOrderBooks', params)
+    return this.normalize('getOrderBooks', ready.then(() => this.doRequest('get', '/' + params.pair + '/open/orders' + (params.type ? '-' + params.type.toLowerCase() : ''), params)), params)
+  }
+
+  /**
+   * Retrieve the order book for the specified trading pair as an OrderBook, to keep up to date locally.
+   * @access public
+   * @param {{pair: string, limit: number}} params Order book details including the trading pair and limit for the levels per side.
+   * @return {Promise} An OrderBook seeded with the current orders.
+   * @example
+   * kc.loadOrderBook({
+   *   pair: 'GAS-NEO'
+   * }).then((book) => {
+   *   console.log(book.bestBid(), book.bestAsk(), book.vwap('BUY', 50))
+   * }).catch(console.error)
+   */
+  loadOrderBook(params = {}) {
+    return this.getOrderBooks({
+      pair: params.pair,
+      limit: params.limit
+    }).then((result) => new OrderBook(params.pair, models.raw(result).data))
+  }
+
+  /**
+   * Aggregate the recent trades of a trading pair into candles, to keep up to date with new trades.
+   * @access public
+   * @param {{pair: string, interval: (string|number), limit: number, since: number}} params Candle details including the trading pair, the interval of the candles, and the limit and since of the trades to start from.
+   * @return {Promise} A CandleBuilder holding the recent trades.
+   * @example
+   * kc.loadCandles({
+   *   pair: 'GAS-NEO',
+   *   interval: '5m'
+   * }).then((candles) => {
+   *   stream.on('trade', (trade) => candles.add(trade))
+   *   console.log(candles.candles({ to: Date.now() }))
+   * }).catch(console.error)
+   */
+  loadCandles(params = {}) {
+    let query = {
+      pair: params.pair
+    }
+    if (params.limit !== undefined) {
+      query.limit = params.limit
+    }
+    if (params.since !== undefined) {
+      query.since = params.since
+    }
+    return Q.fcall(() => new CandleBuilder(params.pair, {
+      interval: params.interval,
+      decimals: this.decimals
+    })).then((candles) => this.getRecentlyDealtOrders(query).then((result) => {
+      candles.addAll(models.raw(result).data || [])
+      return candles
+    }))
   }
 
   /**
@@ -747,7 +1124,7 @@ class Kucoin {
    * }
    */
   getRecentlyDealtOrders(params = {}) {
-    return this.doRequest('get', '/' + params.pair + '/open/deal-orders', params)
+    return this.normalize('getRecentlyDealtOrders', this.doRequest('get', '/' + params.pair + '/open/deal-orders', params), params)
   }
 
   /**
@@ -787,7 +1164,7 @@ class Kucoin {
    * }
    */
   getTradingSymbols() {
-    return this.doRequest('get', '/market/open/symbols')
+    return this.normalize('getTradingSymbols', this.doRequest('get', '/market/open/symbols'))
   }
 
   /**
@@ -813,7 +1190,7 @@ class Kucoin {
    * }
    */
   getTrending() {
-    return this.doRequest('get', '/market/open/coins-trending')
+    return this.normalize('getTrending', this.doRequest('get', '/market/open/coins-trending'))
   }
 
   /**
@@ -846,9 +1223,43 @@ class Kucoin {
    * }
    */
   getCoins() {
-    return this.doRequest('get', '/market/open/coins-list')
+    return this.normalize('getCoins', this.doRequest('get', '/market/open/coins-list'))
   }
 
 }
 
 module.exports = Kucoin
+module.exports.RestifyTransport = RestifyTransport
+module.exports.RetryPolicy = RetryPolicy
+module.exports.RateLimiter = RateLimiter
+module.exports.NonceGenerator = NonceGenerator
+module.exports.StaticCredentials = credentials.StaticCredentials
+module.exports.EnvCredentials = credentials.EnvCredentials
+module.exports.FileCredentials = credentials.FileCredentials
+Object.keys(errors).forEach((name) => {
+  if (/Error$/.test(name)) {
+    module.exports[name] = errors[name]
+  }
+})
+module.exports.MockServer = require('./lib/mock/server')
+module.exports.MarketStream = require('./lib/stream')
+module.exports.OrderBook = OrderBook
+module.exports.CandleBuilder = CandleBuilder
+module.exports.OrderManager = require('./lib/order-manager')
+module.exports.ConditionalOrders = require('./lib/conditional-orders')
+module.exports.FileStore = require('./lib/file-store')
+module.exports.Executor = require('./lib/executor')
+module.exports.Iceberg = require('./lib/iceberg')
+module.exports.Twap = require('./lib/twap')
+module.exports.Vwap = require('./lib/vwap')
+module.exports.MarketMetadata = MarketMetadata
+module.exports.PaperExchange = PaperExchange
+module.exports.WithdrawalGuard = WithdrawalGuard
+module.exports.RiskControls = RiskControls
+module.exports.Portfolio = require('./lib/portfolio')
+module.exports.Ledger = require('./lib/ledger')
+module.exports.AccountManager = require('./lib/accounts')
+module.exports.Recorder = require('./lib/recorder')
+module.exports.Backtest = require('./lib/backtest')
+module.exports.models = models
+module.exports.BigNumber = decimal.BigNumber
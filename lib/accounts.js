@@ -0,0 +1,247 @@
+'use strict'
+
+const settleAll = require('./batch')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const models = require('./models')
+
+/**
+ * Holds a client for each of several named accounts, and combines their
+ * balances and active orders.
+ *
+ * Each account gets its own Kucoin client, created with the shared `client`
+ * options and the account's own options on top. Unless an account sets its
+ * own `rateLimit` or `rateLimiter`, it gets a RateLimiter of its own with
+ * the shared `rateLimit` options, so one busy account does not hold the
+ * others back.
+ *
+ * Combined operations ask every account at once, a limited number at a
+ * time, and never reject: an account that fails is left out of the result
+ * and its error is listed under `errors` by name, and by pair for requests
+ * made per pair.
+ * @class
+ * @param {Object} [options] Manager options.
+ * @param {Object} [options.accounts] Accounts by name, as `{apiKey, apiSecret}` or `{credentials}` and any other client options for that account.
+ * @param {Object} [options.client] Client options shared by every account, e.g. `baseUrl` or `normalize`.
+ * @param {Object} [options.rateLimit] RateLimiter options for each account.
+ * @param {number} [options.concurrency=5] Maximum number of requests sent at a time by combined operations.
+ * @example
+ * let accounts = new AccountManager({
+ *   accounts: {
+ *     momentum: { apiKey: momentumKey, apiSecret: momentumSecret },
+ *     arbitrage: { apiKey: arbitrageKey, apiSecret: arbitrageSecret }
+ *   },
+ *   rateLimit: { capacity: 10, refillRate: 5 }
+ * })
+ * accounts.account('momentum').createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 5 })
+ * accounts.getBalance().then((balances) => console.log(balances.total))
+ */
+class AccountManager {
+
+  /**
+   * Create a client for each account.
+   * @param {Object} [options] Manager options.
+   */
+  constructor(options = {}) {
+    this.clientOptions = options.client || {}
+    this.rateLimit = options.rateLimit || null
+    this.concurrency = options.concurrency || 5
+    this.clients = {}
+    Object.keys(options.accounts || {}).forEach((name) => this.add(name, options.accounts[name]))
+  }
+
+  /**
+   * Add an account.
+   * @access public
+   * @param {string} name Name of the account.
+   * @param {Object} account The account's `apiKey` and `apiSecret` or a credential provider as `credentials`, and any other client options for it.
+   * @return {Kucoin} The account's client.
+   */
+  add(name, account = {}) {
+    // Required here as index.js requires this module.
+    const Kucoin = require('../index')
+    if (this.clients[name]) {
+      throw new errors.ValidationError('Account ' + name + ' already exists')
+    }
+    if (!account.credentials && (!account.apiKey || !account.apiSecret)) {
+      throw new errors.ValidationError('Account ' + name + ' needs an apiKey and an apiSecret, or credentials')
+    }
+    let options = Object.assign({}, this.clientOptions, account)
+    delete options.apiKey
+    delete options.apiSecret
+    if (!options.rateLimit && !options.rateLimiter && this.rateLimit) {
+      options.rateLimit = this.rateLimit
+    }
+    this.clients[name] = new Kucoin(account.apiKey, account.apiSecret, options)
+    return this.clients[name]
+  }
+
+  /**
+   * Remove an account.
+   * @access public
+   * @param {string} name Name of the account.
+   * @return {boolean} False if there was no such account.
+   */
+  remove(name) {
+    if (!this.clients[name]) {
+      return false
+    }
+    delete this.clients[name]
+    return true
+  }
+
+  /**
+   * The client of an account, to call any method with its credentials.
+   * @access public
+   * @param {string} name Name of the account.
+   * @return {Kucoin} The client.
+   */
+  account(name) {
+    if (!this.clients[name]) {
+      throw new errors.ValidationError('Unknown account ' + name)
+    }
+    return this.clients[name]
+  }
+
+  /**
+   * Names of the accounts.
+   * @access public
+   * @return {string[]} The names, in the order they were added.
+   */
+  names() {
+    return Object.keys(this.clients)
+  }
+
+  /**
+   * Call a function with the client of each account.
+   * @access public
+   * @param {Function} fn Called with the client and the name of each account, returns a Promise.
+   * @param {Object} [options] Which accounts.
+   * @param {string[]} [options.accounts] Names of the accounts, all of them by default.
+   * @param {number} [options.concurrency] Maximum number of pending calls, the `concurrency` option by default.
+   * @return {Promise} Resolves, never rejects, with `{succeeded, failed, results}` where each result is `{account, success: true, result}` or `{account, success: false, error}`.
+   */
+  each(fn, options = {}) {
+    let names = options.accounts || this.names()
+    return settleAll(names, options.concurrency || this.concurrency, (name) => fn(this.account(name), name))
+      .then((outcome) => ({
+        succeeded: outcome.succeeded,
+        failed: outcome.failed,
+        results: outcome.results.map((result) => (result.success ? {
+          account: result.params,
+          success: true,
+          result: result.result
+        } : {
+          account: result.params,
+          success: false,
+          error: result.error
+        }))
+      }))
+  }
+
+  /**
+   * Balances of every account, and their sum.
+   * @access public
+   * @param {Object} [options] Which accounts, see `each`.
+   * @return {Promise} Resolves with `{total, accounts, errors}`. `total` lists the combined `{coin, available, frozen, total}` of each coin held, `accounts` the same per account name, and `errors` the error of each account that failed.
+   */
+  getBalance(options = {}) {
+    return this.each((client) => client.getBalance(), options).then((outcome) => {
+      let sums = {}
+      let accounts = {}
+      let failures = {}
+      outcome.results.forEach((result) => {
+        if (!result.success) {
+          failures[result.account] = result.error
+          return
+        }
+        let data = models.raw(result.result).data || []
+        accounts[result.account] = (Array.isArray(data) ? data : data.datas || []).map((balance) => {
+          let available = decimal.toDecimal(balance.balanceStr !== undefined ? balance.balanceStr : balance.balance)
+          let frozen = decimal.toDecimal(balance.freezeBalanceStr !== undefined ? balance.freezeBalanceStr : balance.freezeBalance)
+          sums[balance.coinType] = sums[balance.coinType] || {
+            available: decimal.toDecimal(0),
+            frozen: decimal.toDecimal(0)
+          }
+          let sum = sums[balance.coinType]
+          sum.available = sum.available.plus(available)
+          sum.frozen = sum.frozen.plus(frozen)
+          return {
+            coin: balance.coinType,
+            available: Number(available),
+            frozen: Number(frozen),
+            total: Number(available.plus(frozen))
+          }
+        })
+      })
+      return {
+        total: Object.keys(sums)
+          .filter((coin) => !sums[coin].available.plus(sums[coin].frozen).isZero())
+          .map((coin) => ({
+            coin: coin,
+            available: Number(sums[coin].available),
+            frozen: Number(sums[coin].frozen),
+            total: Number(sums[coin].available.plus(sums[coin].frozen))
+          })),
+        accounts: accounts,
+        errors: failures
+      }
+    })
+  }
+
+  /**
+   * Active orders of every account for some trading pairs.
+   * @access public
+   * @param {Object} params Which orders.
+   * @param {string} [params.pair] The trading pair.
+   * @param {string[]} [params.pairs] Several trading pairs, instead of `pair`.
+   * @param {string} [params.type] Only orders of this type, 'BUY' or 'SELL'.
+   * @param {string[]} [params.accounts] Names of the accounts, all of them by default.
+   * @return {Promise} Resolves with `{orders, errors}`. `orders` lists `{account, pair, type, price, amount, dealAmount, orderOid, createdAt}` oldest first, and `errors` the errors of each account that failed, by account name and then by pair, e.g. `errors.momentum['GAS-NEO']`. Orders of the pairs that did not fail are listed all the same.
+   */
+  getActiveOrders(params = {}) {
+    let pairs = params.pairs || (params.pair ? [params.pair] : [])
+    let names = params.accounts || this.names()
+    let requests = []
+    names.forEach((name) => {
+      pairs.forEach((pair) => requests.push({
+        account: name,
+        pair: pair
+      }))
+    })
+    return settleAll(requests, this.concurrency, (request) => this.account(request.account).getActiveOrders({
+      pair: request.pair
+    })).then((outcome) => {
+      let orders = []
+      let failures = {}
+      outcome.results.forEach((result) => {
+        if (!result.success) {
+          failures[result.params.account] = failures[result.params.account] || {}
+          failures[result.params.account][result.params.pair] = result.error
+          return
+        }
+        let data = models.raw(result.result).data || {}
+        let types = (params.type ? [params.type] : ['BUY', 'SELL'])
+        types.forEach((type) => {
+          (data[type] || []).forEach((order) => orders.push({
+            account: result.params.account,
+            pair: result.params.pair,
+            type: type,
+            price: order[2],
+            amount: order[3],
+            dealAmount: order[4],
+            orderOid: order[5],
+            createdAt: order[0]
+          }))
+        })
+      })
+      return {
+        orders: orders.sort((a, b) => a.createdAt - b.createdAt),
+        errors: failures
+      }
+    })
+  }
+
+}
+
+module.exports = AccountManager
@@ -0,0 +1,302 @@
+'use strict'
+
+const fs = require('fs')
+const Q = require('q')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const models = require('./models')
+
+/**
+ * Runs a strategy against market data recorded by a Recorder, on a simulated
+ * clock.
+ *
+ * The backtest's `client` is a Kucoin client with the same methods as any
+ * other. Public requests are answered with the latest response recorded for
+ * the same endpoint at or before the simulated time, whatever the querystring.
+ * Orders, cancellations and balances are paper traded, see PaperExchange, so
+ * orders fill against the recorded order books and trades.
+ *
+ * The clock starts once every recorded endpoint has a response, and moves in
+ * steps until the last record. The account is valued in the `quote` coin at
+ * the recorded last prices before the first step, and again after each call
+ * of the strategy, which is waited for. Strategies should take the time from
+ * the clock rather than from timers, helpers that poll in real time such as
+ * the OrderManager are not sped up.
+ * @class
+ * @param {Object} options Backtest options.
+ * @param {string} [options.path] A file written by a Recorder.
+ * @param {Object[]} [options.records] Records as written by a Recorder, instead of a file.
+ * @param {Object} [options.balances] Starting balances keyed by coin, e.g. `{ BTC: 1 }`.
+ * @param {number} [options.baseFeeRate=1] Multiplier of the pairs' fee rates.
+ * @param {number} [options.step=60000] Milliseconds the clock moves between calls of the strategy.
+ * @param {number} [options.start] Time to start at, once every endpoint has a response by default.
+ * @param {number} [options.end] Time to end at, the last record by default.
+ * @param {string} [options.quote] Coin to value the account in, the quote coin of the first recorded ticker by default.
+ * @param {Object} [options.client] Other options of the client, e.g. `normalize`.
+ * @example
+ * let backtest = new Backtest({ path: './neo-btc.jsonl', balances: { BTC: 1 } })
+ * backtest.run((kc, time) => {
+ *   return kc.getTicker({ pair: 'NEO-BTC' }).then((ticker) => {
+ *     // decide, then kc.createOrder(...)
+ *   })
+ * }).then((report) => console.log(report.pnl, report.maxDrawdown, report.trades))
+ */
+class Backtest {
+
+  /**
+   * Set up the backtest and its client, nothing is read until `load` or `run` is called.
+   * @param {Object} options Backtest options.
+   */
+  constructor(options = {}) {
+    // Required here as index.js requires this module.
+    const Kucoin = require('../index')
+    this.path = options.path || null
+    this.records = options.records || null
+    this.step = options.step || 60000
+    this.start = (options.start !== undefined ? options.start : null)
+    this.end = (options.end !== undefined ? options.end : null)
+    this.quote = options.quote || null
+    this.time = null
+    this.equity = []
+    this.unpriced = {}
+    this.client = new Kucoin('backtest', 'backtest', Object.assign({}, options.client, {
+      transport: this,
+      retry: false,
+      paper: {
+        balances: options.balances || {},
+        baseFeeRate: (options.baseFeeRate !== undefined ? options.baseFeeRate : 1),
+        clock: () => this.time
+      }
+    }))
+    this.paper = this.client.paper
+    this._recorded = null
+    this._loading = null
+  }
+
+  /**
+   * Read the records and set up the clock.
+   * @access public
+   * @return {Promise} Resolves with the backtest once loaded.
+   */
+  load() {
+    if (!this._loading) {
+      let records = (this.records ? Q(this.records) : Q.nfcall(fs.readFile, this.path, 'utf8')
+        .then((contents) => contents.split('\n')
+          .filter((line) => line.trim())
+          .map((line) => JSON.parse(line))))
+      this._loading = records.then((records) => {
+        if (!records.length) {
+          throw new errors.ValidationError('Nothing was recorded')
+        }
+        let recorded = {}
+        records.forEach((record) => {
+          let key = this.key(record.method, record.path)
+          recorded[key] = recorded[key] || []
+          recorded[key].push(record)
+        })
+        let first = []
+        let last = []
+        Object.keys(recorded).forEach((key) => {
+          recorded[key].sort((a, b) => a.time - b.time)
+          first.push(recorded[key][0].time)
+          last.push(recorded[key][recorded[key].length - 1].time)
+        })
+        this._recorded = recorded
+        if (this.start === null) {
+          this.start = Math.max.apply(Math, first)
+        }
+        if (this.end === null) {
+          this.end = Math.max.apply(Math, last)
+        }
+        if (!this.quote) {
+          let ticker = records.filter((record) => /\/open\/tick$/.test(this.key(record.method, record.path)))[0]
+          this.quote = (ticker ? ticker.body.data.coinTypePair : null)
+        }
+        this.time = this.start
+        return this
+      })
+      this._loading.catch(() => {
+        this._loading = null
+      })
+    }
+    return this._loading
+  }
+
+  /**
+   * Run a strategy from the start to the end of the recording.
+   * @access public
+   * @param {Function} strategy Called with the client and the simulated time at each step, may return a Promise to be waited for.
+   * @return {Promise} Resolves with the report. If the strategy fails, rejects with its error, carrying the report so far as its `report` property.
+   */
+  run(strategy) {
+    let step = (time) => {
+      this.time = time
+      return Q.fcall(strategy, this.client, time)
+        .then(() => this.mark())
+        .then(() => (time < this.end ? step(Math.min(time + this.step, this.end)) : null))
+    }
+    return this.load()
+      .then(() => this.mark())
+      .then(() => step(this.start))
+      .then(() => this.report(), (err) => {
+        err.report = this.report()
+        throw err
+      })
+  }
+
+  /**
+   * How the strategy did so far.
+   * @access public
+   * @return {Object} The report as `{start, end, quote, startingEquity, endingEquity, pnl, return, maxDrawdown, equity, trades, balances, unpriced}`. `equity` lists `{time, value}` after each step, `maxDrawdown` is the largest fall from a peak as a fraction of the peak, and `trades` lists the fills oldest first as `{time, pair, type, price, amount, value, fee, orderOid}`. Coins without a recorded price in the quote coin are left out of the equity and listed in `unpriced`.
+   */
+  report() {
+    let startingEquity = (this.equity.length ? this.equity[0].value : null)
+    let endingEquity = (this.equity.length ? this.equity[this.equity.length - 1].value : null)
+    let peak = null
+    let maxDrawdown = 0
+    this.equity.forEach((point) => {
+      peak = (peak === null ? point.value : Math.max(peak, point.value))
+      if (peak > 0) {
+        maxDrawdown = Math.max(maxDrawdown, (peak - point.value) / peak)
+      }
+    })
+    let balances = {}
+    Object.keys(this.paper.balances).forEach((coin) => {
+      let balance = this.paper.balances[coin]
+      balances[coin] = Number(balance.balance.plus(balance.freeze))
+    })
+    let pnl = (startingEquity !== null ? Number(decimal.toDecimal(endingEquity).minus(decimal.toDecimal(startingEquity))) : null)
+    return {
+      start: this.start,
+      end: this.end,
+      quote: this.quote,
+      startingEquity: startingEquity,
+      endingEquity: endingEquity,
+      pnl: pnl,
+      return: (startingEquity ? pnl / startingEquity : null),
+      maxDrawdown: maxDrawdown,
+      equity: this.equity.slice(),
+      trades: this.paper.deals.slice().reverse().map((deal) => ({
+        time: deal.createdAt,
+        pair: deal.coinType + '-' + deal.coinTypePair,
+        type: deal.direction,
+        price: deal.dealPrice,
+        amount: deal.amount,
+        value: deal.dealValue,
+        fee: deal.fee,
+        orderOid: deal.orderOid
+      })),
+      balances: balances,
+      unpriced: Object.keys(this.unpriced)
+    }
+  }
+
+  /**
+   * Answer a request from the recording, as a transport.
+   * @access public
+   * @param {string} method HTTP request method, either 'get' or 'post'.
+   * @param {{path: string, headers: Object}} options The path including any querystring, and the request headers.
+   * @return {Promise} Resolves with the latest recorded response, rejects with a 404 error if there is none.
+   */
+  request(method, options) {
+    let record = this.lookup(this.key(method, options.path))
+    if (!record) {
+      let err = new Error('Nothing was recorded for ' + method.toUpperCase() + ' ' + options.path.split('?')[0] + ' by ' + new Date(this.time).toISOString())
+      err.statusCode = 404
+      err.body = {
+        success: false,
+        code: 'NOT_FOUND',
+        msg: err.message
+      }
+      return Q.reject(err)
+    }
+    return Q({
+      statusCode: 200,
+      headers: {},
+      body: record.body
+    })
+  }
+
+  /**
+   * Value the account at the current time and add it to the equity curve.
+   * @access private
+   * @return {Promise} Resolves once valued.
+   */
+  mark() {
+    return Q(this.client.getBalance()).then((result) => {
+      let value = decimal.toDecimal(0)
+      models.raw(result).data.forEach((balance) => {
+        let total = decimal.toDecimal(balance.balanceStr).plus(decimal.toDecimal(balance.freezeBalanceStr))
+        if (total.isZero()) {
+          return
+        }
+        let price = this.price(balance.coinType)
+        if (price === null) {
+          this.unpriced[balance.coinType] = true
+          return
+        }
+        value = value.plus(total.times(price))
+      })
+      this.equity.push({
+        time: this.time,
+        value: Number(value)
+      })
+    })
+  }
+
+  /**
+   * Price of a coin in the quote coin, from the recorded ticker of either pair between them.
+   * @access private
+   * @param {string} coin The coin.
+   * @return {BigNumber} The price, or null if none was recorded.
+   */
+  price(coin) {
+    if (coin === this.quote) {
+      return decimal.toDecimal(1)
+    }
+    let direct = this.lookup(this.key('get', this.client.path_prefix + '/' + coin + '-' + this.quote + '/open/tick'))
+    if (direct && direct.body.data.lastDealPrice) {
+      return decimal.toDecimal(direct.body.data.lastDealPrice)
+    }
+    let inverse = this.lookup(this.key('get', this.client.path_prefix + '/' + this.quote + '-' + coin + '/open/tick'))
+    if (inverse && inverse.body.data.lastDealPrice) {
+      return decimal.toDecimal(1).dividedBy(decimal.toDecimal(inverse.body.data.lastDealPrice))
+    }
+    return null
+  }
+
+  /**
+   * The latest record of an endpoint at or before the current time.
+   * @access private
+   * @param {string} key The endpoint, see `key`.
+   * @return {Object} The record, or undefined.
+   */
+  lookup(key) {
+    let records = (this._recorded && this._recorded[key]) || []
+    let low = 0
+    let high = records.length
+    while (low < high) {
+      let middle = (low + high) >> 1
+      if (records[middle].time <= this.time) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    return records[low - 1]
+  }
+
+  /**
+   * Identify an endpoint, ignoring the querystring.
+   * @access private
+   * @param {string} method HTTP request method.
+   * @param {string} path The path including any querystring.
+   * @return {string} The key.
+   */
+  key(method, path) {
+    return method.toLowerCase() + ' ' + path.split('?')[0]
+  }
+
+}
+
+module.exports = Backtest
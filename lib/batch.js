@@ -0,0 +1,50 @@
+'use strict'
+
+const Q = require('q')
+
+/**
+ * Call a function for each item, with at most `concurrency` calls pending at a time, and collect every outcome.
+ * @param {Array} items The items.
+ * @param {number} concurrency Maximum number of pending calls.
+ * @param {Function} fn Called with each item, returns a Promise.
+ * @return {Promise} Resolves, never rejects, with `{succeeded, failed, results}` where each result is `{success: true, params, result}` or `{success: false, params, error}` in the order of the items.
+ */
+function settleAll(items, concurrency, fn) {
+  let results = new Array(items.length)
+  let next = 0
+  let worker = () => {
+    if (next >= items.length) {
+      return Q()
+    }
+    let index = next++
+    return Q.fcall(fn, items[index])
+      .then((result) => {
+        results[index] = {
+          success: true,
+          params: items[index],
+          result: result
+        }
+      }, (err) => {
+        results[index] = {
+          success: false,
+          params: items[index],
+          error: err
+        }
+      })
+      .then(worker)
+  }
+  let workers = []
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, items.length)); i++) {
+    workers.push(worker())
+  }
+  return Q.all(workers).then(() => {
+    let succeeded = results.filter((result) => result.success).length
+    return {
+      succeeded: succeeded,
+      failed: results.length - succeeded,
+      results: results
+    }
+  })
+}
+
+module.exports = settleAll
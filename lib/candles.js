@@ -0,0 +1,268 @@
+'use strict'
+
+const decimal = require('./decimal')
+const errors = require('./errors')
+
+/**
+ * Interval names and their length in milliseconds.
+ * @access private
+ */
+const INTERVALS = {
+  '1m': 60000,
+  '3m': 180000,
+  '5m': 300000,
+  '15m': 900000,
+  '30m': 1800000,
+  '1h': 3600000,
+  '2h': 7200000,
+  '4h': 14400000,
+  '6h': 21600000,
+  '8h': 28800000,
+  '12h': 43200000,
+  '1d': 86400000
+}
+
+/**
+ * Columns of `toCSV`, in order.
+ * @access private
+ */
+const COLUMNS = ['time', 'open', 'high', 'low', 'close', 'amount', 'volume', 'trades']
+
+/**
+ * Aggregates a trading pair's trades into OHLCV candles, as the API has no
+ * candle endpoint.
+ *
+ * Trades are `[timestamp, side, price, amount, volume]` tuples as returned
+ * by `getRecentlyDealtOrders` and emitted by MarketStream's 'trade' event, or
+ * normalised Trade models. Candles start at multiples of the interval since
+ * the Unix epoch, so daily candles run from midnight UTC. Each candle has
+ * the `amount` of the base coin and the `volume` of the quote coin traded,
+ * like a Trade.
+ *
+ * Trades older than the last one added are ignored. Trades with an `id`,
+ * such as fills from `getDealtOrders`, are added once per id. Public trades
+ * have no id, so `addAll` only skips the trades of a page that were already
+ * added at the timestamp where it overlaps the previous one, as many times
+ * as they were added, so overlapping polls of `getRecentlyDealtOrders` can be
+ * added as they are while distinct trades alike in side, price and amount
+ * still count.
+ * @class
+ * @param {string} pair The trading pair.
+ * @param {Object} [options] Candle options.
+ * @param {string|number} [options.interval='1m'] Length of a candle, one of '1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h' and '1d', or milliseconds.
+ * @param {number} [options.maxCandles] Oldest candles are dropped beyond this many, all are kept by default.
+ * @param {string} [options.decimals='number'] How prices and amounts are represented, either 'number', 'string' or 'bignumber'.
+ * @example
+ * kc.getRecentlyDealtOrders({ pair: 'GAS-NEO' }).then((result) => {
+ *   let candles = new CandleBuilder('GAS-NEO', { interval: '5m' })
+ *   candles.addAll(result.data)
+ *   stream.on('trade', (trade) => candles.add(trade))
+ * })
+ */
+class CandleBuilder {
+
+  /**
+   * Create the builder, without any candles.
+   * @param {string} pair The trading pair.
+   * @param {Object} [options] Candle options.
+   */
+  constructor(pair, options = {}) {
+    let interval = (options.interval !== undefined ? options.interval : '1m')
+    this.pair = pair
+    this.interval = (typeof interval === 'number' ? interval : INTERVALS[interval])
+    if (!(this.interval > 0)) {
+      throw new errors.ValidationError('Unknown candle interval ' + interval, {
+        params: options
+      })
+    }
+    this.maxCandles = options.maxCandles || null
+    this.convert = decimal.converter(options.decimals)
+    this.lastTimestamp = null
+    this._candles = []
+    this._seen = {}
+  }
+
+  /**
+   * Add a trade.
+   * @access public
+   * @param {Array|Trade} trade The trade.
+   * @return {Object} The candle the trade went into, or null if it was ignored.
+   */
+  add(trade) {
+    return this.insert(trade, null)
+  }
+
+  /**
+   * Add a list of trades, oldest first whatever order they are given in.
+   * Trades at the timestamp of the last one added before are skipped as far as they repeat trades already added then.
+   * @access public
+   * @param {Array[]|Trade[]} trades The trades, e.g. the data of a `getRecentlyDealtOrders` response.
+   * @return {number} How many trades were added, the rest were ignored.
+   */
+  addAll(trades) {
+    let timestamp = (trade) => Number(Array.isArray(trade) ? trade[0] : trade.timestamp)
+    let overlap = Object.assign({}, this._seen)
+    let last = this.lastTimestamp
+    return trades.slice()
+      .sort((a, b) => timestamp(a) - timestamp(b))
+      .filter((trade) => this.insert(trade, (timestamp(trade) === last ? overlap : null)) !== null)
+      .length
+  }
+
+  /**
+   * Add a trade unless it was added before.
+   * @access private
+   * @param {Array|Trade} trade The trade.
+   * @param {Object} [overlap] Trades added before at the trade's timestamp that a trade without an id may repeat, counted by side, price and amount, a repeat uses one up.
+   * @return {Object} The candle the trade went into, or null if it was ignored.
+   */
+  insert(trade, overlap) {
+    let timestamp = Number(Array.isArray(trade) ? trade[0] : trade.timestamp)
+    let price = decimal.toDecimal(Array.isArray(trade) ? trade[2] : trade.price)
+    let amount = decimal.toDecimal(Array.isArray(trade) ? trade[3] : trade.amount)
+    let volume = (Array.isArray(trade) ? trade[4] : trade.volume)
+    volume = (volume !== undefined && volume !== null ? decimal.toDecimal(volume) : price.times(amount))
+    if (this.lastTimestamp !== null && timestamp < this.lastTimestamp) {
+      return null
+    }
+    let id = (!Array.isArray(trade) && trade.id !== undefined ? trade.id : null)
+    let key = (id !== null ? 'id:' + id : [(Array.isArray(trade) ? trade[1] : trade.side), price.toFixed(), amount.toFixed()].join(':'))
+    if (timestamp !== this.lastTimestamp) {
+      this.lastTimestamp = timestamp
+      this._seen = {}
+    } else if (id !== null && this._seen[key]) {
+      return null
+    } else if (id === null && overlap && overlap[key] > 0) {
+      overlap[key]--
+      return null
+    }
+    this._seen[key] = (this._seen[key] || 0) + 1
+    let time = this.start(timestamp)
+    let candle = this._candles[this._candles.length - 1]
+    if (!candle || candle.time !== time) {
+      candle = {
+        time: time,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        amount: decimal.toDecimal(0),
+        volume: decimal.toDecimal(0),
+        trades: 0
+      }
+      this._candles.push(candle)
+      if (this.maxCandles && this._candles.length > this.maxCandles) {
+        this._candles.splice(0, this._candles.length - this.maxCandles)
+      }
+    }
+    candle.high = (price.greaterThan(candle.high) ? price : candle.high)
+    candle.low = (price.lessThan(candle.low) ? price : candle.low)
+    candle.close = price
+    candle.amount = candle.amount.plus(amount)
+    candle.volume = candle.volume.plus(volume)
+    candle.trades++
+    return this.format(candle)
+  }
+
+  /**
+   * The candles, oldest first.
+   * @access public
+   * @param {Object} [options] Which candles.
+   * @param {number} [options.from] Time of the first candle, the first with trades by default.
+   * @param {number} [options.to] Time of the last candle, the last with trades by default, e.g. `Date.now()` to extend the candles to the present.
+   * @param {boolean} [options.fill=true] Fill intervals without trades with candles at the previous close and no volume, instead of leaving them out.
+   * @return {Object[]} Candles as `{time, open, high, low, close, amount, volume, trades}`, `time` being when the candle starts.
+   */
+  candles(options = {}) {
+    let candles = this._candles
+    if (!candles.length) {
+      return []
+    }
+    let from = this.start(options.from !== undefined ? options.from : candles[0].time)
+    let to = this.start(options.to !== undefined ? options.to : candles[candles.length - 1].time)
+    let result = []
+    let close = null
+    let index = 0
+    while (index < candles.length && candles[index].time < from) {
+      close = candles[index].close
+      index++
+    }
+    for (let time = from; time <= to; time += this.interval) {
+      if (index < candles.length && candles[index].time === time) {
+        result.push(this.format(candles[index]))
+        close = candles[index].close
+        index++
+      } else if (options.fill !== false && close !== null) {
+        result.push(this.format({
+          time: time,
+          open: close,
+          high: close,
+          low: close,
+          close: close,
+          amount: decimal.toDecimal(0),
+          volume: decimal.toDecimal(0),
+          trades: 0
+        }))
+      }
+    }
+    return result
+  }
+
+  /**
+   * The candles for `JSON.stringify`.
+   * @access public
+   * @param {Object} [options] Which candles, see `candles`.
+   * @return {Object[]} The candles.
+   */
+  toJSON(options) {
+    return this.candles(typeof options === 'object' ? options : {})
+  }
+
+  /**
+   * The candles as CSV, with a header row of `time,open,high,low,close,amount,volume,trades`.
+   * @access public
+   * @param {Object} [options] Which candles, see `candles`.
+   * @return {string} The CSV, one line per candle.
+   */
+  toCSV(options) {
+    let lines = [COLUMNS.join(',')]
+    this.candles(options).forEach((candle) => {
+      lines.push(COLUMNS.map((column) => (decimal.isDecimal(candle[column]) ? decimal.format(candle[column]) : candle[column])).join(','))
+    })
+    return lines.join('\n') + '\n'
+  }
+
+  /**
+   * Time of the candle a timestamp falls into.
+   * @access private
+   * @param {number} timestamp Milliseconds since the Unix epoch.
+   * @return {number} When the candle starts.
+   */
+  start(timestamp) {
+    return Math.floor(timestamp / this.interval) * this.interval
+  }
+
+  /**
+   * Copy a candle with prices and amounts converted.
+   * @access private
+   * @param {Object} candle The candle.
+   * @return {Object} The copy.
+   */
+  format(candle) {
+    return {
+      time: candle.time,
+      open: this.convert(candle.open),
+      high: this.convert(candle.high),
+      low: this.convert(candle.low),
+      close: this.convert(candle.close),
+      amount: this.convert(candle.amount),
+      volume: this.convert(candle.volume),
+      trades: candle.trades
+    }
+  }
+
+}
+
+CandleBuilder.INTERVALS = INTERVALS
+
+module.exports = CandleBuilder
@@ -0,0 +1,542 @@
+'use strict'
+
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const Q = require('q')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const models = require('./models')
+const OrderManager = require('./order-manager')
+
+/**
+ * Client-side conditional orders: stop-loss, take-profit, trailing stops and
+ * one-cancels-other pairs.
+ *
+ * The last price of each pair with pending triggers is polled with
+ * `getTicker`. When a trigger fires, a limit order is placed with
+ * `createOrder`, at the given price or, without one, at the trigger price
+ * moved by `offset` towards the other side of the book. An OCO places its
+ * limit order straight away and has a stop trigger next to it: if the limit
+ * order fills, the stop is dropped, and if the stop fires, the limit order is
+ * cancelled and whatever it did not fill is placed at the stop's price.
+ *
+ * Conditional orders are plain objects `{id, kind, pair, type, amount,
+ * triggerPrice, price, status, orderOid, createdAt, updatedAt}`, with `status`
+ * one of 'PENDING', 'TRIGGERED', 'FILLED' (an OCO's limit order filled),
+ * 'CANCELLED' or 'FAILED'. With a `store` they are saved on every change and
+ * loaded again by `start`, so pending triggers survive a restart. Events:
+ *
+ * - `triggered`: a trigger fired and its order was placed, its ID is `orderOid`.
+ * - `filled`: an OCO's limit order was filled.
+ * - `cancelled`: a conditional order was cancelled.
+ * - `error`: polling failed, or a triggered order could not be placed (the conditional order is passed as second argument and marked 'FAILED'). Only emitted if anything listens for it, the status is saved either way.
+ * @class
+ * @extends EventEmitter
+ * @param {Kucoin} client The client to poll prices and place orders with.
+ * @param {Object} [options] Engine options.
+ * @param {number} [options.pollInterval=2000] Milliseconds between price checks.
+ * @param {Object} [options.store] Where to keep conditional orders, e.g. a FileStore, in memory only by default.
+ * @param {OrderManager} [options.orderManager] The manager to follow OCO limit orders with, one polling at `pollInterval` by default.
+ * @param {number} [options.cancelTimeout=30000] Milliseconds to wait for an OCO's limit order to be cancelled or filled once its stop fired, after which the stop fails without placing its order.
+ * @example
+ * let engine = new ConditionalOrders(kc, { store: new FileStore('./triggers.json') })
+ * engine.on('triggered', (order) => console.log(order.kind, 'placed', order.orderOid))
+ * engine.start()
+ *   .then(() => engine.trailingStop({ pair: 'GAS-NEO', type: 'SELL', amount: 10, trailPercent: 5 }))
+ */
+class ConditionalOrders extends EventEmitter {
+
+  /**
+   * Set up the engine, nothing is loaded or polled until `start` is called or an order added.
+   * @param {Kucoin} client The client to poll prices and place orders with.
+   * @param {Object} [options] Engine options.
+   */
+  constructor(client, options = {}) {
+    super()
+    this.client = client
+    this.pollInterval = options.pollInterval || 2000
+    this.cancelTimeout = options.cancelTimeout || 30000
+    this.store = options.store || null
+    this.orderManager = options.orderManager || new OrderManager(client, {
+      pollInterval: this.pollInterval
+    })
+    this.orders = {}
+    this._started = null
+    this._timer = null
+    this._polling = null
+    this._saving = Q()
+    this.orderManager.on('filled', (order) => this.limitOrderDone(order))
+    this.orderManager.on('cancelled', (order) => this.limitOrderDone(order))
+    this.orderManager.on('error', (err) => {
+      if (this.listenerCount('error')) {
+        this.emit('error', err)
+      }
+    })
+  }
+
+  /**
+   * Load saved conditional orders and start watching prices. Called by the other methods when needed.
+   * @access public
+   * @return {Promise} Resolves once the saved orders are loaded.
+   */
+  start() {
+    if (!this._started) {
+      this._started = Q(this.store ? this.store.load() : null)
+        .then((saved) => {
+          (saved || []).forEach((order) => {
+            if (order.status === 'TRIGGERING') {
+              order.status = 'FAILED'
+              order.error = 'Interrupted while placing the order, check whether it was placed'
+            }
+            this.orders[order.id] = order
+            if (order.status === 'PENDING' && order.limitOrderOid) {
+              this.orderManager.track(order.limitOrderOid, {
+                pair: order.pair,
+                type: order.type,
+                price: order.limitPrice,
+                amount: order.amount,
+                createdAt: (order.limitOrderCreatedAt !== undefined ? order.limitOrderCreatedAt : order.createdAt)
+              })
+            }
+          })
+          this.schedule()
+        })
+      this._started.catch(() => {
+        this._started = null
+      })
+    }
+    return this._started
+  }
+
+  /**
+   * Stop watching prices. Pending conditional orders stay saved and are picked up by the next `start`.
+   * @access public
+   */
+  stop() {
+    clearTimeout(this._timer)
+    this._timer = null
+    this._started = null
+    this.orderManager.stop()
+  }
+
+  /**
+   * Place a limit order once the price falls to `stopPrice` for a SELL, or rises to it for a BUY.
+   * @access public
+   * @param {{pair: string, type: string, amount: number, stopPrice: number, price: number, offset: number}} params The trading pair, type and amount of the order, the trigger price, and optionally the limit price or the offset of the limit price from the trigger price.
+   * @return {Promise} Resolves with the conditional order.
+   */
+  stopLoss(params = {}) {
+    return this.add('stopLoss', params, {
+      triggerPrice: params.stopPrice
+    })
+  }
+
+  /**
+   * Place a limit order once the price rises to `triggerPrice` for a SELL, or falls to it for a BUY.
+   * @access public
+   * @param {{pair: string, type: string, amount: number, triggerPrice: number, price: number, offset: number}} params The trading pair, type and amount of the order, the trigger price, and optionally the limit price or the offset of the limit price from the trigger price.
+   * @return {Promise} Resolves with the conditional order.
+   */
+  takeProfit(params = {}) {
+    return this.add('takeProfit', params, {
+      triggerPrice: params.triggerPrice
+    })
+  }
+
+  /**
+   * A stop-loss whose stop price follows the best price seen since it was added: `trail` below the highest price for a SELL, or above the lowest for a BUY.
+   * @access public
+   * @param {{pair: string, type: string, amount: number, trail: number, trailPercent: number, price: number, offset: number}} params The trading pair, type and amount of the order, the distance to trail the price by, as an amount or a percentage, and optionally the limit price or the offset of the limit price from the stop price.
+   * @return {Promise} Resolves with the conditional order.
+   */
+  trailingStop(params = {}) {
+    if (!(params.trail > 0) && !(params.trailPercent > 0)) {
+      return Q.reject(this.invalid('A trailing stop needs a trail or trailPercent greater than 0', params))
+    }
+    return this.add('trailingStop', params, {
+      triggerPrice: null,
+      trail: params.trail,
+      trailPercent: params.trailPercent,
+      extreme: null
+    })
+  }
+
+  /**
+   * Place a limit order at `price` now, and a stop at `stopPrice` that cancels it. Whichever happens first cancels the other.
+   * @access public
+   * @param {{pair: string, type: string, amount: number, price: number, stopPrice: number, stopLimitPrice: number, offset: number}} params The trading pair, type and amount of both orders, the price of the limit order, the stop's trigger price and optionally the stop's limit price or its offset from the trigger price.
+   * @return {Promise} Resolves with the conditional order once the limit order is placed, with the limit order's ID and placement time as `limitOrderOid` and `limitOrderCreatedAt`.
+   */
+  oco(params = {}) {
+    let wrongSide = (params.type === 'SELL' ? !(params.price > params.stopPrice) : !(params.price < params.stopPrice))
+    if (wrongSide) {
+      return Q.reject(this.invalid('The stop price must be ' + (params.type === 'SELL' ? 'below' : 'above') + ' the limit price', params))
+    }
+    return this.add('oco', {
+      pair: params.pair,
+      type: params.type,
+      amount: params.amount,
+      price: params.stopLimitPrice,
+      offset: params.offset
+    }, {
+      triggerPrice: params.stopPrice,
+      limitPrice: params.price
+    })
+  }
+
+  /**
+   * Cancel a pending conditional order, and an OCO's limit order with it.
+   * @access public
+   * @param {string} id The conditional order's ID.
+   * @return {Promise} Resolves with the conditional order.
+   */
+  cancel(id) {
+    return this.start().then(() => {
+      let order = this.orders[id]
+      if (!order || order.status !== 'PENDING') {
+        throw new errors.OrderNotFoundError('Conditional order ' + id + ' is not pending', {
+          params: {
+            id: id
+          }
+        })
+      }
+      this.setStatus(order, 'CANCELLED')
+      let cancelled = (order.limitOrderOid ? this.orderManager.cancel(order.limitOrderOid).catch(() => {}) : Q())
+      return cancelled.then(() => {
+        this.emit('cancelled', order)
+        return this.save()
+      }).then(() => order)
+    })
+  }
+
+  /**
+   * Check the price of every pair with pending triggers now, instead of waiting for the next interval.
+   * @access public
+   * @return {Promise} Resolves once triggers that fired have placed their orders.
+   */
+  poll() {
+    if (!this._polling) {
+      let pairs = {}
+      this.pending().forEach((order) => {
+        pairs[order.pair] = (pairs[order.pair] || []).concat(order)
+      })
+      this._polling = Q.all(Object.keys(pairs).map((pair) => this.pollPair(pair, pairs[pair])))
+        .finally(() => {
+          this._polling = null
+        })
+    }
+    return this._polling
+  }
+
+  /**
+   * Conditional orders that have not fired or been cancelled yet.
+   * @access public
+   * @return {Object[]} The pending conditional orders.
+   */
+  pending() {
+    return Object.keys(this.orders)
+      .map((id) => this.orders[id])
+      .filter((order) => order.status === 'PENDING')
+  }
+
+  /**
+   * Validate and add a conditional order.
+   * @access private
+   * @param {string} kind One of 'stopLoss', 'takeProfit', 'trailingStop' or 'oco'.
+   * @param {Object} params Parameters common to every kind.
+   * @param {Object} fields Fields specific to the kind.
+   * @return {Promise} Resolves with the conditional order.
+   */
+  add(kind, params, fields) {
+    if (!params.pair) {
+      return Q.reject(this.invalid('A trading pair is required', params))
+    }
+    if (params.type !== 'BUY' && params.type !== 'SELL') {
+      return Q.reject(this.invalid('Order type must be BUY or SELL', params))
+    }
+    if (!(Number(params.amount) > 0)) {
+      return Q.reject(this.invalid('The amount must be greater than 0', params))
+    }
+    if (fields.triggerPrice !== null && !(Number(fields.triggerPrice) > 0)) {
+      return Q.reject(this.invalid('The trigger price must be greater than 0', params))
+    }
+    let now = Date.now()
+    let order = Object.assign({
+      id: crypto.randomBytes(12).toString('hex'),
+      kind: kind,
+      pair: params.pair,
+      type: params.type,
+      amount: Number(params.amount),
+      price: (params.price !== undefined ? Number(params.price) : undefined),
+      offset: Number(params.offset || 0),
+      status: 'PENDING',
+      orderOid: null,
+      createdAt: now,
+      updatedAt: now
+    }, fields)
+    return this.start()
+      .then(() => {
+        if (kind !== 'oco') {
+          return
+        }
+        return this.orderManager.submit({
+          pair: order.pair,
+          type: order.type,
+          price: order.limitPrice,
+          amount: order.amount
+        }).then((limitOrder) => {
+          order.limitOrderOid = limitOrder.orderOid
+          order.limitOrderCreatedAt = limitOrder.createdAt
+        })
+      })
+      .then(() => {
+        this.orders[order.id] = order
+        this.schedule()
+        return this.save()
+      })
+      .then(() => order)
+  }
+
+  /**
+   * Poll again after `pollInterval`, while any conditional order is pending.
+   * @access private
+   */
+  schedule() {
+    if (this._timer || !this._started || !this.pending().length) {
+      return
+    }
+    this._timer = setTimeout(() => {
+      this.poll()
+        .catch((err) => {
+          if (this.listenerCount('error')) {
+            this.emit('error', err)
+          }
+        })
+        .finally(() => {
+          this._timer = null
+          this.schedule()
+        })
+    }, this.pollInterval)
+  }
+
+  /**
+   * Check the pending conditional orders of one pair against its last price.
+   * @access private
+   * @param {string} pair The trading pair.
+   * @param {Object[]} orders The pending conditional orders of the pair.
+   * @return {Promise} Resolves once triggers that fired have placed their orders.
+   */
+  pollPair(pair, orders) {
+    return Q(this.client.getTicker({
+      pair: pair
+    })).then((result) => {
+      let price = Number(models.raw(result).data.lastDealPrice)
+      let moved = false
+      let fired = orders.filter((order) => {
+        if (order.status !== 'PENDING') {
+          return false
+        }
+        if (order.kind === 'trailingStop') {
+          moved = this.follow(order, price) || moved
+        }
+        return this.crossed(order, price)
+      })
+      return Q.all(fired.map((order) => this.trigger(order)))
+        .then(() => (moved && !fired.length ? this.save() : null))
+    })
+  }
+
+  /**
+   * Move a trailing stop if the price moved in its favour.
+   * @access private
+   * @param {Object} order The trailing stop.
+   * @param {number} price The last price.
+   * @return {boolean} Whether the stop price moved.
+   */
+  follow(order, price) {
+    let up = (order.type === 'SELL')
+    if (order.extreme !== null && (up ? price <= order.extreme : price >= order.extreme)) {
+      return false
+    }
+    let distance = (order.trailPercent ? decimal.toDecimal(price).times(order.trailPercent).dividedBy(100) : decimal.toDecimal(order.trail))
+    order.extreme = price
+    order.triggerPrice = Number(up ? decimal.toDecimal(price).minus(distance) : decimal.toDecimal(price).plus(distance))
+    order.updatedAt = Date.now()
+    return true
+  }
+
+  /**
+   * Whether the price reached a conditional order's trigger price.
+   * @access private
+   * @param {Object} order The conditional order.
+   * @param {number} price The last price.
+   * @return {boolean} True if the trigger fires.
+   */
+  crossed(order, price) {
+    let falling = (order.kind === 'takeProfit' ? order.type === 'BUY' : order.type === 'SELL')
+    return (falling ? price <= order.triggerPrice : price >= order.triggerPrice)
+  }
+
+  /**
+   * Place the order of a conditional order that fired, after cancelling an OCO's limit order.
+   * @access private
+   * @param {Object} order The conditional order.
+   * @return {Promise} Resolves once the order is placed, or the conditional order marked as failed.
+   */
+  trigger(order) {
+    this.setStatus(order, 'TRIGGERING')
+    return this.save()
+      .then(() => (order.limitOrderOid ? this.cancelLimitOrder(order) : order.amount))
+      .then((amount) => {
+        if (!(amount > 0)) {
+          this.setStatus(order, 'FILLED')
+          this.emit('filled', order)
+          return
+        }
+        return this.limitPrice(order)
+          .then((price) => this.client.createOrder({
+            pair: order.pair,
+            type: order.type,
+            price: price,
+            amount: amount
+          }))
+          .then((result) => {
+            order.orderOid = models.raw(result).data.orderOid
+            this.setStatus(order, 'TRIGGERED')
+            this.emit('triggered', order)
+          })
+      })
+      .catch((err) => {
+        order.error = err.message
+        this.setStatus(order, 'FAILED')
+        if (this.listenerCount('error')) {
+          this.emit('error', err, order)
+        }
+      })
+      .then(() => this.save())
+  }
+
+  /**
+   * Cancel an OCO's limit order because its stop fired.
+   * @access private
+   * @param {Object} order The OCO.
+   * @return {Promise} Resolves with the amount the limit order left unfilled once it is cancelled or filled, rejects if it is still open after `cancelTimeout`.
+   */
+  cancelLimitOrder(order) {
+    return this.orderManager.cancel(order.limitOrderOid)
+      .then((limitOrder) => this.limitOrderSettled(limitOrder))
+      .then((limitOrder) => Number(decimal.toDecimal(order.amount).minus(limitOrder.dealtAmount)))
+  }
+
+  /**
+   * Keep following a cancelled limit order while the exchange still lists it as open.
+   * @access private
+   * @param {Object} limitOrder The limit order, as tracked by the order manager.
+   * @return {Promise} Resolves with the limit order once it is cancelled or filled, rejects with an OrderTimeoutError if it is still open after `cancelTimeout`.
+   */
+  limitOrderSettled(limitOrder) {
+    if (limitOrder.status !== 'OPEN' && limitOrder.status !== 'PARTIALLY_FILLED') {
+      return Q(limitOrder)
+    }
+    return this.orderManager.waitForFill(limitOrder.orderOid, {
+      timeout: this.cancelTimeout
+    }).catch((err) => {
+      if (err instanceof errors.OrderCancelledError) {
+        return err.order
+      }
+      if (!(err instanceof errors.OrderTimeoutError)) {
+        throw err
+      }
+      throw new errors.OrderTimeoutError('Limit order ' + limitOrder.orderOid + ' was still open ' + this.cancelTimeout + 'ms after cancelling it', {
+        params: {
+          orderOid: limitOrder.orderOid
+        },
+        cause: err
+      })
+    })
+  }
+
+  /**
+   * Finish an OCO whose limit order filled or was cancelled outside the engine.
+   * @access private
+   * @param {Object} limitOrder The limit order, as tracked by the order manager.
+   */
+  limitOrderDone(limitOrder) {
+    let order = this.pending().filter((order) => order.limitOrderOid === limitOrder.orderOid)[0]
+    if (!order) {
+      return
+    }
+    if (limitOrder.status === 'FILLED') {
+      this.setStatus(order, 'FILLED')
+      this.emit('filled', order)
+    } else {
+      this.setStatus(order, 'CANCELLED')
+      this.emit('cancelled', order)
+    }
+    this.save().catch((err) => {
+      if (this.listenerCount('error')) {
+        this.emit('error', err)
+      }
+    })
+  }
+
+  /**
+   * The limit price for a conditional order that fired.
+   * @access private
+   * @param {Object} order The conditional order.
+   * @return {Promise} Resolves with its price, or the trigger price moved by its offset and rounded to the pair's precision.
+   */
+  limitPrice(order) {
+    if (order.price !== undefined) {
+      return Q(order.price)
+    }
+    let sell = (order.type === 'SELL')
+    let price = decimal.toDecimal(order.triggerPrice)
+    price = (sell ? price.minus(order.offset) : price.plus(order.offset))
+    return this.client.metadata.precision(order.pair)
+      .then((precision) => decimal.format(decimal.round(price, precision.price, (sell ? 'down' : 'up'))))
+  }
+
+  /**
+   * Change the status of a conditional order.
+   * @access private
+   * @param {Object} order The conditional order.
+   * @param {string} status The new status.
+   */
+  setStatus(order, status) {
+    order.status = status
+    order.updatedAt = Date.now()
+  }
+
+  /**
+   * Save every conditional order to the store, one save at a time.
+   * @access private
+   * @return {Promise} Resolves once saved.
+   */
+  save() {
+    if (!this.store) {
+      return Q()
+    }
+    let orders = Object.keys(this.orders).map((id) => Object.assign({}, this.orders[id]))
+    this._saving = this._saving
+      .catch(() => {})
+      .then(() => this.store.save(orders))
+    return this._saving
+  }
+
+  /**
+   * A validation error for invalid conditional order parameters.
+   * @access private
+   * @param {string} message What is wrong.
+   * @param {Object} params The parameters.
+   * @return {ValidationError} The error.
+   */
+  invalid(message, params) {
+    return new errors.ValidationError(message, {
+      params: params
+    })
+  }
+
+}
+
+module.exports = ConditionalOrders
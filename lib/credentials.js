@@ -0,0 +1,217 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const Q = require('q')
+const errors = require('./errors')
+
+/**
+ * Secrets of each provider, kept out of the providers themselves so logging
+ * or serialising a provider or client cannot reveal them.
+ * @access private
+ */
+const secrets = new WeakMap()
+
+/**
+ * Credentials given as strings, what the client uses when created with an
+ * API key and secret.
+ *
+ * A credential provider is any object with a `get()` function returning
+ * `{apiKey, apiSecret}` or a Promise for it, called for every signed request.
+ * @class
+ * @param {string} apiKey The API key.
+ * @param {string} apiSecret The API secret.
+ */
+class StaticCredentials {
+
+  /**
+   * Keep the credentials.
+   * @param {string} apiKey The API key.
+   * @param {string} apiSecret The API secret.
+   */
+  constructor(apiKey, apiSecret) {
+    secrets.set(this, {
+      apiKey: apiKey,
+      apiSecret: apiSecret
+    })
+  }
+
+  /**
+   * The credentials.
+   * @access public
+   * @return {Promise} Resolves with `{apiKey, apiSecret}`.
+   */
+  get() {
+    return Q(Object.assign({}, secrets.get(this)))
+  }
+
+}
+
+/**
+ * Credentials read from environment variables on every request, so a
+ * rotated key only needs the variables updated.
+ * @class
+ * @param {Object} [options] Variable names.
+ * @param {string} [options.key='KUCOIN_API_KEY'] Variable holding the API key.
+ * @param {string} [options.secret='KUCOIN_API_SECRET'] Variable holding the API secret.
+ * @example
+ * let kc = new Kucoin(null, null, {
+ *   credentials: new EnvCredentials()
+ * })
+ */
+class EnvCredentials {
+
+  /**
+   * Set up the provider.
+   * @param {Object} [options] Variable names.
+   */
+  constructor(options = {}) {
+    this.key = options.key || 'KUCOIN_API_KEY'
+    this.secret = options.secret || 'KUCOIN_API_SECRET'
+  }
+
+  /**
+   * Read the credentials.
+   * @access public
+   * @return {Promise} Resolves with `{apiKey, apiSecret}`, rejects with an AuthenticationError if either variable is not set.
+   */
+  get() {
+    if (!process.env[this.key] || !process.env[this.secret]) {
+      return Q.reject(new errors.AuthenticationError('The environment variables ' + this.key + ' and ' + this.secret + ' must be set'))
+    }
+    return Q({
+      apiKey: process.env[this.key],
+      apiSecret: process.env[this.secret]
+    })
+  }
+
+}
+
+/**
+ * Credentials kept in a file encrypted with a passphrase, with AES-256-GCM
+ * and a key derived by scrypt. The file is read and decrypted on the first
+ * request only.
+ * @class
+ * @param {string} path The file.
+ * @param {Object} options Decryption options.
+ * @param {string|Function} options.passphrase The passphrase, or a function returning it or a Promise for it, e.g. to prompt for it.
+ * @example
+ * let credentials = new FileCredentials('./kucoin.key', { passphrase: process.env.KUCOIN_PASSPHRASE })
+ * credentials.save({ apiKey, apiSecret }) // once
+ *
+ * let kc = new Kucoin(null, null, { credentials })
+ */
+class FileCredentials {
+
+  /**
+   * Set up the provider.
+   * @param {string} path The file.
+   * @param {Object} options Decryption options.
+   */
+  constructor(path, options = {}) {
+    this.path = path
+    secrets.set(this, {
+      passphrase: options.passphrase,
+      credentials: null
+    })
+  }
+
+  /**
+   * Read and decrypt the credentials, once.
+   * @access public
+   * @return {Promise} Resolves with `{apiKey, apiSecret}`, rejects with an AuthenticationError if the file cannot be decrypted.
+   */
+  get() {
+    let secret = secrets.get(this)
+    if (!secret.credentials) {
+      secret.credentials = Q.all([Q.nfcall(fs.readFile, this.path, 'utf8'), this.passphrase()])
+        .then((results) => {
+          let file = JSON.parse(results[0])
+          let key = crypto.scryptSync(results[1], Buffer.from(file.salt, 'base64'), 32)
+          let decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'))
+          decipher.setAuthTag(Buffer.from(file.tag, 'base64'))
+          try {
+            return JSON.parse(Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]).toString('utf8'))
+          } catch (err) {
+            throw new errors.AuthenticationError('The credentials in ' + this.path + ' cannot be decrypted with this passphrase')
+          }
+        })
+      secret.credentials.catch(() => {
+        secret.credentials = null
+      })
+    }
+    return secret.credentials.then((credentials) => ({
+      apiKey: credentials.apiKey,
+      apiSecret: credentials.apiSecret
+    }))
+  }
+
+  /**
+   * Encrypt credentials and write them to the file.
+   * @access public
+   * @param {{apiKey: string, apiSecret: string}} credentials The credentials.
+   * @return {Promise} Resolves once written, the file is only readable by its owner.
+   */
+  save(credentials) {
+    return this.passphrase().then((passphrase) => {
+      let salt = crypto.randomBytes(16)
+      let iv = crypto.randomBytes(12)
+      let cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), iv)
+      let data = Buffer.concat([cipher.update(JSON.stringify({
+        apiKey: credentials.apiKey,
+        apiSecret: credentials.apiSecret
+      }), 'utf8'), cipher.final()])
+      let contents = JSON.stringify({
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      }, null, 2)
+      return Q.nfcall(fs.writeFile, this.path, contents, {
+        mode: 0o600
+      })
+    }).then(() => {
+      secrets.get(this).credentials = null
+    })
+  }
+
+  /**
+   * The passphrase.
+   * @access private
+   * @return {Promise} Resolves with the passphrase.
+   */
+  passphrase() {
+    let passphrase = secrets.get(this).passphrase
+    return Q.fcall(() => (typeof passphrase === 'function' ? passphrase() : passphrase)).then((value) => {
+      if (!value) {
+        throw new errors.AuthenticationError('A passphrase is required for ' + this.path)
+      }
+      return value
+    })
+  }
+
+}
+
+/**
+ * Turn what the client was given into a credential provider.
+ * @access private
+ * @param {Object|Function} [credentials] A provider, or a function returning `{apiKey, apiSecret}` or a Promise for it.
+ * @param {string} [apiKey] The API key, if no provider is given.
+ * @param {string} [apiSecret] The API secret, if no provider is given.
+ * @return {Object} The provider.
+ */
+function provider(credentials, apiKey, apiSecret) {
+  if (typeof credentials === 'function') {
+    return {
+      get: credentials
+    }
+  }
+  return credentials || new StaticCredentials(apiKey, apiSecret)
+}
+
+module.exports = {
+  StaticCredentials,
+  EnvCredentials,
+  FileCredentials,
+  provider
+}
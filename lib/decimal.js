@@ -0,0 +1,87 @@
+'use strict'
+
+const BigNumber = require('bignumber.js')
+
+/**
+ * Turn a number, numeric string or BigNumber into a BigNumber.
+ * Numbers are read from their shortest string form, so a price parsed from
+ * JSON as `0.608004` becomes exactly 0.608004.
+ * @param {number|string|BigNumber} value The value to convert.
+ * @return {BigNumber} The decimal.
+ */
+function toDecimal(value) {
+  return (value instanceof BigNumber ? value : new BigNumber(String(value)))
+}
+
+/**
+ * Format a decimal for the query string: plain notation, no exponent, no rounding.
+ * @param {number|string|BigNumber} value The value to format.
+ * @return {string} The formatted value, e.g. '0.0000001' for 1e-7.
+ */
+function format(value) {
+  return toDecimal(value).toFixed()
+}
+
+/**
+ * Whether a value should be formatted as a decimal on the wire.
+ * @param {*} value A request parameter.
+ * @return {boolean} True for finite numbers and BigNumbers.
+ */
+function isDecimal(value) {
+  return value instanceof BigNumber || (typeof value === 'number' && isFinite(value))
+}
+
+/**
+ * Number of decimal places of a value.
+ * @param {number|string|BigNumber} value The value.
+ * @return {number} The decimal places, ignoring trailing zeros.
+ */
+function decimalPlaces(value) {
+  return toDecimal(value).decimalPlaces()
+}
+
+/**
+ * Round a value to a number of decimal places.
+ * @param {number|string|BigNumber} value The value to round.
+ * @param {number} places Decimal places to keep, null to keep them all.
+ * @param {string} [direction='down'] Either 'down', 'up' or 'nearest'.
+ * @return {BigNumber} The rounded value.
+ */
+function round(value, places, direction = 'down') {
+  let mode = {
+    down: BigNumber.ROUND_DOWN,
+    up: BigNumber.ROUND_UP,
+    nearest: BigNumber.ROUND_HALF_UP
+  }[direction]
+  if (places === null || places === undefined) {
+    return toDecimal(value)
+  }
+  return toDecimal(value).round(places, mode)
+}
+
+/**
+ * A function converting numeric response fields for the `decimals` client option.
+ * @param {string} [mode='number'] Either 'number', 'string' or 'bignumber'.
+ * @return {Function} The converter, leaving null and undefined alone.
+ */
+function converter(mode = 'number') {
+  let convert = {
+    number: (value) => Number(value),
+    string: format,
+    bignumber: toDecimal
+  }[mode]
+  if (!convert) {
+    throw new Error('Unknown decimals mode ' + mode)
+  }
+  return (value) => (value === null || value === undefined ? value : convert(value))
+}
+
+module.exports = {
+  BigNumber,
+  toDecimal,
+  format,
+  isDecimal,
+  decimalPlaces,
+  round,
+  converter
+}
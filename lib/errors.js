@@ -0,0 +1,232 @@
+'use strict'
+
+/**
+ * Parameter names whose values are never copied onto an error.
+ * @access private
+ */
+const SECRET_PARAMS = /secret|password|passphrase|signature|token|key/i
+
+/**
+ * KuCoin response codes and the error class each one maps to.
+ * @access private
+ */
+const CODES = {
+  UNAUTH: 'AuthenticationError',
+  NO_LOGIN: 'AuthenticationError',
+  SIGNATURE_ERROR: 'AuthenticationError',
+  INVALID_PARAMS: 'ValidationError',
+  ILLEGAL_PARAM: 'ValidationError',
+  NO_BALANCE: 'InsufficientFundsError',
+  INSUFFICIENT_BALANCE: 'InsufficientFundsError',
+  ORDER_NOT_EXIST: 'OrderNotFoundError',
+  TOO_MANY_REQUESTS: 'RateLimitError'
+}
+
+/**
+ * Copy request parameters, replacing anything that looks like a secret.
+ * @access private
+ * @param {Object} [params] The request parameters.
+ * @return {Object} The redacted copy.
+ */
+function redact(params) {
+  if (!params) {
+    return params
+  }
+  let redacted = {}
+  Object.keys(params).forEach((key) => {
+    redacted[key] = (SECRET_PARAMS.test(key) ? '[REDACTED]' : params[key])
+  })
+  return redacted
+}
+
+/**
+ * Base class of every error the client rejects with.
+ * @class
+ * @param {string} message What went wrong.
+ * @param {Object} [details] The request and response that led to the error.
+ * @param {string} [details.method] HTTP request method.
+ * @param {string} [details.endpoint] API endpoint URL suffix.
+ * @param {Object} [details.params] Request parameters, secrets are redacted.
+ * @param {number} [details.statusCode] HTTP status of the response, if one was received.
+ * @param {string} [details.code] KuCoin response code, or the system error code for network errors.
+ * @param {Object} [details.headers] Headers of the response.
+ * @param {Object} [details.response] Body of the response.
+ * @param {Error} [details.cause] The underlying error.
+ * @example
+ * kc.createOrder(order).catch((err) => {
+ *   if (err instanceof Kucoin.InsufficientFundsError) {
+ *     // top up
+ *   } else if (err instanceof Kucoin.NetworkError) {
+ *     // try again later
+ *   }
+ * })
+ */
+class KucoinError extends Error {
+
+  /**
+   * Create the error.
+   * @param {string} message What went wrong.
+   * @param {Object} [details] The request and response that led to the error.
+   */
+  constructor(message, details = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.method = details.method
+    this.endpoint = details.endpoint
+    this.params = redact(details.params)
+    this.statusCode = details.statusCode
+    this.code = details.code
+    this.headers = details.headers
+    this.response = details.response
+    this.cause = details.cause
+  }
+
+}
+
+/**
+ * No response was received, e.g. the connection failed or timed out.
+ * @class
+ */
+class NetworkError extends KucoinError {}
+
+/**
+ * The server responded with an HTTP error that has no more specific meaning.
+ * @class
+ */
+class HttpError extends KucoinError {}
+
+/**
+ * KuCoin rejected the request with `success: false` for a reason that has no more specific class.
+ * @class
+ */
+class ApiError extends KucoinError {}
+
+/**
+ * The API key, signature or nonce was not accepted.
+ * @class
+ */
+class AuthenticationError extends KucoinError {}
+
+/**
+ * The request parameters are invalid.
+ * @class
+ */
+class ValidationError extends KucoinError {}
+
+/**
+ * The account does not hold enough of a coin for the order or withdrawal.
+ * @class
+ */
+class InsufficientFundsError extends KucoinError {}
+
+/**
+ * The order does not exist or is no longer active.
+ * @class
+ */
+class OrderNotFoundError extends KucoinError {}
+
+/**
+ * Too many requests were sent.
+ * @class
+ */
+class RateLimitError extends KucoinError {}
+
+/**
+ * An order was not filled in time, see `OrderManager#waitForFill`. The tracked order is its `order` property.
+ * @class
+ */
+class OrderTimeoutError extends KucoinError {}
+
+/**
+ * An order was cancelled before it was completely filled, see `OrderManager#waitForFill`. The tracked order is its `order` property.
+ * @class
+ */
+class OrderCancelledError extends KucoinError {}
+
+/**
+ * A market order was not placed because the book cannot fill it within the slippage cap, see `Kucoin#marketBuy`.
+ * @class
+ */
+class SlippageError extends KucoinError {}
+
+/**
+ * A request that would change the account was refused without being sent, as the client is read-only.
+ * @class
+ */
+class ReadOnlyError extends KucoinError {}
+
+/**
+ * A withdrawal was not requested as a check of the WithdrawalGuard failed, the check is its `code`, see `WithdrawalGuard`.
+ * @class
+ */
+class WithdrawalBlockedError extends KucoinError {}
+
+/**
+ * An order was not placed as it would exceed a limit of the RiskControls, or trading is halted, the check is its `code`, see `RiskControls`.
+ * @class
+ */
+class RiskLimitError extends KucoinError {}
+
+const classes = {
+  KucoinError,
+  NetworkError,
+  HttpError,
+  ApiError,
+  AuthenticationError,
+  ValidationError,
+  InsufficientFundsError,
+  OrderNotFoundError,
+  RateLimitError,
+  OrderTimeoutError,
+  OrderCancelledError,
+  SlippageError,
+  ReadOnlyError,
+  WithdrawalBlockedError,
+  RiskLimitError
+}
+
+/**
+ * Turn whatever a request failed with into a KucoinError.
+ * @param {Object} err A transport error, or the body of a `success: false` response.
+ * @param {{method: string, endpoint: string, params: Object}} request The request that failed.
+ * @return {KucoinError} The matching error.
+ */
+function fromResponse(err, request = {}) {
+  if (err instanceof KucoinError) {
+    return err
+  }
+  err = err || {}
+  let body = (err.success === false ? err : err.body)
+  let details = Object.assign({}, request, {
+    statusCode: err.statusCode,
+    headers: err.headers,
+    response: body,
+    cause: (err instanceof Error ? err : undefined)
+  })
+  if (err.statusCode === undefined && err.success !== false) {
+    details.code = err.code
+    return new NetworkError(err.message || 'Request failed', details)
+  }
+  details.code = (body && body.code ? body.code : undefined)
+  let message = (body && body.msg) || err.message || 'Request failed'
+  let name = CODES[details.code]
+  if (!name) {
+    if (err.statusCode === 401 || err.statusCode === 403) {
+      name = 'AuthenticationError'
+    } else if (err.statusCode === 429) {
+      name = 'RateLimitError'
+    } else if (err.statusCode === 400) {
+      name = 'ValidationError'
+    } else if (err.statusCode !== undefined && err.statusCode >= 300) {
+      name = 'HttpError'
+    } else {
+      name = 'ApiError'
+    }
+  }
+  return new classes[name](message, details)
+}
+
+module.exports = Object.assign({
+  fromResponse,
+  redact
+}, classes)
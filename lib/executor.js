@@ -0,0 +1,283 @@
+'use strict'
+
+const EventEmitter = require('events')
+const Q = require('q')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const OrderManager = require('./order-manager')
+
+/**
+ * Base class of the execution algorithms, which work a parent order off as a
+ * series of smaller child orders.
+ *
+ * Subclasses implement `run`, placing children with `place`. Child orders are
+ * followed with an OrderManager, and each one is cancelled if it is still
+ * open when its time is up, whatever it filled counts towards the parent.
+ * A cancelled child the exchange still lists as open is followed until it
+ * leaves the active orders, so the next child is only placed once it is
+ * done.
+ * Events:
+ *
+ * - `order`: a child order was placed, as tracked by the OrderManager.
+ * - `fill`: a child order is done and filled some amount, with the report so far as second argument.
+ * - `done`: the execution finished or was cancelled, with the report.
+ * @class
+ * @extends EventEmitter
+ * @param {Kucoin} client The client to place orders with.
+ * @param {{pair: string, type: string, amount: number, limitPrice: number}} params The parent order: trading pair, type, amount, and optionally the worst price any child may be placed at.
+ * @param {Object} [options] Execution options.
+ * @param {OrderManager} [options.orderManager] The manager to follow child orders with.
+ * @param {number} [options.pollInterval=1000] Milliseconds between checks of child orders, if no `orderManager` is given.
+ */
+class Executor extends EventEmitter {
+
+  /**
+   * Set up the execution, nothing is placed until `start` is called.
+   * @param {Kucoin} client The client to place orders with.
+   * @param {Object} params The parent order.
+   * @param {Object} [options] Execution options.
+   */
+  constructor(client, params = {}, options = {}) {
+    super()
+    this.client = client
+    this.pair = params.pair
+    this.type = params.type
+    this.amount = Number(params.amount)
+    this.limitPrice = (params.limitPrice !== undefined ? Number(params.limitPrice) : null)
+    this.orderManager = options.orderManager || new OrderManager(client, {
+      pollInterval: options.pollInterval || 1000
+    })
+    this.orders = []
+    this.status = 'NEW'
+    this.arrivalPrice = null
+    this.precision = null
+    this.startedAt = null
+    this.finishedAt = null
+    this._filled = decimal.toDecimal(0)
+    this._cost = decimal.toDecimal(0)
+    this._running = null
+    this._cancelled = false
+    this._current = null
+    this._sleep = null
+  }
+
+  /**
+   * Start working the order off.
+   * @access public
+   * @return {Promise} Resolves with the report once the whole amount is filled or the execution is cancelled. If a request fails, rejects with the error, carrying the report so far as its `report` property.
+   */
+  start() {
+    if (this._running) {
+      return this._running
+    }
+    if (!this.pair || (this.type !== 'BUY' && this.type !== 'SELL') || !(this.amount > 0)) {
+      return Q.reject(new errors.ValidationError('A trading pair, a type of BUY or SELL and an amount greater than 0 are required', {
+        params: {
+          pair: this.pair,
+          type: this.type,
+          amount: this.amount
+        }
+      }))
+    }
+    this.status = 'RUNNING'
+    this.startedAt = Date.now()
+    this._running = Q.all([this.client.metadata.precision(this.pair), this.book()])
+      .then((results) => {
+        this.precision = results[0]
+        this.arrivalPrice = results[1].midPrice()
+        return this.run()
+      })
+      .then(() => {
+        this.finish(this._cancelled ? 'CANCELLED' : 'COMPLETED')
+        let report = this.report()
+        this.emit('done', report)
+        return report
+      }, (err) => {
+        this.finish('FAILED')
+        err.report = this.report()
+        throw err
+      })
+    return this._running
+  }
+
+  /**
+   * Stop placing child orders and cancel the open one.
+   * @access public
+   * @return {Promise} Resolves with the report once the open child order is cancelled.
+   */
+  cancel() {
+    this._cancelled = true
+    if (this._sleep) {
+      this._sleep.resolve()
+    }
+    if (this._current) {
+      this.orderManager.cancel(this._current.orderOid).catch(() => {})
+    }
+    return (this._running || Q(this.report()))
+  }
+
+  /**
+   * What has been executed so far.
+   * @access public
+   * @return {Object} The report as `{pair, type, amount, filledAmount, remainingAmount, averagePrice, arrivalPrice, slippage, orders, status, startedAt, finishedAt}`. `arrivalPrice` is the mid price when the execution started, and `slippage` how much worse than it the average price is, as a fraction of it.
+   */
+  report() {
+    let averagePrice = (this._filled.greaterThan(0) ? Number(this._cost.dividedBy(this._filled)) : null)
+    let slippage = null
+    if (averagePrice !== null && this.arrivalPrice) {
+      let difference = decimal.toDecimal(averagePrice).minus(decimal.toDecimal(this.arrivalPrice))
+      slippage = Number((this.type === 'BUY' ? difference : difference.negated()).dividedBy(decimal.toDecimal(this.arrivalPrice)))
+    }
+    return {
+      pair: this.pair,
+      type: this.type,
+      amount: this.amount,
+      filledAmount: Number(this._filled),
+      remainingAmount: this.remaining(),
+      averagePrice: averagePrice,
+      arrivalPrice: this.arrivalPrice,
+      slippage: slippage,
+      orders: this.orders.length,
+      status: this.status,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt
+    }
+  }
+
+  /**
+   * Work the order off, implemented by each algorithm.
+   * @access private
+   * @return {Promise} Resolves once done or cancelled.
+   */
+  run() {
+    return Q.reject(new Error('Not implemented'))
+  }
+
+  /**
+   * Place a child order and wait until it is filled, cancelled, or its time is up.
+   * @access private
+   * @param {number} amount Amount of the child order.
+   * @param {number} price Price of the child order.
+   * @param {number} [timeout] Milliseconds before the child order is cancelled, it waits until filled by default.
+   * @return {Promise} Resolves with the child order once it is done.
+   */
+  place(amount, price, timeout) {
+    return this.orderManager.submit({
+      pair: this.pair,
+      type: this.type,
+      price: price,
+      amount: amount
+    }).then((order) => {
+      this._current = order
+      this.orders.push(order)
+      this.emit('order', order)
+      if (this._cancelled) {
+        this.orderManager.cancel(order.orderOid).catch(() => {})
+      }
+      return this.orderManager.waitForFill(order.orderOid, {
+        timeout: timeout,
+        cancel: true
+      }).catch((err) => this.settled(err))
+    }).then((order) => {
+      this._current = null
+      if (order.dealtAmount > 0) {
+        let dealt = decimal.toDecimal(order.dealtAmount)
+        this._filled = this._filled.plus(dealt)
+        this._cost = this._cost.plus(dealt.times(decimal.toDecimal(order.averagePrice !== null ? order.averagePrice : order.price)))
+        this.emit('fill', order, this.report())
+      }
+      return order
+    })
+  }
+
+  /**
+   * Handle a child order that was not filled: resolve with it once it is cancelled, or keep following it while the exchange still lists it as open after the cancellation went through.
+   * @access private
+   * @param {Error} err Why waiting for the fill failed.
+   * @return {Promise} Resolves with the child order once it is filled or cancelled, rejects with the error if the order could not be cancelled.
+   */
+  settled(err) {
+    if (!err.order || err.cause) {
+      return Q.reject(err)
+    }
+    if (err.order.status !== 'OPEN' && err.order.status !== 'PARTIALLY_FILLED') {
+      return Q(err.order)
+    }
+    return this.orderManager.waitForFill(err.order.orderOid).catch((next) => this.settled(next))
+  }
+
+  /**
+   * The current order book of the pair.
+   * @access private
+   * @return {Promise} Resolves with an OrderBook.
+   */
+  book() {
+    return Q(this.client.loadOrderBook({
+      pair: this.pair
+    }))
+  }
+
+  /**
+   * Amount still to be filled.
+   * @access private
+   * @return {number} The amount.
+   */
+  remaining() {
+    return Number(decimal.toDecimal(this.amount).minus(this._filled))
+  }
+
+  /**
+   * Round an amount down to the pair's precision.
+   * @access private
+   * @param {number} amount The amount.
+   * @return {number} The rounded amount.
+   */
+  roundAmount(amount) {
+    return Number(decimal.round(amount, this.precision.amount, 'down'))
+  }
+
+  /**
+   * Keep a price within `limitPrice`.
+   * @access private
+   * @param {number} price The price.
+   * @return {number} The price, or `limitPrice` if it is worse.
+   */
+  bounded(price) {
+    if (this.limitPrice === null) {
+      return price
+    }
+    return (this.type === 'BUY' ? Math.min(price, this.limitPrice) : Math.max(price, this.limitPrice))
+  }
+
+  /**
+   * Wait, unless the execution is cancelled first.
+   * @access private
+   * @param {number} ms Milliseconds to wait.
+   * @return {Promise} Resolves after the wait.
+   */
+  sleep(ms) {
+    if (this._cancelled || ms <= 0) {
+      return Q()
+    }
+    let deferred = Q.defer()
+    let timer = setTimeout(deferred.resolve, ms)
+    this._sleep = deferred
+    return deferred.promise.finally(() => {
+      clearTimeout(timer)
+      this._sleep = null
+    })
+  }
+
+  /**
+   * Record how the execution ended.
+   * @access private
+   * @param {string} status 'COMPLETED', 'CANCELLED' or 'FAILED'.
+   */
+  finish(status) {
+    this.status = status
+    this.finishedAt = Date.now()
+  }
+
+}
+
+module.exports = Executor
@@ -0,0 +1,57 @@
+'use strict'
+
+const fs = require('fs')
+const Q = require('q')
+
+/**
+ * Keeps state in a JSON file, e.g. the pending triggers of ConditionalOrders.
+ *
+ * Any object with the same `load` and `save` methods can be used instead, to
+ * keep state in a database.
+ * @class
+ * @param {string} path The file to use, created on the first save.
+ * @example
+ * let engine = new ConditionalOrders(kc, {
+ *   store: new FileStore('./triggers.json')
+ * })
+ */
+class FileStore {
+
+  /**
+   * Set up the store.
+   * @param {string} path The file to use.
+   */
+  constructor(path) {
+    this.path = path
+  }
+
+  /**
+   * Read the saved state.
+   * @access public
+   * @return {Promise} Resolves with the state, or null if nothing was saved yet.
+   */
+  load() {
+    return Q.nfcall(fs.readFile, this.path, 'utf8')
+      .then((contents) => JSON.parse(contents), (err) => {
+        if (err.code === 'ENOENT') {
+          return null
+        }
+        throw err
+      })
+  }
+
+  /**
+   * Replace the saved state. The file is written next to the old one and renamed over it, so it is never left half written.
+   * @access public
+   * @param {*} state Anything JSON can represent.
+   * @return {Promise} Resolves once the state is written.
+   */
+  save(state) {
+    let temporary = this.path + '.tmp'
+    return Q.nfcall(fs.writeFile, temporary, JSON.stringify(state, null, 2))
+      .then(() => Q.nfcall(fs.rename, temporary, this.path))
+  }
+
+}
+
+module.exports = FileStore
@@ -0,0 +1,86 @@
+'use strict'
+
+const Q = require('q')
+const errors = require('./errors')
+const Executor = require('./executor')
+
+/**
+ * Shows only part of an order on the book at a time, placing the next slice
+ * once the visible one is filled.
+ *
+ * Slices go at a fixed `price`, or without one they are pegged to the best
+ * price on their own side of the book, no worse than `limitPrice`. A pegged
+ * slice that is not filled within `sliceTimeout` is cancelled as stale and
+ * placed again at the new best price.
+ * @class
+ * @extends Executor
+ * @param {Kucoin} client The client to place orders with.
+ * @param {{pair: string, type: string, amount: number, visibleAmount: number, price: number, limitPrice: number}} params The parent order: trading pair, type, total amount, amount to show at a time, and either a fixed price or the worst price to peg to.
+ * @param {Object} [options] Execution options, see Executor.
+ * @param {number} [options.sliceTimeout=30000] Milliseconds before a pegged slice is replaced, fixed price slices wait until filled.
+ * @example
+ * let iceberg = new Iceberg(kc, { pair: 'GAS-NEO', type: 'BUY', amount: 500, visibleAmount: 20, limitPrice: 0.61 })
+ * iceberg.on('fill', (order, report) => console.log(report.filledAmount, 'of', report.amount))
+ * iceberg.start().then((report) => console.log('average', report.averagePrice, 'slippage', report.slippage))
+ */
+class Iceberg extends Executor {
+
+  /**
+   * Set up the execution.
+   * @param {Kucoin} client The client to place orders with.
+   * @param {Object} params The parent order.
+   * @param {Object} [options] Execution options.
+   */
+  constructor(client, params = {}, options = {}) {
+    super(client, params, options)
+    this.visibleAmount = Number(params.visibleAmount)
+    this.price = (params.price !== undefined ? Number(params.price) : null)
+    this.sliceTimeout = options.sliceTimeout || 30000
+  }
+
+  /**
+   * Place slices until the whole amount is filled.
+   * @access private
+   * @return {Promise} Resolves once done or cancelled.
+   */
+  run() {
+    if (!(this.visibleAmount > 0)) {
+      return Q.reject(new errors.ValidationError('The visible amount must be greater than 0', {
+        params: {
+          visibleAmount: this.visibleAmount
+        }
+      }))
+    }
+    let next = () => {
+      let amount = this.roundAmount(Math.min(this.visibleAmount, this.remaining()))
+      if (this._cancelled || !(amount > 0)) {
+        return Q()
+      }
+      return this.slicePrice()
+        .then((price) => this.place(amount, price, (this.price === null ? this.sliceTimeout : undefined)))
+        .then(next)
+    }
+    return next()
+  }
+
+  /**
+   * Price of the next slice.
+   * @access private
+   * @return {Promise} Resolves with the fixed price, or the best price on the order's side of the book.
+   */
+  slicePrice() {
+    if (this.price !== null) {
+      return Q(this.price)
+    }
+    return this.book().then((book) => {
+      let best = (this.type === 'BUY' ? book.bestBid() : book.bestAsk())
+      if (!best && this.limitPrice === null) {
+        throw new Error('The order book of ' + this.pair + ' is empty and no limit price is set')
+      }
+      return this.bounded(best ? best[0] : this.limitPrice)
+    })
+  }
+
+}
+
+module.exports = Iceberg
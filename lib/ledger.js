@@ -0,0 +1,414 @@
+'use strict'
+
+const Q = require('q')
+const settleAll = require('./batch')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const models = require('./models')
+const paginate = require('./pagination')
+
+/**
+ * Columns of each kind of CSV export, in order.
+ * @access private
+ */
+const COLUMNS = {
+  entries: ['time', 'date', 'type', 'pair', 'coin', 'quoteCoin', 'amount', 'price', 'value', 'fee', 'feeCoin', 'currency', 'fiatValue', 'fiatFee', 'id', 'orderOid', 'txid'],
+  disposals: ['time', 'date', 'coin', 'amount', 'proceeds', 'costBasis', 'gain', 'unmatchedAmount', 'currency', 'method', 'id']
+}
+
+/**
+ * Read every raw record of a paginated endpoint.
+ * @access private
+ * @param {Function} fetchPage Called with the query of each page, returns a Promise for the response.
+ * @param {Object} params The query, with optional `since` and `until`.
+ * @return {Promise} Resolves with the records.
+ */
+function collect(fetchPage, params) {
+  let records = paginate((query) => Q(fetchPage(query)).then(models.raw), params)
+  let all = []
+  let next = () => Q(records.next()).then((step) => {
+    if (step.done) {
+      return all
+    }
+    all.push(step.value)
+    return next()
+  })
+  return next()
+}
+
+/**
+ * Format a value for a CSV cell.
+ * @access private
+ * @param {*} value The value.
+ * @return {string} The cell.
+ */
+function cell(value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  let text = (decimal.isDecimal(value) ? decimal.format(value) : String(value))
+  return (/[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text)
+}
+
+/**
+ * A ledger of an account's fills, deposits and withdrawals valued in a fiat
+ * currency, with realised gains by FIFO or LIFO cost basis, for accounting.
+ *
+ * `load` reads every fill with `getDealtOrders` for each pair from
+ * `getTradingSymbols`, and every successful deposit and withdrawal with
+ * `getDepositAndWithdrawalRecords` for each coin from `getCoins`. Each entry
+ * is valued with the `rate` option. The API only has current exchange
+ * rates, which would misstate past entries, so without `rate` only amounts
+ * in `currency` itself are valued. Everything else has a null `fiatValue`
+ * and `fiatFee`, the lots it acquires have no cost basis, the gains totals
+ * are null and `valued` is false.
+ *
+ * For gains, every fill disposes of one coin and acquires the other at the
+ * fill's fiat value, fees are taken from the coin received. Deposits are
+ * acquired at their value, withdrawals remove lots without realising a gain.
+ * Disposals beyond the known lots have no cost basis and are reported as
+ * `unmatchedAmount`, pass the `lots` left at the end of the previous period
+ * as `openingLots` to carry them over.
+ * @class
+ * @param {Kucoin} client The client to read the history with.
+ * @param {Object} [options] Ledger options.
+ * @param {string} [options.currency='USD'] Currency to value entries in.
+ * @param {Function} [options.rate] Called with a coin and a time in milliseconds, returns the price of the coin in the currency at that time, or a Promise for it, or null if unknown.
+ * @param {string} [options.method='FIFO'] Default cost basis method, either 'FIFO' or 'LIFO'.
+ * @param {string[]} [options.pairs] Trading pairs to read fills for, every pair by default.
+ * @param {string[]} [options.coins] Coins to read deposits and withdrawals for, every coin by default.
+ * @param {Object} [options.openingLots] Lots held at the start, as `lots` in the result of `gains`.
+ * @param {number} [options.concurrency=3] Maximum number of pairs or coins read at a time.
+ * @example
+ * let ledger = new Ledger(kc, { currency: 'EUR', rate: (coin, time) => myRates.price(coin, 'EUR', time) })
+ * ledger.load({ since: Date.UTC(2018, 0, 1), until: Date.UTC(2018, 3, 1) - 1 }).then(() => {
+ *   fs.writeFileSync('ledger.csv', ledger.toCSV())
+ *   fs.writeFileSync('gains.csv', ledger.toCSV('disposals', 'FIFO'))
+ *   console.log(ledger.gains('LIFO').gain)
+ * })
+ */
+class Ledger {
+
+  /**
+   * Set up the ledger, nothing is read until `load` is called.
+   * @param {Kucoin} client The client to read the history with.
+   * @param {Object} [options] Ledger options.
+   */
+  constructor(client, options = {}) {
+    this.client = client
+    this.currency = options.currency || 'USD'
+    this.rate = options.rate || null
+    this.valued = !!this.rate
+    this.method = options.method || 'FIFO'
+    this.pairs = options.pairs || null
+    this.coins = options.coins || null
+    this.openingLots = options.openingLots || {}
+    this.concurrency = options.concurrency || 3
+    this.since = null
+    this.until = null
+    this.entries = []
+  }
+
+  /**
+   * Read the history and value every entry.
+   * @access public
+   * @param {Object} [params] Which history.
+   * @param {number} [params.since] Only entries at or after this time, in milliseconds.
+   * @param {number} [params.until] Only entries at or before this time, in milliseconds.
+   * @return {Promise} Resolves with the entries, oldest first, as `{time, type, pair, coin, quoteCoin, amount, price, value, fee, feeCoin, currency, fiatValue, fiatFee, id, orderOid, txid}`. `type` is one of 'BUY', 'SELL', 'DEPOSIT' and 'WITHDRAWAL', `value` is in the quote coin, `fiatValue` and `fiatFee` are null if no rate is known.
+   */
+  load(params = {}) {
+    let pairs = (this.pairs ? Q(this.pairs) : Q(this.client.getTradingSymbols())
+      .then((result) => models.raw(result).data.map((symbol) => symbol.symbol)))
+    let coins = (this.coins ? Q(this.coins) : Q(this.client.getCoins())
+      .then((result) => models.raw(result).data.map((coin) => coin.coin)))
+    let range = (query) => Object.assign(query, {
+      since: params.since,
+      until: params.until,
+      limit: 100
+    })
+    let read = (items, fn) => settleAll(items, this.concurrency, fn).then((outcome) => {
+      let failure = outcome.results.filter((result) => !result.success)[0]
+      if (failure) {
+        throw failure.error
+      }
+      return [].concat.apply([], outcome.results.map((result) => result.result))
+    })
+    let fills = pairs.then((list) => read(list, (pair) => collect((query) => this.client.getDealtOrders(query), range({
+      pair: pair
+    }))))
+    let records = coins.then((list) => read(list, (coin) => collect((query) => this.client.getDepositAndWithdrawalRecords(query), range({
+      symbol: coin
+    }))))
+    return Q.all([fills, records]).then((results) => {
+      let entries = results[0].map((fill) => {
+        let type = fill.direction || fill.dealDirection
+        return {
+          time: fill.createdAt,
+          type: type,
+          pair: fill.coinType + '-' + fill.coinTypePair,
+          coin: fill.coinType,
+          quoteCoin: fill.coinTypePair,
+          amount: fill.amount,
+          price: fill.dealPrice,
+          value: fill.dealValue,
+          fee: fill.fee,
+          feeCoin: (type === 'BUY' ? fill.coinType : fill.coinTypePair),
+          id: fill.oid,
+          orderOid: fill.orderOid,
+          txid: null
+        }
+      }).concat(results[1].filter((record) => record.status === 'SUCCESS').map((record) => ({
+        time: record.createdAt,
+        type: (record.type === 'WITHDRAW' ? 'WITHDRAWAL' : 'DEPOSIT'),
+        pair: null,
+        coin: record.coinType,
+        quoteCoin: null,
+        amount: record.amount,
+        price: null,
+        value: null,
+        fee: record.fee || 0,
+        feeCoin: record.coinType,
+        id: record.oid,
+        orderOid: null,
+        txid: record.outerWalletTxid || null
+      }))).sort((a, b) => a.time - b.time)
+      let worth = (coin, amount, time) => Q(this.price(coin, time)).then((price) => {
+        return (price === null || price === undefined ? null : decimal.toDecimal(amount).times(decimal.toDecimal(price)))
+      })
+      let value = (i) => {
+        if (i >= entries.length) {
+          return Q(entries)
+        }
+        let entry = entries[i]
+        let priced = (entry.quoteCoin ? worth(entry.quoteCoin, entry.value, entry.time) : Q(null))
+        return priced.then((fiatValue) => (fiatValue !== null ? fiatValue : worth(entry.coin, entry.amount, entry.time))).then((fiatValue) => {
+          let feeBase = decimal.toDecimal(entry.feeCoin === entry.coin ? entry.amount : entry.value)
+          entry.currency = this.currency
+          entry.fiatValue = (fiatValue !== null ? Number(fiatValue) : null)
+          entry.fiatFee = (fiatValue !== null && !feeBase.isZero() ? Number(fiatValue.times(decimal.toDecimal(entry.fee)).dividedBy(feeBase)) : null)
+          return value(i + 1)
+        })
+      }
+      return value(0)
+    }).then((entries) => {
+      this.since = (params.since !== undefined ? params.since : null)
+      this.until = (params.until !== undefined ? params.until : null)
+      this.entries = entries
+      return entries
+    })
+  }
+
+  /**
+   * Realised gains of the loaded entries.
+   * @access public
+   * @param {string} [method] Either 'FIFO' or 'LIFO', the `method` option by default.
+   * @return {Object} The gains as `{method, currency, valued, proceeds, costBasis, gain, coins, disposals, lots, unpriced}`. `valued` is false without the `rate` option, and the totals are then null. `coins` has `{proceeds, costBasis, gain}` per coin disposed of, `disposals` lists `{time, coin, amount, proceeds, costBasis, gain, unmatchedAmount, id}` for each entry disposing of a coin and `lots` the lots left per coin as `{time, amount, cost}`. Disposals without a known value are left out of the totals and their coins listed in `unpriced`.
+   */
+  gains(method) {
+    method = method || this.method
+    if (method !== 'FIFO' && method !== 'LIFO') {
+      throw new errors.ValidationError('Unknown cost basis method ' + method, {
+        params: {
+          method: method
+        }
+      })
+    }
+    let toDecimal = (value) => (value === null ? null : decimal.toDecimal(value))
+    let lots = {}
+    Object.keys(this.openingLots).forEach((coin) => {
+      lots[coin] = this.openingLots[coin].map((lot) => ({
+        time: lot.time,
+        amount: decimal.toDecimal(lot.amount),
+        cost: toDecimal(lot.cost)
+      }))
+    })
+    let acquire = (coin, time, amount, cost) => {
+      if (coin !== this.currency && amount.greaterThan(0)) {
+        lots[coin] = (lots[coin] || []).concat({
+          time: time,
+          amount: amount,
+          cost: cost
+        })
+      }
+    }
+    let remove = (coin, amount) => {
+      let held = lots[coin] || []
+      let left = amount
+      let cost = decimal.toDecimal(0)
+      while (left.greaterThan(0) && held.length) {
+        let lot = (method === 'FIFO' ? held[0] : held[held.length - 1])
+        let taken = (lot.amount.lessThan(left) ? lot.amount : left)
+        let share = (lot.cost === null ? null : lot.cost.times(taken).dividedBy(lot.amount))
+        cost = (cost === null || share === null ? null : cost.plus(share))
+        lot.cost = (share === null ? null : lot.cost.minus(share))
+        lot.amount = lot.amount.minus(taken)
+        left = left.minus(taken)
+        if (lot.amount.isZero()) {
+          held.splice(method === 'FIFO' ? 0 : held.length - 1, 1)
+        }
+      }
+      return {
+        cost: cost,
+        unmatched: left
+      }
+    }
+    let disposals = []
+    let dispose = (entry, coin, amount, proceeds) => {
+      if (coin === this.currency || !amount.greaterThan(0)) {
+        return
+      }
+      let removed = remove(coin, amount)
+      disposals.push({
+        time: entry.time,
+        coin: coin,
+        amount: amount,
+        proceeds: proceeds,
+        costBasis: removed.cost,
+        gain: (proceeds === null || removed.cost === null ? null : proceeds.minus(removed.cost)),
+        unmatchedAmount: removed.unmatched,
+        id: entry.id
+      })
+    }
+    this.entries.forEach((entry) => {
+      let amount = decimal.toDecimal(entry.amount)
+      let fee = decimal.toDecimal(entry.fee || 0)
+      let fiatValue = toDecimal(entry.fiatValue)
+      let fiatFee = toDecimal(entry.fiatFee)
+      if (entry.type === 'BUY') {
+        dispose(entry, entry.quoteCoin, decimal.toDecimal(entry.value), fiatValue)
+        acquire(entry.coin, entry.time, amount.minus(fee), fiatValue)
+      } else if (entry.type === 'SELL') {
+        let net = (fiatValue === null ? null : fiatValue.minus(fiatFee))
+        dispose(entry, entry.coin, amount, net)
+        acquire(entry.quoteCoin, entry.time, decimal.toDecimal(entry.value).minus(fee), net)
+      } else if (entry.type === 'DEPOSIT') {
+        acquire(entry.coin, entry.time, amount, fiatValue)
+      } else {
+        remove(entry.coin, amount)
+      }
+    })
+    let totals = {
+      proceeds: decimal.toDecimal(0),
+      costBasis: decimal.toDecimal(0),
+      gain: decimal.toDecimal(0)
+    }
+    let keys = Object.keys(totals)
+    let coins = {}
+    let unpriced = {}
+    disposals.forEach((disposal) => {
+      if (disposal.gain === null) {
+        unpriced[disposal.coin] = true
+        return
+      }
+      coins[disposal.coin] = coins[disposal.coin] || {
+        proceeds: decimal.toDecimal(0),
+        costBasis: decimal.toDecimal(0),
+        gain: decimal.toDecimal(0)
+      }
+      keys.forEach((key) => {
+        coins[disposal.coin][key] = coins[disposal.coin][key].plus(disposal[key])
+        totals[key] = totals[key].plus(disposal[key])
+      })
+    })
+    let number = (value) => (value === null ? null : Number(value))
+    let held = {}
+    Object.keys(lots).filter((coin) => lots[coin].length).forEach((coin) => {
+      held[coin] = lots[coin].map((lot) => ({
+        time: lot.time,
+        amount: Number(lot.amount),
+        cost: number(lot.cost)
+      }))
+    })
+    Object.keys(coins).forEach((coin) => {
+      coins[coin] = {
+        proceeds: Number(coins[coin].proceeds),
+        costBasis: Number(coins[coin].costBasis),
+        gain: Number(coins[coin].gain)
+      }
+    })
+    return {
+      method: method,
+      currency: this.currency,
+      valued: this.valued,
+      proceeds: (this.valued ? Number(totals.proceeds) : null),
+      costBasis: (this.valued ? Number(totals.costBasis) : null),
+      gain: (this.valued ? Number(totals.gain) : null),
+      coins: coins,
+      disposals: disposals.map((disposal) => ({
+        time: disposal.time,
+        coin: disposal.coin,
+        amount: Number(disposal.amount),
+        proceeds: number(disposal.proceeds),
+        costBasis: number(disposal.costBasis),
+        gain: number(disposal.gain),
+        unmatchedAmount: Number(disposal.unmatchedAmount),
+        id: disposal.id
+      })),
+      lots: held,
+      unpriced: Object.keys(unpriced)
+    }
+  }
+
+  /**
+   * The entries or the disposals as CSV, with a header row.
+   * @access public
+   * @param {string} [kind='entries'] Either 'entries' or 'disposals'.
+   * @param {string} [method] Cost basis method of the disposals, the `method` option by default.
+   * @return {string} The CSV, one line per entry or disposal, with the time both in milliseconds and as an ISO 8601 date.
+   */
+  toCSV(kind = 'entries', method) {
+    let columns = COLUMNS[kind]
+    if (!columns) {
+      throw new errors.ValidationError('Unknown ledger export ' + kind, {
+        params: {
+          kind: kind
+        }
+      })
+    }
+    let rows = (kind === 'entries' ? this.entries : this.gains(method).disposals)
+    let lines = [columns.join(',')]
+    rows.forEach((row) => {
+      let values = Object.assign({
+        date: new Date(row.time).toISOString(),
+        currency: this.currency,
+        method: method || this.method
+      }, row)
+      lines.push(columns.map((column) => cell(values[column])).join(','))
+    })
+    return lines.join('\n') + '\n'
+  }
+
+  /**
+   * The ledger for `JSON.stringify`.
+   * @access public
+   * @return {Object} The ledger as `{currency, valued, since, until, entries, gains}`, the gains by the `method` option.
+   */
+  toJSON() {
+    return {
+      currency: this.currency,
+      valued: this.valued,
+      since: this.since,
+      until: this.until,
+      entries: this.entries,
+      gains: this.gains()
+    }
+  }
+
+  /**
+   * The price of a coin in the currency at a time, from the `rate` option.
+   * @access private
+   * @param {string} coin The coin.
+   * @param {number} time Milliseconds since the Unix epoch.
+   * @return {number|Promise} The price or a Promise for it, null if unknown, as always without the `rate` option.
+   */
+  price(coin, time) {
+    if (coin === this.currency) {
+      return 1
+    }
+    return (this.rate ? this.rate(coin, time) : null)
+  }
+
+}
+
+module.exports = Ledger
@@ -0,0 +1,77 @@
+'use strict'
+
+const Q = require('q')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const OrderManager = require('./order-manager')
+
+/**
+ * Emulate a market order with an aggressive limit order.
+ *
+ * The order book is walked to find what the order would fill at. If the book
+ * is not deep enough, or the expected average price is further from the best
+ * price than `maxSlippage`, nothing is placed. Otherwise a limit order is
+ * placed at the worst price the walk reached, rounded to the pair's
+ * precision, and whatever it has not filled after `timeout` is cancelled.
+ * The order is only followed until the returned promise settles, also when
+ * the cancellation failed.
+ * @param {Kucoin} client The client to place the order with.
+ * @param {string} type Either 'BUY' or 'SELL'.
+ * @param {{pair: string, amount: number, funds: number, maxSlippage: number, timeout: number, pollInterval: number}} params The trading pair, either the amount of the base coin or the funds of the quote coin to spend (or receive for a SELL), and optionally the slippage cap as a fraction, milliseconds before the remainder is cancelled and between checks of the order.
+ * @return {Promise} Resolves with the order as tracked by an OrderManager, plus its `expectedPrice`, `expectedSlippage` and actual `slippage` against the best price.
+ */
+function marketOrder(client, type, params = {}) {
+  if (!params.pair || (params.amount === undefined) === (params.funds === undefined)) {
+    return Q.reject(new errors.ValidationError('A trading pair and either an amount or funds are required', {
+      params: params
+    }))
+  }
+  let maxSlippage = (params.maxSlippage !== undefined ? params.maxSlippage : client.maxSlippage)
+  let fail = (message) => {
+    throw new errors.SlippageError(message, {
+      params: params
+    })
+  }
+  return Q.all([client.metadata.precision(params.pair), client.loadOrderBook({
+    pair: params.pair
+  })]).then((results) => {
+    let precision = results[0]
+    let book = results[1]
+    let best = (type === 'BUY' ? book.bestAsk() : book.bestBid())
+    if (!best) {
+      fail('The order book of ' + params.pair + ' has no ' + (type === 'BUY' ? 'asks' : 'bids'))
+    }
+    let walk = (params.funds !== undefined ? book.walkFunds(type, Number(params.funds)) : book.walk(type, Number(params.amount)))
+    if (!walk.complete) {
+      fail('The order book of ' + params.pair + ' is not deep enough to fill the order')
+    }
+    let slippage = (price) => (price === null ? null : Math.abs(price - best[0]) / best[0])
+    let expectedSlippage = slippage(walk.averagePrice)
+    if (expectedSlippage > maxSlippage) {
+      fail('The expected slippage of ' + (expectedSlippage * 100).toFixed(2) + '% exceeds the cap of ' + (maxSlippage * 100).toFixed(2) + '%')
+    }
+    let manager = new OrderManager(client, {
+      pollInterval: params.pollInterval || 500
+    })
+    return manager.submit({
+      pair: params.pair,
+      type: type,
+      price: decimal.format(decimal.round(walk.worstPrice, precision.price, (type === 'BUY' ? 'up' : 'down'))),
+      amount: decimal.format(decimal.round(walk.amount, precision.amount, 'down'))
+    }).then((order) => manager.waitForFill(order.orderOid, {
+      timeout: params.timeout || 5000,
+      cancel: true
+    })).catch((err) => {
+      if (!err.order || err.order.status === 'OPEN' || err.order.status === 'PARTIALLY_FILLED') {
+        throw err
+      }
+      return err.order
+    }).then((order) => Object.assign(order, {
+      expectedPrice: walk.averagePrice,
+      expectedSlippage: expectedSlippage,
+      slippage: slippage(order.averagePrice)
+    })).finally(() => manager.stop())
+  })
+}
+
+module.exports = marketOrder
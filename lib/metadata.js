@@ -0,0 +1,302 @@
+'use strict'
+
+const Q = require('q')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const models = require('./models')
+
+/**
+ * A cache of trading pairs and coins from `getTradingSymbols` and `getCoins`,
+ * used to validate orders and withdrawals before they are signed and sent.
+ *
+ * The cache loads on first use and reloads on the next use after
+ * `refreshInterval` has passed, or on a timer with `start`. A failed reload
+ * keeps the previous data.
+ *
+ * Amounts take the decimal places of the pair's coin, its `tradePrecision`
+ * from `getCoins`. The API gives no price precision, so prices are only
+ * rounded and checked for pairs set in `pricePrecisions`. A precision that is
+ * not known is never guessed: it emits a warning once per pair, or rejects
+ * with `unknown: 'reject'`. The same goes for minimum order amounts, which
+ * are only known for pairs set in `minAmounts`.
+ * @class
+ * @param {Kucoin} client The client to load metadata with.
+ * @param {Object} [options] Cache options.
+ * @param {number} [options.refreshInterval=300000] Milliseconds before the data is considered stale.
+ * @param {Object} [options.pricePrecisions] Decimal places of prices per trading pair.
+ * @param {string} [options.unknown='warn'] What to do when a pair's precision is not known, either 'warn' and leave it unchecked or 'reject' with a ValidationError.
+ * @param {Object} [options.minAmounts] Minimum order amounts per trading pair, as the API does not give them.
+ * @example
+ * let metadata = new MarketMetadata(kc)
+ * metadata.validateOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 10 })
+ *   .then(() => kc.createOrder(order))
+ *   .catch((err) => console.error(err.message))
+ */
+class MarketMetadata {
+
+  /**
+   * Set up the cache, nothing is loaded until it is first needed.
+   * @param {Kucoin} client The client to load metadata with.
+   * @param {Object} [options] Cache options.
+   */
+  constructor(client, options = {}) {
+    this.client = client
+    this.refreshInterval = (options.refreshInterval !== undefined ? options.refreshInterval : 300000)
+    this.pricePrecisions = options.pricePrecisions || {}
+    this.unknown = options.unknown || 'warn'
+    this.minAmounts = options.minAmounts || {}
+    this.symbols = {}
+    this.coins = {}
+    this.loadedAt = 0
+    this._loading = null
+    this._timer = null
+    this._warned = {}
+  }
+
+  /**
+   * Reload in the background every `refreshInterval`, instead of only when the data is next used.
+   * The timer does not keep the process alive.
+   * @access public
+   * @return {MarketMetadata} The cache.
+   */
+  start() {
+    this.stop()
+    this._timer = setInterval(() => {
+      this.load().catch(() => {})
+    }, this.refreshInterval)
+    this._timer.unref()
+    return this
+  }
+
+  /**
+   * Stop reloading in the background.
+   * @access public
+   */
+  stop() {
+    clearInterval(this._timer)
+    this._timer = null
+  }
+
+  /**
+   * Load trading pairs and coins now.
+   * @access public
+   * @return {Promise} Resolves with the cache once loaded.
+   */
+  load() {
+    if (!this._loading) {
+      this._loading = Q.all([this.client.getTradingSymbols(), this.client.getCoins()])
+        .then((results) => {
+          let symbols = {}
+          let coins = {}
+          models.raw(results[0]).data.forEach((symbol) => {
+            symbols[symbol.symbol] = symbol
+          })
+          models.raw(results[1]).data.forEach((coin) => {
+            coins[coin.coin] = coin
+          })
+          this.symbols = symbols
+          this.coins = coins
+          this.loadedAt = Date.now()
+          return this
+        })
+        .finally(() => {
+          this._loading = null
+        })
+    }
+    return this._loading
+  }
+
+  /**
+   * Make sure the cache is loaded and fresh.
+   * @access public
+   * @return {Promise} Resolves with the cache.
+   */
+  ready() {
+    if (!this.loadedAt) {
+      return this.load()
+    }
+    if (Date.now() - this.loadedAt > this.refreshInterval) {
+      return this.load().catch(() => this)
+    }
+    return Q(this)
+  }
+
+  /**
+   * Look up a trading pair.
+   * @access public
+   * @param {string} pair The trading pair.
+   * @return {Promise} Resolves with the pair as returned by `getTradingSymbols`, rejects with a ValidationError if it does not exist.
+   */
+  pair(pair) {
+    return this.ready().then(() => {
+      if (!this.symbols[pair]) {
+        throw new errors.ValidationError('Unknown trading pair ' + pair, {
+          params: {
+            pair: pair
+          }
+        })
+      }
+      return this.symbols[pair]
+    })
+  }
+
+  /**
+   * Look up a coin.
+   * @access public
+   * @param {string} symbol The coin's symbol.
+   * @return {Promise} Resolves with the coin as returned by `getCoins`, rejects with a ValidationError if it does not exist.
+   */
+  coin(symbol) {
+    return this.ready().then(() => {
+      if (!this.coins[symbol]) {
+        throw new errors.ValidationError('Unknown coin ' + symbol, {
+          params: {
+            symbol: symbol
+          }
+        })
+      }
+      return this.coins[symbol]
+    })
+  }
+
+  /**
+   * Decimal places a trading pair accepts for prices and amounts.
+   * @access public
+   * @param {string} pair The trading pair.
+   * @return {Promise} Resolves with `{price, amount}`, null for a precision that is not known, rejects with a ValidationError instead with `unknown: 'reject'`.
+   */
+  precision(pair) {
+    return this.pair(pair).then((symbol) => {
+      let coin = this.coins[symbol.coinType]
+      let precision = {
+        price: (this.pricePrecisions[pair] !== undefined ? this.pricePrecisions[pair] : null),
+        amount: (coin && coin.tradePrecision !== undefined ? coin.tradePrecision : null)
+      }
+      if (precision.price === null) {
+        this.unknownDetail(pair, 'The price precision of ' + pair + ' is not known, set it with the pricePrecisions option')
+      }
+      if (precision.amount === null) {
+        this.unknownDetail(pair, 'The amount precision of ' + pair + ' is not known, ' + symbol.coinType + ' has no tradePrecision')
+      }
+      return precision
+    })
+  }
+
+  /**
+   * Deal with a detail of a trading pair that neither the API nor the options give, as configured with `unknown`.
+   * @access private
+   * @param {string} pair The trading pair.
+   * @param {string} message What is not known.
+   */
+  unknownDetail(pair, message) {
+    if (this.unknown === 'reject') {
+      throw new errors.ValidationError(message, {
+        params: {
+          pair: pair
+        }
+      })
+    }
+    if (!this._warned[message]) {
+      this._warned[message] = true
+      process.emitWarning(message + ', it is not checked')
+    }
+  }
+
+  /**
+   * Check an order before it is placed: the pair exists and is trading, price and amount are positive and within the pair's precision, and the amount is at least the minimum.
+   * A precision or minimum that is not known is handled as configured with `unknown`.
+   * @access public
+   * @param {{pair: string, type: string, price: number, amount: number}} params The order parameters as passed to `createOrder`.
+   * @return {Promise} Resolves if the order is valid, rejects with a ValidationError otherwise.
+   */
+  validateOrder(params) {
+    let fail = (message) => {
+      throw new errors.ValidationError(message, {
+        method: 'post',
+        endpoint: '/order',
+        params: params
+      })
+    }
+    return Q.all([this.pair(params.pair), this.precision(params.pair)])
+      .then((results) => {
+        let symbol = results[0]
+        let precision = results[1]
+        if (symbol.trading === false) {
+          fail('Trading is suspended for ' + params.pair)
+        }
+        if (params.type !== 'BUY' && params.type !== 'SELL') {
+          fail('Order type must be BUY or SELL')
+        }
+        let fields = ['price', 'amount']
+        fields.forEach((field) => {
+          if (params[field] === undefined || !decimal.toDecimal(params[field]).greaterThan(0)) {
+            fail('The ' + field + ' must be greater than 0')
+          }
+          if (precision[field] !== null && decimal.decimalPlaces(params[field]) > precision[field]) {
+            fail('The ' + field + ' ' + decimal.format(params[field]) + ' has more than ' + precision[field] + ' decimal places for ' + params.pair)
+          }
+        })
+        let minAmount = this.minAmounts[params.pair]
+        if (minAmount === undefined) {
+          this.unknownDetail(params.pair, 'The minimum amount of ' + params.pair + ' is not known, set it with the minAmounts option')
+        } else if (decimal.toDecimal(params.amount).lessThan(minAmount)) {
+          fail('The amount must be at least ' + minAmount + ' for ' + params.pair)
+        }
+      })
+  }
+
+  /**
+   * Check a withdrawal before it is requested: the coin exists and allows withdrawals, and the amount is at least the minimum and more than the fee.
+   * @access public
+   * @param {{symbol: string, amount: number, address: string}} params The withdrawal parameters as passed to `createWithdrawal`.
+   * @return {Promise} Resolves with the expected fee if the withdrawal is valid, rejects with a ValidationError otherwise.
+   */
+  validateWithdrawal(params) {
+    let fail = (message) => {
+      throw new errors.ValidationError(message, {
+        method: 'post',
+        endpoint: '/account/' + params.symbol + '/withdraw/apply',
+        params: params
+      })
+    }
+    return this.coin(params.symbol).then((coin) => {
+      if (!coin.enableWithdraw) {
+        fail('Withdrawals are disabled for ' + params.symbol)
+      }
+      if (!params.address) {
+        fail('A withdrawal address is required')
+      }
+      if (params.amount === undefined || !decimal.toDecimal(params.amount).greaterThan(0)) {
+        fail('The amount must be greater than 0')
+      }
+      let amount = decimal.toDecimal(params.amount)
+      if (coin.tradePrecision !== undefined && amount.decimalPlaces() > coin.tradePrecision) {
+        fail('The amount ' + amount.toFixed() + ' has more than ' + coin.tradePrecision + ' decimal places for ' + params.symbol)
+      }
+      if (amount.lessThan(coin.withdrawMinAmount || 0)) {
+        fail('The amount must be at least ' + coin.withdrawMinAmount + ' ' + params.symbol)
+      }
+      let fee = amount.times(coin.withdrawFeeRate || 0)
+      if (fee.lessThan(coin.withdrawMinFee || 0)) {
+        fee = decimal.toDecimal(coin.withdrawMinFee)
+      }
+      if (!amount.greaterThan(fee)) {
+        fail('The amount must be more than the withdrawal fee of ' + fee.toFixed() + ' ' + params.symbol)
+      }
+      return fee
+    })
+  }
+
+  /**
+   * Check an order book request: the pair exists.
+   * @access public
+   * @param {{pair: string}} params The parameters as passed to `getOrderBooks`.
+   * @return {Promise} Resolves if the pair exists, rejects with a ValidationError otherwise.
+   */
+  validateOrderBooks(params) {
+    return this.pair(params.pair).then(() => undefined)
+  }
+
+}
+
+module.exports = MarketMetadata
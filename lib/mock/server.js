@@ -0,0 +1,892 @@
+'use strict'
+
+const http = require('http')
+const querystring = require('querystring')
+const url = require('url')
+const Q = require('q')
+const WebSocket = require('ws')
+const sign = require('../signature')
+
+const DEFAULT_FIXTURES = require('./fixtures.json')
+
+/**
+ * Round a number to the 8 decimal places KuCoin reports.
+ * @access private
+ * @param {number} value The number to round.
+ * @return {number} The rounded number.
+ */
+function round(value) {
+  return Math.round(value * 1e8) / 1e8
+}
+
+/**
+ * Build an error the request handler turns into a failed API response.
+ * @access private
+ * @param {number} status HTTP status code of the response.
+ * @param {string} code KuCoin error code.
+ * @param {string} msg Human readable message.
+ * @return {Error} The error.
+ */
+function fail(status, code, msg) {
+  let err = new Error(msg)
+  err.status = status
+  err.code = code
+  return err
+}
+
+/**
+ * An in-process HTTP server that behaves like the KuCoin API, for running the
+ * client and anything built on it without network access.
+ *
+ * Public endpoints are served from fixtures, signed endpoints validate the
+ * `KC-API-SIGNATURE` header exactly like the exchange does and work against
+ * in-memory balances, orders and wallet records for each account. Orders that
+ * cross the fixture order book are filled immediately, anything left rests
+ * until it is filled with `fillOrder` or cancelled.
+ *
+ * WebSocket clients can connect to `/endpoint` and subscribe to topics, fills
+ * are published to the ticker and trade topics of their pair and anything
+ * else can be sent with `publish`.
+ * @class
+ * @param {Object} [options] Server options.
+ * @param {Object[]} [options.accounts] Accounts as `{apiKey, apiSecret, balances}`, defaults to a single `mock-key`/`mock-secret` account holding the fixture balances.
+ * @param {Object} [options.fixtures] Fixture data to serve instead of the bundled recording.
+ * @param {string} [options.pathPrefix='/v1'] API version prefix.
+ * @param {number} [options.nonceWindow=60000] How far a nonce may be from the server clock, in milliseconds.
+ * @param {{limit: number, interval: number}} [options.rateLimit] Reject requests over `limit` per `interval` milliseconds with HTTP 429.
+ * @example
+ * const MockServer = require('kucoin-api').MockServer
+ *
+ * let server = new MockServer()
+ * server.listen().then((baseUrl) => {
+ *   let kc = new Kucoin('mock-key', 'mock-secret', { baseUrl })
+ *   return kc.getBalance({ symbol: 'NEO' })
+ * }).then(console.log).finally(() => server.close())
+ */
+class MockServer {
+
+  /**
+   * Set up fixtures and account state.
+   * @param {Object} [options] Server options.
+   */
+  constructor(options = {}) {
+    this.fixtures = JSON.parse(JSON.stringify(options.fixtures || DEFAULT_FIXTURES))
+    this.pathPrefix = (options.pathPrefix !== undefined ? options.pathPrefix : '/v1')
+    this.nonceWindow = options.nonceWindow || 60000
+    this.rateLimit = options.rateLimit
+    this.accounts = {}
+    let accounts = options.accounts || [{
+      apiKey: 'mock-key',
+      apiSecret: 'mock-secret'
+    }]
+    accounts.forEach((account) => this.addAccount(account))
+    this._failures = []
+    this._requestTimes = []
+    this._nextId = 1
+    this._server = http.createServer((req, res) => this.handle(req, res))
+    this._sockets = new WebSocket.Server({
+      server: this._server,
+      path: '/endpoint'
+    })
+    this._sockets.on('connection', (socket) => this.handleSocket(socket))
+    this.respondToPings = true
+    this._routes = [
+      ['get', /^\/open\/currencies$/, false, this.getExchangeRates],
+      ['get', /^\/open\/lang-list$/, false, () => this.fixtures.languages],
+      ['post', /^\/user\/change-lang$/, true, this.changeLanguage],
+      ['get', /^\/user\/info$/, true, (ctx) => ctx.account.user],
+      ['get', /^\/referrer\/descendant\/count$/, true, () => this.fixtures.inviteCount],
+      ['get', /^\/account\/(?:([A-Z0-9]+)\/)?promotion\/info$/, true, () => this.fixtures.promotionInfo],
+      ['get', /^\/account\/(?:([A-Z0-9]+)\/)?promotion\/sum$/, true, () => this.fixtures.promotionSummary],
+      ['get', /^\/account\/([A-Z0-9]+)\/wallet\/address$/, true, this.getDepositAddress],
+      ['post', /^\/account\/([A-Z0-9]+)\/withdraw\/apply$/, true, this.createWithdrawal],
+      ['post', /^\/account\/([A-Z0-9]+)\/withdraw\/cancel$/, true, this.cancelWithdrawal],
+      ['get', /^\/account\/([A-Z0-9]+)\/wallet\/records$/, true, this.getWalletRecords],
+      ['get', /^\/account\/(?:([A-Z0-9]+)\/)?balance$/, true, this.getBalance],
+      ['post', /^\/order$/, true, this.createOrder],
+      ['get', /^\/([A-Z0-9]+-[A-Z0-9]+)\/order\/active$/, true, this.getActiveOrders],
+      ['post', /^\/cancel-order$/, true, this.cancelOrder],
+      ['get', /^\/([A-Z0-9]+-[A-Z0-9]+)\/deal-orders$/, true, this.getDealtOrders],
+      ['get', /^\/([A-Z0-9]+-[A-Z0-9]+)\/open\/tick$/, false, this.getTicker],
+      ['get', /^\/([A-Z0-9]+-[A-Z0-9]+)\/open\/orders(?:-(buy|sell))?$/, false, this.getOrderBooks],
+      ['get', /^\/([A-Z0-9]+-[A-Z0-9]+)\/open\/deal-orders$/, false, this.getRecentlyDealtOrders],
+      ['get', /^\/market\/open\/symbols$/, false, () => this.fixtures.symbols.map((symbol) => this.ticker(symbol.symbol))],
+      ['get', /^\/market\/open\/coins-trending$/, false, () => this.fixtures.trending],
+      ['get', /^\/market\/open\/coins-list$/, false, () => this.fixtures.coins]
+    ]
+  }
+
+  /**
+   * Add an account the server will accept signed requests for.
+   * @access public
+   * @param {{apiKey: string, apiSecret: string, balances: Object}} account The credentials and starting balances, keyed by coin.
+   * @return {Object} The account state.
+   */
+  addAccount(account) {
+    let balances = {}
+    let startingBalances = account.balances || this.fixtures.balances
+    this.fixtures.coins.forEach((coin) => {
+      balances[coin.coin] = {
+        balance: startingBalances[coin.coin] || 0,
+        freeze: 0
+      }
+    })
+    this.accounts[account.apiKey] = {
+      apiKey: account.apiKey,
+      apiSecret: account.apiSecret,
+      user: Object.assign({}, this.fixtures.userInfo),
+      balances: balances,
+      orders: {},
+      deals: [],
+      records: [],
+      nonces: {}
+    }
+    return this.accounts[account.apiKey]
+  }
+
+  /**
+   * Start listening for requests.
+   * @access public
+   * @param {number} [port=0] Port to listen on, a random free port by default.
+   * @param {string} [host='127.0.0.1'] Interface to listen on.
+   * @return {Promise} Resolves with the base URL of the server.
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    let deferred = Q.defer()
+    this._server.once('error', deferred.reject)
+    this._server.listen(port, host, () => {
+      this._server.removeListener('error', deferred.reject)
+      this.url = 'http://' + host + ':' + this._server.address().port
+      deferred.resolve(this.url)
+    })
+    return deferred.promise
+  }
+
+  /**
+   * Stop listening and drop open connections.
+   * @access public
+   * @return {Promise} Resolves once the server is closed.
+   */
+  close() {
+    let deferred = Q.defer()
+    this.dropConnections()
+    this._server.close(() => deferred.resolve())
+    if (this._server.closeAllConnections) {
+      this._server.closeAllConnections()
+    }
+    return deferred.promise
+  }
+
+  /**
+   * Send a message to every WebSocket client subscribed to a topic.
+   * @access public
+   * @param {string} topic The topic, e.g. '/market/ticker:GAS-NEO'.
+   * @param {*} data The message data.
+   */
+  publish(topic, data) {
+    let message = JSON.stringify({
+      type: 'message',
+      topic: topic,
+      subject: topic.split(':')[0],
+      data: data
+    })
+    this._sockets.clients.forEach((socket) => {
+      if (socket.topics && socket.topics[topic] && socket.readyState === WebSocket.OPEN) {
+        socket.send(message)
+      }
+    })
+  }
+
+  /**
+   * Terminate every WebSocket connection, to exercise reconnection.
+   * @access public
+   */
+  dropConnections() {
+    this._sockets.clients.forEach((socket) => socket.terminate())
+  }
+
+  /**
+   * Make the next requests fail, to exercise error handling.
+   * @access public
+   * @param {{status: number, code: string, msg: string, times: number}} failure The response to send and how many times to send it.
+   */
+  injectFailure(failure) {
+    this._failures.push(Object.assign({
+      status: 500,
+      code: 'SYSTEM_ERROR',
+      msg: 'Internal error',
+      times: 1
+    }, failure))
+  }
+
+  /**
+   * Fill a resting order, as if another trader had taken it.
+   * @access public
+   * @param {string} orderOid The order to fill.
+   * @param {number} [amount] Amount to fill, the whole remaining amount by default.
+   * @return {Object} The order state.
+   */
+  fillOrder(orderOid, amount) {
+    let account
+    let order
+    Object.keys(this.accounts).forEach((key) => {
+      if (this.accounts[key].orders[orderOid]) {
+        account = this.accounts[key]
+        order = account.orders[orderOid]
+      }
+    })
+    if (!order || order.status !== 'OPEN') {
+      throw fail(404, 'ORDER_NOT_EXIST', 'Order not found or no longer active')
+    }
+    let remaining = round(order.amount - order.dealAmount)
+    this.settle(account, order, (amount === undefined ? remaining : Math.min(amount, remaining)), order.price)
+    return order
+  }
+
+  /**
+   * Replace the public order book for a trading pair.
+   * @access public
+   * @param {string} pair The trading pair.
+   * @param {{SELL: Array[], BUY: Array[]}} book Levels as `[price, amount]` or `[price, amount, volume]`.
+   */
+  setOrderBook(pair, book) {
+    let levels = (side) => (book[side] || []).map((level) => [level[0], level[1], round(level[0] * level[1])])
+    this.fixtures.orderBooks[pair] = {
+      SELL: levels('SELL'),
+      BUY: levels('BUY')
+    }
+  }
+
+  /**
+   * Set an account balance directly.
+   * @access public
+   * @param {string} apiKey The account's API key.
+   * @param {string} coin The coin's symbol.
+   * @param {number} balance The new available balance.
+   */
+  setBalance(apiKey, coin, balance) {
+    let balances = this.accounts[apiKey].balances
+    balances[coin] = balances[coin] || {
+      balance: 0,
+      freeze: 0
+    }
+    balances[coin].balance = balance
+  }
+
+  /**
+   * Welcome a new WebSocket connection and answer its subscriptions and pings.
+   * @access private
+   * @param {WebSocket} socket The connection.
+   */
+  handleSocket(socket) {
+    socket.topics = {}
+    socket.on('message', (raw) => {
+      let message
+      try {
+        message = JSON.parse(raw)
+      } catch (err) {
+        return
+      }
+      let reply = {
+        id: message.id,
+        type: 'ack'
+      }
+      if (message.type === 'subscribe') {
+        socket.topics[message.topic] = true
+      } else if (message.type === 'unsubscribe') {
+        delete socket.topics[message.topic]
+      } else if (message.type === 'ping') {
+        if (!this.respondToPings) {
+          return
+        }
+        reply.type = 'pong'
+      } else {
+        reply.type = 'error'
+        reply.code = 'INVALID_PARAMS'
+        reply.data = 'Unknown message type'
+      }
+      socket.send(JSON.stringify(reply))
+    })
+    socket.send(JSON.stringify({
+      id: this.id(),
+      type: 'welcome'
+    }))
+  }
+
+  /**
+   * Handle an incoming HTTP request.
+   * @access private
+   * @param {http.IncomingMessage} req The request.
+   * @param {http.ServerResponse} res The response.
+   */
+  handle(req, res) {
+    let parsed = url.parse(req.url)
+    let rawQuery = parsed.query || ''
+    let ctx = {
+      method: req.method.toLowerCase(),
+      path: parsed.pathname,
+      query: querystring.parse(rawQuery),
+      headers: req.headers
+    }
+    req.resume()
+    req.on('end', () => {
+      let status = 200
+      let body
+      try {
+        body = this.respond(true, 'OK', 'Operation succeeded.', this.route(ctx, rawQuery))
+      } catch (err) {
+        if (err.status === undefined) {
+          err = fail(500, 'SYSTEM_ERROR', err.message)
+        }
+        status = err.status
+        body = this.respond(false, err.code, err.message, null)
+      }
+      let json = JSON.stringify(body)
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(json)
+      })
+      res.end(json)
+    })
+  }
+
+  /**
+   * Wrap data in the KuCoin response envelope.
+   * @access private
+   * @param {boolean} success Whether the request succeeded.
+   * @param {string} code KuCoin response code.
+   * @param {string} msg Human readable message.
+   * @param {*} data The response data.
+   * @return {Object} The response body.
+   */
+  respond(success, code, msg, data) {
+    return {
+      success: success,
+      code: code,
+      msg: msg,
+      timestamp: Date.now(),
+      data: data
+    }
+  }
+
+  /**
+   * Find the handler for a request, authenticate it if needed and run it.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   * @param {string} rawQuery The querystring exactly as it was sent.
+   * @return {*} The response data.
+   */
+  route(ctx, rawQuery) {
+    this.checkRateLimit()
+    if (this._failures.length) {
+      let failure = this._failures[0]
+      if (--failure.times <= 0) {
+        this._failures.shift()
+      }
+      throw fail(failure.status, failure.code, failure.msg)
+    }
+    if (ctx.path.indexOf(this.pathPrefix) !== 0) {
+      throw fail(404, 'NOT_FOUND', 'Unknown endpoint')
+    }
+    let endpoint = ctx.path.substr(this.pathPrefix.length)
+    for (let i = 0; i < this._routes.length; i++) {
+      let route = this._routes[i]
+      let match = route[1].exec(endpoint)
+      if (match && route[0] === ctx.method) {
+        ctx.params = match.slice(1)
+        if (route[2]) {
+          ctx.account = this.authenticate(ctx, rawQuery)
+        }
+        return route[3].call(this, ctx)
+      }
+    }
+    throw fail(404, 'NOT_FOUND', 'Unknown endpoint')
+  }
+
+  /**
+   * Reject the request if it exceeds the configured rate limit.
+   * @access private
+   */
+  checkRateLimit() {
+    if (!this.rateLimit) {
+      return
+    }
+    let now = Date.now()
+    this._requestTimes = this._requestTimes.filter((time) => time > now - this.rateLimit.interval)
+    if (this._requestTimes.length >= this.rateLimit.limit) {
+      throw fail(429, 'TOO_MANY_REQUESTS', 'Too many requests')
+    }
+    this._requestTimes.push(now)
+  }
+
+  /**
+   * Validate the key, nonce and signature headers of a signed request.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   * @param {string} rawQuery The querystring exactly as it was sent.
+   * @return {Object} The account the request was signed for.
+   */
+  authenticate(ctx, rawQuery) {
+    let account = this.accounts[ctx.headers['kc-api-key']]
+    let nonce = ctx.headers['kc-api-nonce']
+    let signature = ctx.headers['kc-api-signature']
+    if (!account || !nonce || !signature) {
+      throw fail(401, 'UNAUTH', 'Invalid API key')
+    }
+    let queryString = (rawQuery ? rawQuery.split('&').sort().join('&') : '')
+    if (sign(account.apiSecret, ctx.path, queryString, nonce) !== signature) {
+      throw fail(401, 'UNAUTH', 'Signature verification failed')
+    }
+    let now = Date.now()
+    if (Math.abs(now - Number(nonce)) > this.nonceWindow || account.nonces[nonce]) {
+      throw fail(401, 'UNAUTH', 'Invalid nonce')
+    }
+    Object.keys(account.nonces).forEach((used) => {
+      if (account.nonces[used] < now - this.nonceWindow) {
+        delete account.nonces[used]
+      }
+    })
+    account.nonces[nonce] = now
+    return account
+  }
+
+  /**
+   * Look up a trading pair from the fixtures.
+   * @access private
+   */
+  symbol(pair) {
+    let symbol = this.fixtures.symbols.filter((symbol) => symbol.symbol === pair)[0]
+    if (!symbol) {
+      throw fail(200, 'INVALID_PARAMS', 'Unknown trading pair ' + pair)
+    }
+    return symbol
+  }
+
+  /**
+   * Look up a coin from the fixtures.
+   * @access private
+   */
+  coin(symbol) {
+    let coin = this.fixtures.coins.filter((coin) => coin.coin === symbol)[0]
+    if (!coin) {
+      throw fail(200, 'INVALID_PARAMS', 'Unknown coin ' + symbol)
+    }
+    return coin
+  }
+
+  /**
+   * The order book for a pair, created empty if there is no fixture for it.
+   * @access private
+   */
+  book(pair) {
+    this.fixtures.orderBooks[pair] = this.fixtures.orderBooks[pair] || {
+      SELL: [],
+      BUY: []
+    }
+    return this.fixtures.orderBooks[pair]
+  }
+
+  /**
+   * Current ticker for a pair, with best prices taken from the order book.
+   * @access private
+   */
+  ticker(pair) {
+    let ticker = Object.assign({}, this.symbol(pair))
+    let book = this.book(pair)
+    ticker.buy = (book.BUY.length ? book.BUY[0][0] : ticker.buy)
+    ticker.sell = (book.SELL.length ? book.SELL[0][0] : ticker.sell)
+    return ticker
+  }
+
+  /**
+   * Split a list into a page of records.
+   * @access private
+   */
+  paginate(records, query) {
+    let limit = Number(query.limit) || 12
+    let page = Number(query.page) || 1
+    let pageNos = Math.max(1, Math.ceil(records.length / limit))
+    return {
+      total: records.length,
+      firstPage: page === 1,
+      lastPage: page >= pageNos,
+      datas: records.slice((page - 1) * limit, page * limit),
+      currPageNo: page,
+      limit: limit,
+      pageNos: pageNos
+    }
+  }
+
+  /**
+   * Rates for the requested coins, BTC by default.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  getExchangeRates(ctx) {
+    let symbols = (ctx.query.coins ? ctx.query.coins.split(',') : ['BTC'])
+    let rates = {}
+    symbols.forEach((symbol) => {
+      if (this.fixtures.rates[symbol]) {
+        rates[symbol] = this.fixtures.rates[symbol]
+      }
+    })
+    return {
+      currencies: this.fixtures.currencies,
+      rates: rates
+    }
+  }
+
+  /**
+   * Change the account's language.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  changeLanguage(ctx) {
+    let supported = this.fixtures.languages.filter((lang) => lang[0] === ctx.query.lang && lang[2])
+    if (!supported.length) {
+      throw fail(200, 'INVALID_PARAMS', 'Unsupported language')
+    }
+    ctx.account.user.language = ctx.query.lang
+    return null
+  }
+
+  /**
+   * A fixed deposit address per coin.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  getDepositAddress(ctx) {
+    let coin = this.coin(ctx.params[0])
+    return {
+      oid: ctx.account.user.oid,
+      address: 'mock-' + coin.coin.toLowerCase() + '-address',
+      context: null,
+      userOid: ctx.account.user.oid,
+      coinType: coin.coin,
+      createdAt: 1509354932000,
+      deletedAt: null,
+      updatedAt: 1509354932000,
+      lastReceivedAt: null
+    }
+  }
+
+  /**
+   * Freeze the amount and record a pending withdrawal.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  createWithdrawal(ctx) {
+    let coin = this.coin(ctx.params[0])
+    let amount = Number(ctx.query.amount)
+    let balance = ctx.account.balances[coin.coin]
+    if (!ctx.query.address || !(amount > 0)) {
+      throw fail(200, 'INVALID_PARAMS', 'Invalid withdrawal parameters')
+    }
+    if (!coin.enableWithdraw) {
+      throw fail(200, 'ERROR', 'Withdrawals are disabled for ' + coin.coin)
+    }
+    if (amount < coin.withdrawMinAmount) {
+      throw fail(200, 'INVALID_PARAMS', 'Amount is below the minimum withdrawal of ' + coin.withdrawMinAmount)
+    }
+    if (amount > balance.balance) {
+      throw fail(200, 'NO_BALANCE', 'Insufficient balance')
+    }
+    balance.balance = round(balance.balance - amount)
+    balance.freeze = round(balance.freeze + amount)
+    let now = Date.now()
+    ctx.account.records.unshift({
+      coinType: coin.coin,
+      createdAt: now,
+      amount: amount,
+      address: ctx.query.address,
+      fee: round(Math.max(coin.withdrawMinFee, amount * coin.withdrawFeeRate)),
+      outerWalletTxid: null,
+      remark: null,
+      oid: this.id(),
+      confirmation: 0,
+      type: 'WITHDRAW',
+      status: 'PENDING',
+      updatedAt: now
+    })
+    return null
+  }
+
+  /**
+   * Cancel a pending withdrawal and release the frozen amount.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  cancelWithdrawal(ctx) {
+    let record = ctx.account.records.filter((record) => record.oid === ctx.query.txOid && record.type === 'WITHDRAW')[0]
+    if (!record) {
+      throw fail(200, 'ERROR', 'Withdrawal not found')
+    }
+    if (record.status !== 'PENDING') {
+      throw fail(200, 'ERROR', 'Withdrawal can no longer be cancelled')
+    }
+    let balance = ctx.account.balances[record.coinType]
+    balance.freeze = round(balance.freeze - record.amount)
+    balance.balance = round(balance.balance + record.amount)
+    record.status = 'CANCEL'
+    record.updatedAt = Date.now()
+    return null
+  }
+
+  /**
+   * Deposit and withdrawal records for a coin.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  getWalletRecords(ctx) {
+    let records = ctx.account.records.filter((record) => {
+      return record.coinType === ctx.params[0] &&
+        (!ctx.query.type || record.type === ctx.query.type) &&
+        (!ctx.query.status || record.status === ctx.query.status)
+    })
+    return this.paginate(records, ctx.query)
+  }
+
+  /**
+   * Balance for one coin, or all coins.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  getBalance(ctx) {
+    let format = (coin) => {
+      let balance = ctx.account.balances[coin] || {
+        balance: 0,
+        freeze: 0
+      }
+      return {
+        coinType: coin,
+        balanceStr: String(balance.balance),
+        freezeBalance: balance.freeze,
+        balance: balance.balance,
+        freezeBalanceStr: String(balance.freeze)
+      }
+    }
+    if (ctx.params[0]) {
+      this.coin(ctx.params[0])
+      return format(ctx.params[0])
+    }
+    return Object.keys(ctx.account.balances).map(format)
+  }
+
+  /**
+   * Freeze funds for a new order and match it against the book.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  createOrder(ctx) {
+    let symbol = this.symbol(ctx.query.symbol)
+    let type = ctx.query.type
+    let price = Number(ctx.query.price)
+    let amount = Number(ctx.query.amount)
+    if ((type !== 'BUY' && type !== 'SELL') || !(price > 0) || !(amount > 0)) {
+      throw fail(200, 'INVALID_PARAMS', 'Invalid order parameters')
+    }
+    if (!symbol.trading) {
+      throw fail(200, 'ERROR', 'Trading is suspended for ' + symbol.symbol)
+    }
+    let coin = (type === 'BUY' ? symbol.coinTypePair : symbol.coinType)
+    let cost = (type === 'BUY' ? round(price * amount) : amount)
+    let balance = ctx.account.balances[coin]
+    if (!balance || balance.balance < cost) {
+      throw fail(200, 'NO_BALANCE', 'Insufficient balance')
+    }
+    balance.balance = round(balance.balance - cost)
+    balance.freeze = round(balance.freeze + cost)
+    let order = {
+      oid: this.id(),
+      pair: symbol.symbol,
+      coinType: symbol.coinType,
+      coinTypePair: symbol.coinTypePair,
+      feeRate: symbol.feeRate,
+      type: type,
+      price: price,
+      amount: amount,
+      dealAmount: 0,
+      createdAt: Date.now(),
+      status: 'OPEN'
+    }
+    ctx.account.orders[order.oid] = order
+    this.match(ctx.account, order)
+    return {
+      orderOid: order.oid
+    }
+  }
+
+  /**
+   * Fill an order against the opposite side of the public book as far as its price allows.
+   * @access private
+   */
+  match(account, order) {
+    let levels = this.book(order.pair)[order.type === 'BUY' ? 'SELL' : 'BUY']
+    while (levels.length && order.dealAmount < order.amount) {
+      let level = levels[0]
+      if ((order.type === 'BUY' && level[0] > order.price) || (order.type === 'SELL' && level[0] < order.price)) {
+        break
+      }
+      let fill = Math.min(level[1], round(order.amount - order.dealAmount))
+      level[1] = round(level[1] - fill)
+      level[2] = round(level[0] * level[1])
+      if (level[1] <= 0) {
+        levels.shift()
+      }
+      this.settle(account, order, fill, level[0])
+    }
+  }
+
+  /**
+   * Apply a fill to an order and the account balances, and record the deal.
+   * @access private
+   */
+  settle(account, order, amount, price) {
+    let dealValue = round(amount * price)
+    let base = account.balances[order.coinType]
+    let quote = account.balances[order.coinTypePair]
+    let fee
+    if (order.type === 'BUY') {
+      fee = round(amount * order.feeRate)
+      quote.freeze = round(quote.freeze - amount * order.price)
+      quote.balance = round(quote.balance + amount * order.price - dealValue)
+      base.balance = round(base.balance + amount - fee)
+    } else {
+      fee = round(dealValue * order.feeRate)
+      base.freeze = round(base.freeze - amount)
+      quote.balance = round(quote.balance + dealValue - fee)
+    }
+    order.dealAmount = round(order.dealAmount + amount)
+    if (order.dealAmount >= order.amount) {
+      order.status = 'DEALT'
+    }
+    let now = Date.now()
+    account.deals.unshift({
+      coinType: order.coinType,
+      createdAt: now,
+      amount: amount,
+      dealValue: dealValue,
+      fee: fee,
+      dealDirection: order.type,
+      coinTypePair: order.coinTypePair,
+      oid: this.id(),
+      dealPrice: price,
+      orderOid: order.oid,
+      feeRate: order.feeRate,
+      direction: order.type
+    })
+    this.fixtures.recentDeals[order.pair] = this.fixtures.recentDeals[order.pair] || []
+    this.fixtures.recentDeals[order.pair].push([now, order.type, price, amount, dealValue])
+    this.symbol(order.pair).lastDealPrice = price
+    this.symbol(order.pair).datetime = now
+    this.publish('/market/match:' + order.pair, [now, order.type, price, amount, dealValue])
+    this.publish('/market/ticker:' + order.pair, this.ticker(order.pair))
+  }
+
+  /**
+   * Open orders for a pair.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  getActiveOrders(ctx) {
+    let active = {
+      SELL: [],
+      BUY: []
+    }
+    Object.keys(ctx.account.orders).forEach((oid) => {
+      let order = ctx.account.orders[oid]
+      if (order.pair === ctx.params[0] && order.status === 'OPEN') {
+        active[order.type].push([order.createdAt, order.type, order.price, order.amount, order.dealAmount, order.oid])
+      }
+    })
+    return active
+  }
+
+  /**
+   * Cancel an open order and release what is still frozen.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  cancelOrder(ctx) {
+    let oid = ctx.query.orderOid || ctx.query.txOid
+    let order = ctx.account.orders[oid]
+    if (!order || order.pair !== ctx.query.symbol) {
+      throw fail(200, 'ORDER_NOT_EXIST', 'Order not found')
+    }
+    if (order.status !== 'OPEN') {
+      throw fail(200, 'ORDER_NOT_EXIST', 'Order is no longer active')
+    }
+    let remaining = round(order.amount - order.dealAmount)
+    let balance = ctx.account.balances[order.type === 'BUY' ? order.coinTypePair : order.coinType]
+    let refund = (order.type === 'BUY' ? round(remaining * order.price) : remaining)
+    balance.freeze = round(balance.freeze - refund)
+    balance.balance = round(balance.balance + refund)
+    order.status = 'CANCELED'
+    return null
+  }
+
+  /**
+   * Fills for a pair.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  getDealtOrders(ctx) {
+    let symbol = this.symbol(ctx.params[0])
+    let deals = ctx.account.deals.filter((deal) => {
+      return deal.coinType === symbol.coinType && deal.coinTypePair === symbol.coinTypePair &&
+        (!ctx.query.type || deal.direction === ctx.query.type)
+    })
+    return this.paginate(deals, ctx.query)
+  }
+
+  /**
+   * Ticker for a pair.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  getTicker(ctx) {
+    return this.ticker(ctx.params[0])
+  }
+
+  /**
+   * Order book for a pair, optionally one side only.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  getOrderBooks(ctx) {
+    this.symbol(ctx.params[0])
+    let book = this.book(ctx.params[0])
+    let limit = Number(ctx.query.limit) || undefined
+    if (ctx.params[1]) {
+      return book[ctx.params[1].toUpperCase()].slice(0, limit)
+    }
+    return {
+      SELL: book.SELL.slice(0, limit),
+      BUY: book.BUY.slice(0, limit)
+    }
+  }
+
+  /**
+   * Recent public trades for a pair.
+   * @access private
+   * @param {Object} ctx The parsed request.
+   */
+  getRecentlyDealtOrders(ctx) {
+    this.symbol(ctx.params[0])
+    let since = Number(ctx.query.since) || 0
+    let deals = (this.fixtures.recentDeals[ctx.params[0]] || []).filter((deal) => deal[0] > since)
+    return (ctx.query.limit ? deals.slice(-Number(ctx.query.limit)) : deals)
+  }
+
+  /**
+   * Generate a 24 character hex ID like the ones KuCoin uses.
+   * @access private
+   */
+  id() {
+    let id = (this._nextId++).toString(16)
+    return '5a0000000000000000000000'.substr(0, 24 - id.length) + id
+  }
+
+}
+
+module.exports = MockServer
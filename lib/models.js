@@ -0,0 +1,278 @@
+'use strict'
+
+const decimal = require('./decimal')
+
+/**
+ * Convert a value from a response to a number, leaving missing values alone.
+ * @access private
+ * @param {*} value A number, numeric string, null or undefined.
+ * @return {number} The number, or the value itself if it is null or undefined.
+ */
+function num(value) {
+  return (value === null || value === undefined ? value : Number(value))
+}
+
+/**
+ * Current market data for a trading pair, from `getTicker` and `getTradingSymbols`.
+ * @class
+ * @param {Object} data A ticker as returned by the API.
+ * @param {{decimal: Function}} [context] How to convert prices and amounts.
+ */
+class Ticker {
+  constructor(data, context = {}) {
+    let dec = context.decimal || num
+    this.pair = data.symbol
+    this.coin = data.coinType
+    this.quoteCoin = data.coinTypePair
+    this.trading = data.trading
+    this.lastPrice = dec(data.lastDealPrice)
+    this.bid = dec(data.buy)
+    this.ask = dec(data.sell)
+    this.high = dec(data.high)
+    this.low = dec(data.low)
+    this.change = dec(data.change)
+    this.changeRate = num(data.changeRate)
+    this.volume = dec(data.vol)
+    this.quoteVolume = dec(data.volValue)
+    this.feeRate = num(data.feeRate)
+    this.timestamp = num(data.datetime)
+  }
+}
+
+/**
+ * A price level of an order book, from `getOrderBooks`.
+ * @class
+ * @param {Array} level The level as `[price, amount, volume]`.
+ * @param {{decimal: Function}} [context] How to convert prices and amounts.
+ */
+class OrderBookLevel {
+  constructor(level, context = {}) {
+    let dec = context.decimal || num
+    this.price = dec(level[0])
+    this.amount = dec(level[1])
+    this.volume = dec(level[2])
+  }
+}
+
+/**
+ * A trade, either a public one from `getRecentlyDealtOrders` or one of your own fills from `getDealtOrders`.
+ * Fields only fills have are undefined for public trades.
+ * @class
+ * @param {Array|Object} data A `[timestamp, side, price, amount, volume]` tuple or a fill as returned by the API.
+ * @param {{pair: string, decimal: Function}} [context] The trading pair, for public trades, and how to convert prices and amounts.
+ */
+class Trade {
+  constructor(data, context = {}) {
+    let dec = context.decimal || num
+    if (Array.isArray(data)) {
+      this.pair = context.pair
+      this.timestamp = num(data[0])
+      this.side = data[1]
+      this.price = dec(data[2])
+      this.amount = dec(data[3])
+      this.volume = dec(data[4])
+    } else {
+      this.id = data.oid
+      this.orderOid = data.orderOid
+      this.pair = data.coinType + '-' + data.coinTypePair
+      this.timestamp = num(data.createdAt)
+      this.side = data.direction || data.dealDirection
+      this.price = dec(data.dealPrice)
+      this.amount = dec(data.amount)
+      this.volume = dec(data.dealValue)
+      this.fee = dec(data.fee)
+      this.feeRate = num(data.feeRate)
+    }
+  }
+}
+
+/**
+ * Balance of a coin, from `getBalance`.
+ * @class
+ * @param {Object} data A balance as returned by the API.
+ * @param {{decimal: Function}} [context] How to convert amounts.
+ */
+class Balance {
+  constructor(data, context = {}) {
+    let dec = context.decimal || num
+    let available = decimal.toDecimal(data.balanceStr !== undefined ? data.balanceStr : data.balance)
+    let frozen = decimal.toDecimal(data.freezeBalanceStr !== undefined ? data.freezeBalanceStr : data.freezeBalance)
+    this.coin = data.coinType
+    this.available = dec(available)
+    this.frozen = dec(frozen)
+    this.total = dec(available.plus(frozen))
+  }
+}
+
+/**
+ * An order, from `getActiveOrders` or as placed with `createOrder`.
+ * The API does not say when an order placed with `createOrder` was created,
+ * so its `timestamp` is undefined.
+ * @class
+ * @param {Array|Object} data A `[timestamp, type, price, amount, dealAmount, orderOid]` tuple, or the order's details.
+ * @param {{pair: string, decimal: Function}} [context] The trading pair and how to convert prices and amounts.
+ */
+class Order {
+  constructor(data, context = {}) {
+    let dec = context.decimal || num
+    let order = (Array.isArray(data) ? {
+      timestamp: data[0],
+      type: data[1],
+      price: data[2],
+      amount: data[3],
+      dealtAmount: data[4],
+      orderOid: data[5]
+    } : data)
+    this.pair = context.pair
+    this.timestamp = num(order.timestamp)
+    this.type = order.type
+    this.orderOid = order.orderOid
+    this.price = dec(order.price)
+    this.amount = dec(order.amount)
+    this.dealtAmount = dec(order.dealtAmount || 0)
+    this.remainingAmount = (order.amount !== undefined ? dec(decimal.toDecimal(order.amount).minus(order.dealtAmount || 0)) : undefined)
+  }
+}
+
+/**
+ * A deposit or withdrawal, from `getDepositAndWithdrawalRecords`.
+ * @class
+ * @param {Object} data A record as returned by the API.
+ * @param {{decimal: Function}} [context] How to convert amounts.
+ */
+class WalletRecord {
+  constructor(data, context = {}) {
+    let dec = context.decimal || num
+    this.id = data.oid
+    this.coin = data.coinType
+    this.type = data.type
+    this.status = data.status
+    this.amount = dec(data.amount)
+    this.fee = dec(data.fee)
+    this.address = data.address
+    this.txid = data.outerWalletTxid
+    this.confirmations = num(data.confirmation)
+    this.remark = data.remark
+    this.createdAt = num(data.createdAt)
+    this.updatedAt = num(data.updatedAt)
+  }
+}
+
+/**
+ * A coin and its deposit and withdrawal settings, from `getCoins`.
+ * @class
+ * @param {Object} data A coin as returned by the API.
+ * @param {{decimal: Function}} [context] How to convert amounts.
+ */
+class Coin {
+  constructor(data, context = {}) {
+    let dec = context.decimal || num
+    this.coin = data.coin
+    this.name = data.name
+    this.tradePrecision = num(data.tradePrecision)
+    this.withdrawMinAmount = dec(data.withdrawMinAmount)
+    this.withdrawMinFee = dec(data.withdrawMinFee)
+    this.withdrawFeeRate = num(data.withdrawFeeRate)
+    this.confirmations = num(data.confirmationCount)
+    this.enableDeposit = data.enableDeposit
+    this.enableWithdraw = data.enableWithdraw
+  }
+}
+
+/**
+ * One page of a paginated response, from `getDealtOrders` and `getDepositAndWithdrawalRecords`.
+ * @class
+ * @param {Object} data The page as returned by the API.
+ * @param {Function} Model The model for each item.
+ * @param {Object} [context] Passed on to the model of each item.
+ */
+class Page {
+  constructor(data, Model, context) {
+    this.items = (data.datas || []).map((item) => new Model(item, context))
+    this.total = num(data.total)
+    this.page = num(data.currPageNo)
+    this.pageCount = num(data.pageNos)
+    this.limit = num(data.limit)
+    this.firstPage = data.firstPage
+    this.lastPage = data.lastPage
+  }
+}
+
+/**
+ * How to normalise the data of each public method, given the data, the method's params and the model context.
+ * Methods not listed here resolve with the response data as it is.
+ * @access private
+ */
+const NORMALIZERS = {
+  getBalance: (data, params, context) => (Array.isArray(data) ? data.map((balance) => new Balance(balance, context)) : new Balance(data, context)),
+  getDepositAndWithdrawalRecords: (data, params, context) => new Page(data, WalletRecord, context),
+  createOrder: (data, params, context) => new Order({
+    orderOid: data.orderOid,
+    type: params.type,
+    price: params.price,
+    amount: params.amount
+  }, context),
+  getActiveOrders: (data, params, context) => ['BUY', 'SELL'].reduce((orders, type) => {
+    return orders.concat((data[type] || []).map((order) => new Order(order, context)))
+  }, []),
+  getDealtOrders: (data, params, context) => new Page(data, Trade, context),
+  getTicker: (data, params, context) => new Ticker(data, context),
+  getOrderBooks: (data, params, context) => {
+    let levels = (side) => (side || []).map((level) => new OrderBookLevel(level, context))
+    return (Array.isArray(data) ? levels(data) : {
+      bids: levels(data.BUY),
+      asks: levels(data.SELL)
+    })
+  },
+  getRecentlyDealtOrders: (data, params, context) => data.map((trade) => new Trade(trade, context)),
+  getTradingSymbols: (data, params, context) => data.map((ticker) => new Ticker(ticker, context)),
+  getCoins: (data, params, context) => data.map((coin) => new Coin(coin, context))
+}
+
+/**
+ * Normalise the response of a public method, keeping the response itself reachable as a non-enumerable `raw` property.
+ * @param {string} method Name of the public method.
+ * @param {Object} response The API response.
+ * @param {Object} [params] The parameters the method was called with.
+ * @param {string} [decimals='number'] How to represent prices and amounts, either 'number', 'string' or 'bignumber'.
+ * @return {*} The normalised data.
+ */
+function normalize(method, response, params = {}, decimals = 'number') {
+  let normalizer = NORMALIZERS[method]
+  let context = {
+    pair: params.pair,
+    decimal: decimal.converter(decimals)
+  }
+  let data = (normalizer && response.data !== null && response.data !== undefined ? normalizer(response.data, params, context) : response.data)
+  if (data === null || typeof data !== 'object') {
+    data = {
+      value: data
+    }
+  }
+  Object.defineProperty(data, 'raw', {
+    value: response
+  })
+  return data
+}
+
+/**
+ * The API response behind a result, whether it was normalised or not.
+ * @param {Object} result What a public method resolved with.
+ * @return {Object} The response with its `success`, `code`, `msg`, `timestamp` and `data`.
+ */
+function raw(result) {
+  return (result && result.raw ? result.raw : result)
+}
+
+module.exports = {
+  Ticker,
+  OrderBookLevel,
+  Trade,
+  Balance,
+  Order,
+  WalletRecord,
+  Coin,
+  Page,
+  normalize,
+  raw
+}
@@ -0,0 +1,52 @@
+'use strict'
+
+/**
+ * The default nonce provider: milliseconds since the Unix epoch, corrected by
+ * a clock offset and bumped by one whenever the clock has not moved on since
+ * the last nonce, so that concurrent signed requests never share a nonce.
+ *
+ * A nonce provider is any object with a `next()` function returning a number,
+ * or a Promise for one. Processes sharing one API key can coordinate through a
+ * provider backed by shared storage. An optional `setOffset(ms)` function
+ * receives the clock drift measured by `Kucoin#syncTime`.
+ * @class
+ * @param {Object} [options] Generator options.
+ * @param {number} [options.offset=0] Milliseconds to add to the local clock.
+ * @example
+ * let nonce = new NonceGenerator()
+ * nonce.next() // 1509592202904
+ * nonce.next() // 1509592202905, even within the same millisecond
+ */
+class NonceGenerator {
+
+  /**
+   * Set up the generator.
+   * @param {Object} [options] Generator options.
+   */
+  constructor(options = {}) {
+    this.offset = options.offset || 0
+    this._last = 0
+  }
+
+  /**
+   * Generate the next nonce.
+   * @access public
+   * @return {number} A nonce greater than any generated before.
+   */
+  next() {
+    this._last = Math.max(Date.now() + this.offset, this._last + 1)
+    return this._last
+  }
+
+  /**
+   * Correct for the difference between the local and the server clock.
+   * @access public
+   * @param {number} offset Milliseconds the server clock is ahead of the local one.
+   */
+  setOffset(offset) {
+    this.offset = Math.round(offset)
+  }
+
+}
+
+module.exports = NonceGenerator
@@ -0,0 +1,314 @@
+'use strict'
+
+/**
+ * A local copy of a trading pair's order book, seeded from a `getOrderBooks`
+ * snapshot and kept up to date with incremental updates.
+ *
+ * Sides are named like KuCoin names them: 'BUY' holds the bids, highest
+ * first, and 'SELL' the asks, lowest first. Each level is a `[price, amount]`
+ * pair.
+ * @class
+ * @param {string} pair The trading pair.
+ * @param {{SELL: Array[], BUY: Array[]}} [snapshot] Data of a `getOrderBooks` response to start from.
+ * @example
+ * kc.getOrderBooks({ pair: 'GAS-NEO' }).then((result) => {
+ *   let book = new OrderBook('GAS-NEO', result.data)
+ *   console.log(book.bestBid(), book.bestAsk(), book.spread())
+ * })
+ */
+class OrderBook {
+
+  /**
+   * Create the book, empty unless a snapshot is given.
+   * @param {string} pair The trading pair.
+   * @param {{SELL: Array[], BUY: Array[]}} [snapshot] Data of a `getOrderBooks` response to start from.
+   */
+  constructor(pair, snapshot) {
+    this.pair = pair
+    this.sequence = 0
+    this.sides = {
+      BUY: [],
+      SELL: []
+    }
+    if (snapshot) {
+      this.applySnapshot(snapshot)
+    }
+  }
+
+  /**
+   * Replace the whole book.
+   * @access public
+   * @param {{SELL: Array[], BUY: Array[]}} snapshot Data of a `getOrderBooks` response, levels as `[price, amount, volume]`.
+   * @param {number} [sequence] Sequence number the snapshot corresponds to, older stream updates are then ignored.
+   */
+  applySnapshot(snapshot, sequence) {
+    this.sides.BUY = []
+    this.sides.SELL = []
+    Object.keys(this.sides).forEach((side) => {
+      (snapshot[side] || []).forEach((level) => this.applyUpdate(side, level[0], level[1]))
+    })
+    this.sequence = sequence || 0
+  }
+
+  /**
+   * Set the amount available at a price level.
+   * @access public
+   * @param {string} side Either 'BUY' or 'SELL'.
+   * @param {number} price Price of the level.
+   * @param {number} amount New amount at that price, 0 removes the level.
+   */
+  applyUpdate(side, price, amount) {
+    let levels = this.levels(side)
+    let index = this.search(side, price)
+    let exists = index < levels.length && levels[index][0] === price
+    if (amount > 0) {
+      if (exists) {
+        levels[index][1] = amount
+      } else {
+        levels.splice(index, 0, [price, amount])
+      }
+    } else if (exists) {
+      levels.splice(index, 1)
+    }
+  }
+
+  /**
+   * Apply a batch of changes, as emitted by MarketStream's 'orderbook' event or returned by `applyDiff`.
+   * @access public
+   * @param {{sequence: number, changes: {SELL: Array[], BUY: Array[]}}} update Levels as `[price, amount]`, an amount of 0 removes the level.
+   * @return {boolean} False if the update was older than the book and ignored.
+   */
+  applyChanges(update) {
+    if (update.sequence !== undefined) {
+      if (update.sequence <= this.sequence) {
+        return false
+      }
+      this.sequence = update.sequence
+    }
+    Object.keys(this.sides).forEach((side) => {
+      (update.changes[side] || []).forEach((level) => this.applyUpdate(side, level[0], level[1]))
+    })
+    return true
+  }
+
+  /**
+   * Bring the book in line with a newer snapshot, e.g. from polling `getOrderBooks`, and report what changed.
+   * @access public
+   * @param {{SELL: Array[], BUY: Array[]}} snapshot Data of a `getOrderBooks` response.
+   * @return {{SELL: Array[], BUY: Array[]}} The levels that changed as `[price, amount]`, removed levels with an amount of 0.
+   */
+  applyDiff(snapshot) {
+    let changes = {
+      BUY: [],
+      SELL: []
+    }
+    Object.keys(this.sides).forEach((side) => {
+      let levels = snapshot[side] || []
+      let next = {}
+      levels.forEach((level) => {
+        next[level[0]] = level[1]
+      })
+      this.sides[side].forEach((level) => {
+        if (next[level[0]] === undefined) {
+          changes[side].push([level[0], 0])
+        }
+      })
+      levels.forEach((level) => {
+        let index = this.search(side, level[0])
+        let current = this.sides[side][index]
+        if (!current || current[0] !== level[0] || current[1] !== level[1]) {
+          changes[side].push([level[0], level[1]])
+        }
+      })
+    })
+    this.applyChanges({
+      changes: changes
+    })
+    return changes
+  }
+
+  /**
+   * The highest bid.
+   * @access public
+   * @return {Array} The level as `[price, amount]`, or null if there are no bids.
+   */
+  bestBid() {
+    return this.sides.BUY[0] || null
+  }
+
+  /**
+   * The lowest ask.
+   * @access public
+   * @return {Array} The level as `[price, amount]`, or null if there are no asks.
+   */
+  bestAsk() {
+    return this.sides.SELL[0] || null
+  }
+
+  /**
+   * Difference between the lowest ask and the highest bid.
+   * @access public
+   * @return {number} The spread, or null if either side is empty.
+   */
+  spread() {
+    let bid = this.bestBid()
+    let ask = this.bestAsk()
+    return (bid && ask ? ask[0] - bid[0] : null)
+  }
+
+  /**
+   * Price halfway between the highest bid and the lowest ask.
+   * @access public
+   * @return {number} The mid price, or null if either side is empty.
+   */
+  midPrice() {
+    let bid = this.bestBid()
+    let ask = this.bestAsk()
+    return (bid && ask ? (ask[0] + bid[0]) / 2 : null)
+  }
+
+  /**
+   * The best levels of each side.
+   * @access public
+   * @param {number} [levels] Number of levels per side, all of them by default.
+   * @return {{BUY: Array[], SELL: Array[]}} Copies of the levels as `[price, amount]`.
+   */
+  depth(levels) {
+    let copy = (side) => this.sides[side].slice(0, levels).map((level) => level.slice())
+    return {
+      BUY: copy('BUY'),
+      SELL: copy('SELL')
+    }
+  }
+
+  /**
+   * Total amount on one side of the book up to a price, inclusive.
+   * @access public
+   * @param {string} side Either 'BUY' to add up bids at or above the price, or 'SELL' to add up asks at or below it.
+   * @param {number} price The price to stop at.
+   * @return {number} The cumulative amount.
+   */
+  cumulativeVolume(side, price) {
+    let total = 0
+    let levels = this.levels(side)
+    for (let i = 0; i < levels.length; i++) {
+      if ((side === 'BUY' && levels[i][0] < price) || (side === 'SELL' && levels[i][0] > price)) {
+        break
+      }
+      total += levels[i][1]
+    }
+    return total
+  }
+
+  /**
+   * Walk the book as a taker order would, level by level, until an amount is filled.
+   * @access public
+   * @param {string} type Type of the taking order, 'BUY' walks the asks and 'SELL' the bids.
+   * @param {number} amount Amount to fill.
+   * @return {{amount: number, cost: number, averagePrice: number, worstPrice: number, complete: boolean}} What would be filled, its total cost in the quote coin and average and last price, and whether the book was deep enough for all of it.
+   */
+  walk(type, amount) {
+    let levels = this.levels(type === 'BUY' ? 'SELL' : 'BUY')
+    let filled = 0
+    let cost = 0
+    let worstPrice = null
+    for (let i = 0; i < levels.length && filled < amount; i++) {
+      let take = Math.min(levels[i][1], amount - filled)
+      filled += take
+      cost += take * levels[i][0]
+      worstPrice = levels[i][0]
+    }
+    return {
+      amount: filled,
+      cost: cost,
+      averagePrice: (filled > 0 ? cost / filled : null),
+      worstPrice: worstPrice,
+      complete: filled >= amount
+    }
+  }
+
+  /**
+   * Walk the book as a taker order would until an amount of the quote coin is spent, or received for a SELL.
+   * @access public
+   * @param {string} type Type of the taking order, 'BUY' walks the asks and 'SELL' the bids.
+   * @param {number} funds Amount of the quote coin.
+   * @return {{amount: number, cost: number, averagePrice: number, worstPrice: number, complete: boolean}} The same as `walk`, with `amount` the amount of the base coin the funds are worth.
+   */
+  walkFunds(type, funds) {
+    let levels = this.levels(type === 'BUY' ? 'SELL' : 'BUY')
+    let filled = 0
+    let cost = 0
+    let worstPrice = null
+    let complete = false
+    for (let i = 0; i < levels.length && !complete; i++) {
+      let levelCost = levels[i][0] * levels[i][1]
+      worstPrice = levels[i][0]
+      if (cost + levelCost >= funds) {
+        filled += (funds - cost) / levels[i][0]
+        cost = funds
+        complete = true
+      } else {
+        filled += levels[i][1]
+        cost += levelCost
+      }
+    }
+    return {
+      amount: filled,
+      cost: cost,
+      averagePrice: (filled > 0 ? cost / filled : null),
+      worstPrice: worstPrice,
+      complete: complete
+    }
+  }
+
+  /**
+   * Volume weighted average price of filling an amount against the book.
+   * @access public
+   * @param {string} type Type of the taking order, 'BUY' walks the asks and 'SELL' the bids.
+   * @param {number} amount Amount to fill.
+   * @return {number} The average price, or null if the book is not deep enough.
+   */
+  vwap(type, amount) {
+    let result = this.walk(type, amount)
+    return (result.complete ? result.averagePrice : null)
+  }
+
+  /**
+   * The levels of one side.
+   * @access private
+   * @param {string} side Either 'BUY' or 'SELL'.
+   * @return {Array[]} The sorted levels.
+   */
+  levels(side) {
+    if (!this.sides[side]) {
+      throw new Error('Unknown order book side ' + side)
+    }
+    return this.sides[side]
+  }
+
+  /**
+   * Binary search for where a price belongs on one side.
+   * @access private
+   * @param {string} side Either 'BUY' or 'SELL'.
+   * @param {number} price The price to look for.
+   * @return {number} Index of the level with that price, or where it would be inserted.
+   */
+  search(side, price) {
+    let levels = this.levels(side)
+    let low = 0
+    let high = levels.length
+    while (low < high) {
+      let middle = (low + high) >>> 1
+      let before = (side === 'BUY' ? levels[middle][0] > price : levels[middle][0] < price)
+      if (before) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    return low
+  }
+
+}
+
+module.exports = OrderBook
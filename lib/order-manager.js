@@ -0,0 +1,403 @@
+'use strict'
+
+const EventEmitter = require('events')
+const Q = require('q')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const models = require('./models')
+const paginate = require('./pagination')
+
+/**
+ * Tracks orders from creation until they are filled or cancelled.
+ *
+ * While any order is tracked, `getActiveOrders` is polled for each of their
+ * pairs. When an order's dealt amount changes or it leaves the active list,
+ * its fills are collected from `getDealtOrders` and one of these events is
+ * emitted with the order:
+ *
+ * - `partiallyFilled`: more of the order has been filled, it is still active.
+ * - `filled`: the order has been completely filled.
+ * - `cancelled`: the order is no longer active without being completely filled.
+ *
+ * Orders are plain objects `{orderOid, pair, type, price, amount, dealtAmount,
+ * averagePrice, status, fills, createdAt}` that are updated in place, with
+ * `status` one of 'OPEN', 'PARTIALLY_FILLED', 'FILLED' or 'CANCELLED'. They
+ * stop being tracked once filled or cancelled. Fills can show up after an
+ * order has left the active orders, so an order is only considered cancelled
+ * once it has been missing for `settlePolls` polls without being completely
+ * filled. Failed polls are emitted as `error`, if anything listens for it,
+ * and retried on the next interval. Once `settlePolls` polls in a row have
+ * failed, `waitForFill` rejects with the error instead of waiting on.
+ * @class
+ * @extends EventEmitter
+ * @param {Kucoin} client The client to place and poll orders with.
+ * @param {Object} [options] Manager options.
+ * @param {number} [options.pollInterval=2000] Milliseconds between polls.
+ * @param {number} [options.clockSkew=60000] How far fills may be timestamped before the order was placed, in milliseconds, when looking them up.
+ * @param {number} [options.settlePolls=3] Polls an order must be missing from the active orders before it is considered cancelled.
+ * @example
+ * let manager = new OrderManager(kc)
+ * manager.on('partiallyFilled', (order) => console.log(order.orderOid, order.dealtAmount))
+ * manager.submit({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 10 })
+ *   .then((order) => manager.waitForFill(order.orderOid, { timeout: 60000, cancel: true }))
+ *   .then((order) => console.log('filled at', order.averagePrice))
+ */
+class OrderManager extends EventEmitter {
+
+  /**
+   * Set up the manager, nothing is polled until an order is tracked.
+   * @param {Kucoin} client The client to place and poll orders with.
+   * @param {Object} [options] Manager options.
+   */
+  constructor(client, options = {}) {
+    super()
+    this.client = client
+    this.pollInterval = options.pollInterval || 2000
+    this.clockSkew = (options.clockSkew !== undefined ? options.clockSkew : 60000)
+    this.settlePolls = options.settlePolls || 3
+    this.orders = {}
+    this._missing = {}
+    this._waiters = []
+    this._failedPolls = 0
+    this._timer = null
+    this._polling = null
+  }
+
+  /**
+   * Place an order with `createOrder` and track it.
+   * @access public
+   * @param {{pair: string, type: string, price: number, amount: number}} params Order details as for `createOrder`.
+   * @return {Promise} Resolves with the tracked order.
+   */
+  submit(params) {
+    let order = Object.assign({}, params)
+    return Q(this.client.createOrder(order))
+      .then((result) => this.track(models.raw(result).data.orderOid, order))
+  }
+
+  /**
+   * Track an order placed some other way.
+   * @access public
+   * @param {string} orderOid The order's ID.
+   * @param {{pair: string, type: string, price: number, amount: number, createdAt: number}} params Details the order was placed with, and when in milliseconds, now by default.
+   * @return {Object} The tracked order.
+   */
+  track(orderOid, params) {
+    let order = {
+      orderOid: orderOid,
+      pair: params.pair,
+      type: params.type,
+      price: Number(params.price),
+      amount: Number(params.amount),
+      dealtAmount: 0,
+      averagePrice: null,
+      status: 'OPEN',
+      fills: [],
+      createdAt: (params.createdAt !== undefined ? params.createdAt : Date.now() + this.client.timeOffset)
+    }
+    this.orders[orderOid] = order
+    this.schedule()
+    return order
+  }
+
+  /**
+   * Cancel a tracked order with `cancelOrder` and poll for its final state.
+   * @access public
+   * @param {string} orderOid The order's ID.
+   * @return {Promise} Resolves with the order once it has left the active orders and settled, which may have been filled before the cancellation went through, or with the order still open if the exchange lists it as active.
+   */
+  cancel(orderOid) {
+    let order = this.orders[orderOid]
+    if (!order) {
+      return Q.reject(this.untracked(orderOid))
+    }
+    return Q(this.client.cancelOrder({
+      pair: order.pair,
+      type: order.type,
+      txOid: orderOid
+    }))
+      .catch((err) => {
+        if (!(err instanceof errors.OrderNotFoundError)) {
+          throw err
+        }
+      })
+      .then(() => this.settle(order))
+  }
+
+  /**
+   * Wait until a tracked order is completely filled.
+   * @access public
+   * @param {string} orderOid The order's ID.
+   * @param {Object} [options] Wait options.
+   * @param {number} [options.timeout] Milliseconds to wait, forever by default.
+   * @param {boolean} [options.cancel=false] Cancel the order when the timeout passes.
+   * @return {Promise} Resolves with the filled order, rejects with an OrderCancelledError if it is cancelled first, an OrderTimeoutError once the timeout passes, or the error of the last poll once `settlePolls` polls in a row have failed.
+   */
+  waitForFill(orderOid, options = {}) {
+    let order = this.orders[orderOid]
+    if (!order) {
+      return Q.reject(this.untracked(orderOid))
+    }
+    let deferred = Q.defer()
+    let timer = null
+    let onFilled = (filled) => {
+      if (filled === order) {
+        done()
+        deferred.resolve(order)
+      }
+    }
+    let onCancelled = (cancelled) => {
+      if (cancelled === order) {
+        done()
+        deferred.reject(this.failure(errors.OrderCancelledError, 'Order ' + orderOid + ' was cancelled after filling ' + order.dealtAmount + ' of ' + order.amount, order))
+      }
+    }
+    let onFailed = (err) => {
+      done()
+      deferred.reject(err)
+    }
+    let done = () => {
+      clearTimeout(timer)
+      this.removeListener('filled', onFilled)
+      this.removeListener('cancelled', onCancelled)
+      this._waiters = this._waiters.filter((waiter) => waiter !== onFailed)
+    }
+    this.on('filled', onFilled)
+    this.on('cancelled', onCancelled)
+    this._waiters.push(onFailed)
+    if (options.timeout) {
+      timer = setTimeout(() => {
+        done()
+        let err = this.failure(errors.OrderTimeoutError, 'Order ' + orderOid + ' was not filled within ' + options.timeout + 'ms', order)
+        if (!options.cancel) {
+          deferred.reject(err)
+          return
+        }
+        this.cancel(orderOid)
+          .then(() => {
+            if (order.status === 'FILLED') {
+              deferred.resolve(order)
+            } else {
+              deferred.reject(err)
+            }
+          }, (cancelErr) => {
+            err.cause = cancelErr
+            deferred.reject(err)
+          })
+      }, options.timeout)
+    }
+    return deferred.promise
+  }
+
+  /**
+   * Check every tracked order now, instead of waiting for the next interval.
+   * @access public
+   * @return {Promise} Resolves once the orders and events are up to date.
+   */
+  poll() {
+    if (!this._polling) {
+      let pairs = {}
+      Object.keys(this.orders).forEach((orderOid) => {
+        let order = this.orders[orderOid]
+        pairs[order.pair] = (pairs[order.pair] || []).concat(order)
+      })
+      this._polling = Q.all(Object.keys(pairs).map((pair) => this.pollPair(pair, pairs[pair])))
+        .finally(() => {
+          this._polling = null
+        })
+    }
+    return this._polling
+  }
+
+  /**
+   * Stop tracking every order.
+   * @access public
+   */
+  stop() {
+    clearTimeout(this._timer)
+    this._timer = null
+    this.orders = {}
+    this._missing = {}
+    this._failedPolls = 0
+  }
+
+  /**
+   * Poll again after `pollInterval`, while any order is tracked.
+   * @access private
+   */
+  schedule() {
+    if (this._timer || !Object.keys(this.orders).length) {
+      return
+    }
+    this._timer = setTimeout(() => {
+      this.poll()
+        .then(() => {
+          this._failedPolls = 0
+        }, (err) => {
+          if (this.listenerCount('error')) {
+            this.emit('error', err)
+          }
+          if (++this._failedPolls >= this.settlePolls) {
+            this._waiters.slice().forEach((fail) => fail(err))
+          }
+        })
+        .finally(() => {
+          this._timer = null
+          this.schedule()
+        })
+    }, this.pollInterval)
+  }
+
+  /**
+   * Poll until an order that has left the active orders is filled or considered cancelled.
+   * @access private
+   * @param {Object} order The tracked order.
+   * @return {Promise} Resolves with the order.
+   */
+  settle(order) {
+    return this.poll().then(() => {
+      if (!this._missing[order.orderOid]) {
+        return order
+      }
+      return Q.delay(this.pollInterval).then(() => this.settle(order))
+    })
+  }
+
+  /**
+   * Check the tracked orders of one pair against its active orders and fills.
+   * @access private
+   * @param {string} pair The trading pair.
+   * @param {Object[]} orders The tracked orders for the pair.
+   * @return {Promise} Resolves once the orders are updated.
+   */
+  pollPair(pair, orders) {
+    return Q(this.client.getActiveOrders({
+      pair: pair
+    })).then((result) => {
+      let data = models.raw(result).data || {}
+      let active = {}
+      let sides = [data.BUY || [], data.SELL || []]
+      sides.forEach((side) => side.forEach((order) => {
+        active[order[5]] = order
+      }))
+      let changed = orders.filter((order) => !active[order.orderOid] || Number(active[order.orderOid][4]) !== order.dealtAmount)
+      if (!changed.length) {
+        return
+      }
+      let since = Math.min.apply(Math, changed.map((order) => order.createdAt)) - this.clockSkew
+      return this.fills(pair, since).then((fills) => {
+        changed.forEach((order) => this.update(order, active[order.orderOid], fills[order.orderOid] || []))
+      })
+    })
+  }
+
+  /**
+   * Collect the fills of a pair since a time, by order.
+   * @access private
+   * @param {string} pair The trading pair.
+   * @param {number} since Time of the oldest fill needed, in milliseconds.
+   * @return {Promise} Resolves with the raw fills, grouped by order ID.
+   */
+  fills(pair, since) {
+    let fills = {}
+    let records = paginate((query) => Q(this.client.getDealtOrders(query)).then(models.raw), {
+      pair: pair,
+      since: since,
+      limit: 100
+    })
+    let next = () => Q(records.next()).then((step) => {
+      if (step.done) {
+        return fills
+      }
+      fills[step.value.orderOid] = (fills[step.value.orderOid] || []).concat(step.value)
+      return next()
+    })
+    return next()
+  }
+
+  /**
+   * Update an order from its active entry and fills, and emit what happened to it.
+   * @access private
+   * @param {Object} order The tracked order.
+   * @param {Array} [active] Its entry in the active orders, if it is still active.
+   * @param {Object[]} fills Its raw fills.
+   */
+  update(order, active, fills) {
+    let previous = order.dealtAmount
+    let dealt = decimal.toDecimal(0)
+    let cost = decimal.toDecimal(0)
+    order.fills = fills.map((fill) => {
+      dealt = dealt.plus(decimal.toDecimal(fill.amount))
+      cost = cost.plus(decimal.toDecimal(fill.dealValue))
+      return {
+        id: fill.oid,
+        price: Number(fill.dealPrice),
+        amount: Number(fill.amount),
+        fee: Number(fill.fee),
+        timestamp: fill.createdAt
+      }
+    })
+    order.dealtAmount = (active ? Number(active[4]) : Number(dealt))
+    order.averagePrice = (dealt.greaterThan(0) ? Number(cost.dividedBy(dealt)) : null)
+    let filled = decimal.toDecimal(order.dealtAmount).greaterThanOrEqualTo(decimal.toDecimal(order.amount))
+    if (active || !filled) {
+      let missing = (active ? 0 : (this._missing[order.orderOid] || 0) + 1)
+      if (missing < this.settlePolls) {
+        if (missing) {
+          this._missing[order.orderOid] = missing
+        } else {
+          delete this._missing[order.orderOid]
+        }
+        if (order.dealtAmount > previous) {
+          order.status = 'PARTIALLY_FILLED'
+          this.emit('partiallyFilled', order)
+        }
+        return
+      }
+    }
+    delete this.orders[order.orderOid]
+    delete this._missing[order.orderOid]
+    if (filled) {
+      order.status = 'FILLED'
+      this.emit('filled', order)
+    } else {
+      order.status = 'CANCELLED'
+      this.emit('cancelled', order)
+    }
+  }
+
+  /**
+   * The error for an order that is not tracked.
+   * @access private
+   * @param {string} orderOid The order's ID.
+   * @return {OrderNotFoundError} The error.
+   */
+  untracked(orderOid) {
+    return new errors.OrderNotFoundError('Order ' + orderOid + ' is not tracked', {
+      params: {
+        orderOid: orderOid
+      }
+    })
+  }
+
+  /**
+   * An error about a tracked order, carrying the order as its `order` property.
+   * @access private
+   * @param {Function} ErrorClass The error class.
+   * @param {string} message What went wrong.
+   * @param {Object} order The tracked order.
+   * @return {KucoinError} The error.
+   */
+  failure(ErrorClass, message, order) {
+    let err = new ErrorClass(message, {
+      params: {
+        orderOid: order.orderOid
+      }
+    })
+    err.order = order
+    return err
+  }
+
+}
+
+module.exports = OrderManager
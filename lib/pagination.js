@@ -0,0 +1,50 @@
+'use strict'
+
+const models = require('./models')
+
+/**
+ * Walk every page of a history endpoint, yielding its records one by one.
+ *
+ * History endpoints return the newest records first, so iteration stops at
+ * the first record older than `since`. Records seen on an earlier page are
+ * skipped, in case new ones pushed them onto the next page while iterating.
+ * Stopping early, e.g. with `break` in a `for await` loop, requests no more
+ * pages.
+ * @param {Function} fetchPage Called with the parameters for each page, returns a Promise for the method's result.
+ * @param {Object} [params] Parameters of the method, plus the bounds below.
+ * @param {number} [params.since] Only records created at or after this time, in milliseconds.
+ * @param {number} [params.until] Only records created at or before this time, in milliseconds.
+ * @param {number} [params.page=1] Page to start from.
+ * @return {AsyncIterator} The records, normalised models if the client normalises responses.
+ */
+async function* paginate(fetchPage, params = {}) {
+  let query = Object.assign({}, params)
+  let since = query.since
+  let until = query.until
+  let seen = new Set()
+  delete query.since
+  delete query.until
+  query.page = query.page || 1
+  while (true) {
+    let result = await fetchPage(Object.assign({}, query))
+    let page = models.raw(result).data || {}
+    let records = page.datas || []
+    let items = result.items || records
+    for (let i = 0; i < records.length; i++) {
+      if (since !== undefined && records[i].createdAt < since) {
+        return
+      }
+      if ((until !== undefined && records[i].createdAt > until) || seen.has(records[i].oid)) {
+        continue
+      }
+      seen.add(records[i].oid)
+      yield items[i]
+    }
+    if (!records.length || page.lastPage || query.page >= page.pageNos) {
+      return
+    }
+    query.page++
+  }
+}
+
+module.exports = paginate
@@ -0,0 +1,560 @@
+'use strict'
+
+const crypto = require('crypto')
+const Q = require('q')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const models = require('./models')
+
+/**
+ * Build a paginated response body.
+ * @access private
+ * @param {Array} records Every record.
+ * @param {Object} params The request parameters, with `limit` and `page`.
+ * @return {Object} The page.
+ */
+function paginate(records, params) {
+  let limit = Number(params.limit) || 12
+  let page = Number(params.page) || 1
+  let pageNos = Math.max(1, Math.ceil(records.length / limit))
+  return {
+    total: records.length,
+    firstPage: page === 1,
+    lastPage: page >= pageNos,
+    datas: records.slice((page - 1) * limit, page * limit),
+    currPageNo: page,
+    limit: limit,
+    pageNos: pageNos
+  }
+}
+
+/**
+ * A simulated account for paper trading, used by a client created with the
+ * `paper` option in place of the signed endpoints that move funds.
+ *
+ * Orders, cancellations, withdrawals and the balances, active orders, fills
+ * and wallet records that reflect them are answered from a virtual balance
+ * sheet, in the same shape as the API would. Everything else, including
+ * market data, is still requested from the API, or whatever transport the
+ * client uses, e.g. a MockServer or a recording.
+ *
+ * A new order is filled straight away against the current `getOrderBooks`
+ * data as far as its price allows, the rest rests and is filled by later
+ * `getRecentlyDealtOrders` trades at or through its price, checked whenever
+ * the pair's orders, fills or balances are requested. What an order takes
+ * from a book level is not available to later orders until `getOrderBooks`
+ * returns a different book for that side. Fees are the pair's
+ * `feeRate` times the account's `baseFeeRate` from `getUserInfo`, taken in
+ * the coin received. Withdrawals freeze the amount and stay pending until
+ * cancelled.
+ * @class
+ * @param {Kucoin} client The client to read market data with.
+ * @param {Object} [options] Paper trading options.
+ * @param {Object} [options.balances] Starting balances keyed by coin, e.g. `{ NEO: 10 }`. The account's real balances are copied by default.
+ * @param {number} [options.baseFeeRate] Fee multiplier to use instead of the account's `baseFeeRate`.
+ * @param {Function} [options.clock] Returns the current time in milliseconds, the server time by default, e.g. the simulated clock of a Backtest.
+ */
+class PaperExchange {
+
+  /**
+   * Set up the simulated account, nothing is loaded until the first request.
+   * @param {Kucoin} client The client to read market data with.
+   * @param {Object} [options] Paper trading options.
+   */
+  constructor(client, options = {}) {
+    this.client = client
+    this.startingBalances = options.balances || null
+    this.baseFeeRate = (options.baseFeeRate !== undefined ? options.baseFeeRate : null)
+    this.clock = options.clock || (() => Date.now() + client.timeOffset)
+    this.balances = {}
+    this.orders = {}
+    this.deals = []
+    this.records = []
+    this._synced = {}
+    this._taken = {}
+    this._ready = null
+    this._routes = [
+      ['post', /^\/order$/, this.createOrder],
+      ['post', /^\/cancel-order$/, this.cancelOrder],
+      ['get', /^\/([A-Z0-9]+-[A-Z0-9]+)\/order\/active$/, this.getActiveOrders],
+      ['get', /^\/([A-Z0-9]+-[A-Z0-9]+)\/deal-orders$/, this.getDealtOrders],
+      ['post', /^\/account\/([A-Z0-9]+)\/withdraw\/apply$/, this.createWithdrawal],
+      ['post', /^\/account\/([A-Z0-9]+)\/withdraw\/cancel$/, this.cancelWithdrawal],
+      ['get', /^\/account\/([A-Z0-9]+)\/wallet\/records$/, this.getWalletRecords],
+      ['get', /^\/account\/(?:([A-Z0-9]+)\/)?balance$/, this.getBalance]
+    ]
+  }
+
+  /**
+   * Whether a signed request is simulated.
+   * @access public
+   * @param {string} method HTTP request method.
+   * @param {string} endpoint API endpoint URL suffix.
+   * @return {boolean} True if `request` answers it.
+   */
+  handles(method, endpoint) {
+    return !!this.route(method, endpoint)
+  }
+
+  /**
+   * Answer a signed request from the simulated account.
+   * @access public
+   * @param {string} method HTTP request method.
+   * @param {string} endpoint API endpoint URL suffix.
+   * @param {Object} [params] The request parameters.
+   * @return {Promise} Resolves with a response like the API's, rejects with a KucoinError like the API's.
+   */
+  request(method, endpoint, params = {}) {
+    let route = this.route(method, endpoint)
+    let match = endpoint.match(route[1])
+    return this.ready()
+      .then(() => route[2].call(this, match.slice(1), params))
+      .then((data) => ({
+        success: true,
+        code: 'OK',
+        msg: 'Operation succeeded.',
+        timestamp: Date.now(),
+        data: data
+      }), (err) => {
+        if (err.success !== false) {
+          throw err
+        }
+        throw errors.fromResponse(err, {
+          method: method,
+          endpoint: endpoint,
+          params: params
+        })
+      })
+  }
+
+  /**
+   * Load the starting balances and the fee multiplier.
+   * @access public
+   * @return {Promise} Resolves once the account is ready.
+   */
+  ready() {
+    if (!this._ready) {
+      let balances = (this.startingBalances ? Q(this.startingBalances) : this.client.rawRequest('get', '/account/balance', true)
+        .then((response) => {
+          let starting = {}
+          let data = response.data || []
+          let list = (Array.isArray(data) ? data : data.datas || [])
+          list.forEach((balance) => {
+            starting[balance.coinType] = balance.balance
+          })
+          return starting
+        }))
+      let baseFeeRate = (this.baseFeeRate !== null ? Q(this.baseFeeRate) : this.client.getUserInfo()
+        .then((result) => models.raw(result).data.baseFeeRate))
+      this._ready = Q.all([balances, baseFeeRate]).then((results) => {
+        Object.keys(results[0]).forEach((coin) => {
+          this.balance(coin).balance = decimal.toDecimal(results[0][coin])
+        })
+        this.baseFeeRate = Number(results[1] !== undefined ? results[1] : 1)
+      })
+      this._ready.catch(() => {
+        this._ready = null
+      })
+    }
+    return this._ready
+  }
+
+  /**
+   * Find the handler for a request.
+   * @access private
+   * @param {string} method HTTP request method.
+   * @param {string} endpoint API endpoint URL suffix.
+   * @return {Array} The route, or undefined.
+   */
+  route(method, endpoint) {
+    return this._routes.filter((route) => route[0] === method && route[1].test(endpoint))[0]
+  }
+
+  /**
+   * Freeze funds for a new order, fill it against the book and leave the rest resting.
+   * @access private
+   * @param {string[]} path Values captured from the endpoint.
+   * @param {Object} params The request parameters.
+   * @return {Promise} Resolves with `{orderOid}`.
+   */
+  createOrder(path, params) {
+    let type = params.type
+    let price = decimal.toDecimal(params.price || 0)
+    let amount = decimal.toDecimal(params.amount || 0)
+    if ((type !== 'BUY' && type !== 'SELL') || !price.greaterThan(0) || !amount.greaterThan(0)) {
+      return Q.reject(this.fail('INVALID_PARAMS', 'Invalid order parameters'))
+    }
+    return this.client.metadata.pair(params.symbol).then((symbol) => {
+      if (symbol.trading === false) {
+        throw this.fail('ERROR', 'Trading is suspended for ' + symbol.symbol)
+      }
+      let cost = (type === 'BUY' ? price.times(amount) : amount)
+      let balance = this.balance(type === 'BUY' ? symbol.coinTypePair : symbol.coinType)
+      if (balance.balance.lessThan(cost)) {
+        throw this.fail('NO_BALANCE', 'Insufficient balance')
+      }
+      balance.balance = balance.balance.minus(cost)
+      balance.freeze = balance.freeze.plus(cost)
+      let order = {
+        oid: crypto.randomBytes(12).toString('hex'),
+        pair: symbol.symbol,
+        coinType: symbol.coinType,
+        coinTypePair: symbol.coinTypePair,
+        feeRate: decimal.toDecimal(symbol.feeRate !== undefined ? symbol.feeRate : 0.001).times(this.baseFeeRate),
+        type: type,
+        price: price,
+        amount: amount,
+        dealAmount: decimal.toDecimal(0),
+        createdAt: this.clock(),
+        status: 'OPEN'
+      }
+      this.orders[order.oid] = order
+      return this.match(order).then(() => ({
+        orderOid: order.oid
+      }))
+    })
+  }
+
+  /**
+   * Fill an order against the opposite side of the current order book as far as its price allows, less what earlier orders took from the same book.
+   * @access private
+   * @param {Object} order The order.
+   * @return {Promise} Resolves once filled.
+   */
+  match(order) {
+    return Q(this.client.getOrderBooks({
+      pair: order.pair
+    })).then((result) => {
+      let side = (order.type === 'BUY' ? 'SELL' : 'BUY')
+      let levels = (models.raw(result).data || {})[side] || []
+      let taken = this.taken(order.pair, side, levels)
+      for (let i = 0; i < levels.length && order.status === 'OPEN'; i++) {
+        let levelPrice = decimal.toDecimal(levels[i][0])
+        if ((order.type === 'BUY' && levelPrice.greaterThan(order.price)) || (order.type === 'SELL' && levelPrice.lessThan(order.price))) {
+          break
+        }
+        let remaining = order.amount.minus(order.dealAmount)
+        let levelAmount = decimal.toDecimal(levels[i][1]).minus(taken[levelPrice.toFixed()] || 0)
+        if (!levelAmount.greaterThan(0)) {
+          continue
+        }
+        let amount = (levelAmount.lessThan(remaining) ? levelAmount : remaining)
+        taken[levelPrice.toFixed()] = amount.plus(taken[levelPrice.toFixed()] || 0)
+        this.settle(order, amount, levelPrice)
+      }
+    })
+  }
+
+  /**
+   * What simulated fills took from one side of a pair's book, by price, reset whenever the book changes.
+   * @access private
+   * @param {string} pair The trading pair.
+   * @param {string} side Either 'BUY' or 'SELL'.
+   * @param {Array[]} levels The side's levels from `getOrderBooks`.
+   * @return {Object} The amounts taken, keyed by price.
+   */
+  taken(pair, side, levels) {
+    let key = pair + ':' + side
+    let book = JSON.stringify(levels)
+    if (!this._taken[key] || this._taken[key].book !== book) {
+      this._taken[key] = {
+        book: book,
+        amounts: {}
+      }
+    }
+    return this._taken[key].amounts
+  }
+
+  /**
+   * Fill resting orders of a pair from the trades since they were last checked.
+   * @access private
+   * @param {string} pair The trading pair.
+   * @return {Promise} Resolves once the orders are up to date.
+   */
+  sync(pair) {
+    let open = this.openOrders(pair)
+    if (!open.length) {
+      return Q()
+    }
+    let since = Math.max(this._synced[pair] || 0, Math.min.apply(Math, open.map((order) => order.createdAt)))
+    return Q(this.client.getRecentlyDealtOrders({
+      pair: pair,
+      since: since
+    })).then((result) => {
+      let trades = (models.raw(result).data || [])
+        .filter((trade) => trade[0] > since)
+        .sort((a, b) => a[0] - b[0])
+      trades.forEach((trade) => {
+        let tradePrice = decimal.toDecimal(trade[2])
+        let left = decimal.toDecimal(trade[3])
+        this.openOrders(pair).forEach((order) => {
+          let crosses = (order.type === 'BUY' ? !tradePrice.greaterThan(order.price) : !tradePrice.lessThan(order.price))
+          if (!crosses || order.createdAt >= trade[0] || !left.greaterThan(0)) {
+            return
+          }
+          let remaining = order.amount.minus(order.dealAmount)
+          let fill = (left.lessThan(remaining) ? left : remaining)
+          left = left.minus(fill)
+          this.settle(order, fill, order.price)
+        })
+        this._synced[pair] = Math.max(this._synced[pair] || 0, trade[0])
+      })
+    })
+  }
+
+  /**
+   * Apply a fill to an order and the balances, and record the deal.
+   * @access private
+   * @param {Object} order The order.
+   * @param {BigNumber} amount The amount filled.
+   * @param {BigNumber} price The price it filled at.
+   */
+  settle(order, amount, price) {
+    let base = this.balance(order.coinType)
+    let quote = this.balance(order.coinTypePair)
+    let dealValue = amount.times(price)
+    let fee
+    if (order.type === 'BUY') {
+      fee = amount.times(order.feeRate)
+      quote.freeze = quote.freeze.minus(amount.times(order.price))
+      quote.balance = quote.balance.plus(amount.times(order.price)).minus(dealValue)
+      base.balance = base.balance.plus(amount).minus(fee)
+    } else {
+      fee = dealValue.times(order.feeRate)
+      base.freeze = base.freeze.minus(amount)
+      quote.balance = quote.balance.plus(dealValue).minus(fee)
+    }
+    order.dealAmount = order.dealAmount.plus(amount)
+    if (!order.dealAmount.lessThan(order.amount)) {
+      order.status = 'DEALT'
+    }
+    this.deals.unshift({
+      coinType: order.coinType,
+      createdAt: this.clock(),
+      amount: Number(amount),
+      dealValue: Number(dealValue),
+      fee: Number(fee),
+      dealDirection: order.type,
+      coinTypePair: order.coinTypePair,
+      oid: crypto.randomBytes(12).toString('hex'),
+      dealPrice: Number(price),
+      orderOid: order.oid,
+      feeRate: Number(order.feeRate),
+      direction: order.type
+    })
+  }
+
+  /**
+   * Cancel an open order and release what is still frozen.
+   * @access private
+   * @param {string[]} path Values captured from the endpoint.
+   * @param {Object} params The request parameters.
+   * @return {Promise} Resolves with null.
+   */
+  cancelOrder(path, params) {
+    let order = this.orders[params.orderOid || params.txOid]
+    if (!order || order.pair !== params.symbol) {
+      return Q.reject(this.fail('ORDER_NOT_EXIST', 'Order not found'))
+    }
+    return this.sync(order.pair).then(() => {
+      if (order.status !== 'OPEN') {
+        throw this.fail('ORDER_NOT_EXIST', 'Order is no longer active')
+      }
+      let remaining = order.amount.minus(order.dealAmount)
+      let refund = (order.type === 'BUY' ? remaining.times(order.price) : remaining)
+      let balance = this.balance(order.type === 'BUY' ? order.coinTypePair : order.coinType)
+      balance.freeze = balance.freeze.minus(refund)
+      balance.balance = balance.balance.plus(refund)
+      order.status = 'CANCELED'
+      return null
+    })
+  }
+
+  /**
+   * Open orders for a pair.
+   * @access private
+   * @param {string[]} path The trading pair.
+   * @return {Promise} Resolves with `{SELL, BUY}` lists of `[createdAt, type, price, amount, dealAmount, orderOid]`.
+   */
+  getActiveOrders(path) {
+    return this.sync(path[0]).then(() => {
+      let active = {
+        SELL: [],
+        BUY: []
+      }
+      this.openOrders(path[0]).forEach((order) => {
+        active[order.type].push([order.createdAt, order.type, Number(order.price), Number(order.amount), Number(order.dealAmount), order.oid])
+      })
+      return active
+    })
+  }
+
+  /**
+   * Fills for a pair.
+   * @access private
+   * @param {string[]} path The trading pair.
+   * @param {Object} params The request parameters.
+   * @return {Promise} Resolves with a page of fills.
+   */
+  getDealtOrders(path, params) {
+    return this.sync(path[0]).then(() => paginate(this.deals.filter((deal) => {
+      return deal.coinType + '-' + deal.coinTypePair === path[0] && (!params.type || deal.direction === params.type)
+    }), params))
+  }
+
+  /**
+   * Freeze the amount and record a pending withdrawal.
+   * @access private
+   * @param {string[]} path The coin.
+   * @param {Object} params The request parameters.
+   * @return {Promise} Resolves with null.
+   */
+  createWithdrawal(path, params) {
+    let amount = decimal.toDecimal(params.amount || 0)
+    if (!params.address || !amount.greaterThan(0)) {
+      return Q.reject(this.fail('INVALID_PARAMS', 'Invalid withdrawal parameters'))
+    }
+    return this.client.metadata.coin(path[0]).then((coin) => {
+      if (!coin.enableWithdraw) {
+        throw this.fail('ERROR', 'Withdrawals are disabled for ' + coin.coin)
+      }
+      if (amount.lessThan(coin.withdrawMinAmount || 0)) {
+        throw this.fail('INVALID_PARAMS', 'Amount is below the minimum withdrawal of ' + coin.withdrawMinAmount)
+      }
+      let balance = this.balance(coin.coin)
+      if (balance.balance.lessThan(amount)) {
+        throw this.fail('NO_BALANCE', 'Insufficient balance')
+      }
+      balance.balance = balance.balance.minus(amount)
+      balance.freeze = balance.freeze.plus(amount)
+      let fee = amount.times(coin.withdrawFeeRate || 0)
+      let now = this.clock()
+      this.records.unshift({
+        coinType: coin.coin,
+        createdAt: now,
+        amount: Number(amount),
+        address: params.address,
+        fee: Math.max(coin.withdrawMinFee || 0, Number(fee)),
+        outerWalletTxid: null,
+        remark: 'Paper trading',
+        oid: crypto.randomBytes(12).toString('hex'),
+        confirmation: 0,
+        type: 'WITHDRAW',
+        status: 'PENDING',
+        updatedAt: now
+      })
+      return null
+    })
+  }
+
+  /**
+   * Cancel a pending withdrawal and release the frozen amount.
+   * @access private
+   * @param {string[]} path The coin.
+   * @param {Object} params The request parameters.
+   * @return {Promise} Resolves with null.
+   */
+  cancelWithdrawal(path, params) {
+    let record = this.records.filter((record) => record.oid === params.txOid && record.type === 'WITHDRAW')[0]
+    if (!record) {
+      return Q.reject(this.fail('ERROR', 'Withdrawal not found'))
+    }
+    if (record.status !== 'PENDING') {
+      return Q.reject(this.fail('ERROR', 'Withdrawal can no longer be cancelled'))
+    }
+    let balance = this.balance(record.coinType)
+    balance.freeze = balance.freeze.minus(record.amount)
+    balance.balance = balance.balance.plus(record.amount)
+    record.status = 'CANCEL'
+    record.updatedAt = this.clock()
+    return Q(null)
+  }
+
+  /**
+   * Deposit and withdrawal records for a coin.
+   * @access private
+   * @param {string[]} path The coin.
+   * @param {Object} params The request parameters.
+   * @return {Promise} Resolves with a page of records.
+   */
+  getWalletRecords(path, params) {
+    return Q(paginate(this.records.filter((record) => {
+      return record.coinType === path[0] &&
+        (!params.type || record.type === params.type) &&
+        (!params.status || record.status === params.status)
+    }), params))
+  }
+
+  /**
+   * Balance for one coin, or all coins, after filling resting orders.
+   * @access private
+   * @param {string[]} path The coin, if only one is requested.
+   * @return {Promise} Resolves with the balance or a list of balances.
+   */
+  getBalance(path) {
+    let pairs = {}
+    Object.keys(this.orders).forEach((oid) => {
+      pairs[this.orders[oid].pair] = true
+    })
+    return Q.all(Object.keys(pairs).map((pair) => this.sync(pair))).then(() => {
+      let format = (coin) => {
+        let balance = this.balance(coin)
+        return {
+          coinType: coin,
+          balanceStr: balance.balance.toFixed(),
+          freezeBalance: Number(balance.freeze),
+          balance: Number(balance.balance),
+          freezeBalanceStr: balance.freeze.toFixed()
+        }
+      }
+      return (path[0] ? format(path[0]) : Object.keys(this.balances).map(format))
+    })
+  }
+
+  /**
+   * The balance of a coin, created empty if there is none yet.
+   * @access private
+   * @param {string} coin The coin.
+   * @return {{balance: BigNumber, freeze: BigNumber}} The balance.
+   */
+  balance(coin) {
+    if (!this.balances[coin]) {
+      this.balances[coin] = {
+        balance: decimal.toDecimal(0),
+        freeze: decimal.toDecimal(0)
+      }
+    }
+    return this.balances[coin]
+  }
+
+  /**
+   * Open orders of a pair, oldest first.
+   * @access private
+   * @param {string} pair The trading pair.
+   * @return {Object[]} The orders.
+   */
+  openOrders(pair) {
+    return Object.keys(this.orders)
+      .map((oid) => this.orders[oid])
+      .filter((order) => order.pair === pair && order.status === 'OPEN')
+      .sort((a, b) => a.createdAt - b.createdAt)
+  }
+
+  /**
+   * An error response like the API's.
+   * @access private
+   * @param {string} code KuCoin response code.
+   * @param {string} msg The message.
+   * @return {Object} The response body.
+   */
+  fail(code, msg) {
+    return {
+      success: false,
+      code: code,
+      msg: msg
+    }
+  }
+
+}
+
+module.exports = PaperExchange
@@ -0,0 +1,282 @@
+'use strict'
+
+const EventEmitter = require('events')
+const Q = require('q')
+const decimal = require('./decimal')
+const models = require('./models')
+
+/**
+ * Values an account's balances in a fiat currency or a coin, and keeps
+ * snapshots of the valuations to track how they change.
+ *
+ * Every balance is counted, free and frozen. A coin is priced from
+ * `getExchangeRates` if it has a rate in the currency, otherwise from the
+ * last price of a pair between it and the currency, or the ratio of both
+ * their rates in the same fiat currency, and otherwise across the quote coin
+ * of one of its pairs, e.g. GAS in USD as GAS-NEO times the rate of NEO.
+ * Coins that cannot be priced are left out of the total and listed as
+ * `unpriced`.
+ *
+ * Events:
+ *
+ * - `snapshot`: a snapshot was taken by `start`, with the snapshot.
+ * - `error`: a snapshot taken by `start` failed, with the error.
+ * @class
+ * @extends EventEmitter
+ * @param {Kucoin} client The client to read balances and prices with.
+ * @param {Object} [options] Portfolio options.
+ * @param {string} [options.currency='USD'] Fiat currency, e.g. 'EUR', or coin, e.g. 'BTC', to value the balances in.
+ * @param {Object} [options.store] Where to keep snapshots between runs, e.g. a FileStore.
+ * @param {number} [options.maxSnapshots=1000] Oldest snapshots are dropped beyond this many.
+ * @example
+ * let portfolio = new Portfolio(kc, { currency: 'EUR' })
+ * portfolio.value().then((valuation) => {
+ *   valuation.total                        // 1234.56
+ *   valuation.holdings[0]                  // { coin: 'NEO', available: 10, frozen: 0, total: 10, price: 21.76, value: 217.6, allocation: 0.176 }
+ * })
+ */
+class Portfolio extends EventEmitter {
+
+  /**
+   * Set up the portfolio, nothing is requested until a valuation.
+   * @param {Kucoin} client The client to read balances and prices with.
+   * @param {Object} [options] Portfolio options.
+   */
+  constructor(client, options = {}) {
+    super()
+    this.client = client
+    this.currency = options.currency || 'USD'
+    this.store = options.store || null
+    this.maxSnapshots = options.maxSnapshots || 1000
+    this.snapshots = []
+    this._timer = null
+    this._running = null
+    this._loaded = null
+  }
+
+  /**
+   * Value the balances now.
+   * @access public
+   * @return {Promise} Resolves with `{time, currency, total, holdings, unpriced}`. `holdings` lists each coin with a balance as `{coin, available, frozen, total, price, value, allocation}`, largest value first, `allocation` being its share of the total.
+   */
+  value() {
+    let currency = this.currency
+    return Q.all([this.client.getBalance(), this.client.getTradingSymbols()]).then((results) => {
+      let data = models.raw(results[0]).data || []
+      let balances = (Array.isArray(data) ? data : data.datas || [])
+        .map((balance) => {
+          let available = decimal.toDecimal(balance.balanceStr !== undefined ? balance.balanceStr : balance.balance)
+          let frozen = decimal.toDecimal(balance.freezeBalanceStr !== undefined ? balance.freezeBalanceStr : balance.freezeBalance)
+          return {
+            coin: balance.coinType,
+            available: available,
+            frozen: frozen,
+            total: available.plus(frozen)
+          }
+        })
+        .filter((balance) => !balance.total.isZero())
+      let tickers = {}
+      let quotes = {}
+      models.raw(results[1]).data.forEach((symbol) => {
+        if (symbol.lastDealPrice) {
+          tickers[symbol.symbol] = symbol
+          quotes[symbol.coinTypePair] = true
+        }
+      })
+      let coins = {}
+      balances.forEach((balance) => {
+        coins[balance.coin] = true
+      })
+      Object.keys(quotes).concat([currency]).forEach((coin) => {
+        coins[coin] = true
+      })
+      return Q(this.client.getExchangeRates({
+        symbols: Object.keys(coins)
+      })).then((result) => {
+        let rates = models.raw(result).data.rates || {}
+        let direct = (coin) => {
+          if (coin === currency) {
+            return decimal.toDecimal(1)
+          }
+          if (rates[coin] && rates[coin][currency] !== undefined) {
+            return decimal.toDecimal(rates[coin][currency])
+          }
+          if (tickers[coin + '-' + currency]) {
+            return decimal.toDecimal(tickers[coin + '-' + currency].lastDealPrice)
+          }
+          if (tickers[currency + '-' + coin]) {
+            return decimal.toDecimal(1).dividedBy(decimal.toDecimal(tickers[currency + '-' + coin].lastDealPrice))
+          }
+          let fiat = Object.keys(rates[coin] || {}).filter((key) => rates[currency] && rates[currency][key])[0]
+          return (fiat ? decimal.toDecimal(rates[coin][fiat]).dividedBy(decimal.toDecimal(rates[currency][fiat])) : null)
+        }
+        let price = (coin) => {
+          let found = direct(coin)
+          let pairs = Object.keys(tickers)
+          for (let i = 0; i < pairs.length && found === null; i++) {
+            let quote = (tickers[pairs[i]].coinType === coin ? direct(tickers[pairs[i]].coinTypePair) : null)
+            if (quote !== null) {
+              found = decimal.toDecimal(tickers[pairs[i]].lastDealPrice).times(quote)
+            }
+          }
+          return found
+        }
+        let total = decimal.toDecimal(0)
+        let unpriced = []
+        let holdings = []
+        balances.forEach((balance) => {
+          let coinPrice = price(balance.coin)
+          if (coinPrice === null) {
+            unpriced.push(balance.coin)
+            return
+          }
+          balance.price = coinPrice
+          balance.value = balance.total.times(coinPrice)
+          total = total.plus(balance.value)
+          holdings.push(balance)
+        })
+        return {
+          time: Date.now(),
+          currency: currency,
+          total: Number(total),
+          holdings: holdings
+            .sort((a, b) => b.value.comparedTo(a.value))
+            .map((holding) => ({
+              coin: holding.coin,
+              available: Number(holding.available),
+              frozen: Number(holding.frozen),
+              total: Number(holding.total),
+              price: Number(holding.price),
+              value: Number(holding.value),
+              allocation: (total.isZero() ? 0 : Number(holding.value.dividedBy(total)))
+            })),
+          unpriced: unpriced
+        }
+      })
+    })
+  }
+
+  /**
+   * Value the balances now and keep the valuation as a snapshot, saved to the store if there is one.
+   * @access public
+   * @return {Promise} Resolves with the snapshot.
+   */
+  snapshot() {
+    return this.load()
+      .then(() => this.value())
+      .then((snapshot) => {
+        this.snapshots.push(snapshot)
+        if (this.snapshots.length > this.maxSnapshots) {
+          this.snapshots.splice(0, this.snapshots.length - this.maxSnapshots)
+        }
+        return (this.store ? Q(this.store.save(this.snapshots)) : Q()).then(() => snapshot)
+      })
+  }
+
+  /**
+   * How the portfolio changed between two snapshots.
+   * @access public
+   * @param {Object} [options] Which snapshots.
+   * @param {number} [options.since] Compare from the last snapshot taken at or before this time, the first snapshot by default.
+   * @param {number} [options.until] Compare to the last snapshot taken at or before this time, the latest by default.
+   * @return {Object} The change as `{from, to, currency, total, change, changeRate, coins}`, `total` being the later total and `changeRate` the change as a fraction of the earlier one. `coins` lists `{coin, total, value, change, amountChange}` for every coin in either snapshot. Null if there are no snapshots to compare.
+   */
+  change(options = {}) {
+    let before = (time) => this.snapshots.filter((snapshot) => snapshot.time <= time).pop()
+    let from = (options.since !== undefined ? before(options.since) || this.snapshots[0] : this.snapshots[0])
+    let to = (options.until !== undefined ? before(options.until) : this.snapshots[this.snapshots.length - 1])
+    if (!from || !to) {
+      return null
+    }
+    let byCoin = (snapshot) => {
+      let coins = {}
+      snapshot.holdings.forEach((holding) => {
+        coins[holding.coin] = holding
+      })
+      return coins
+    }
+    let earlier = byCoin(from)
+    let later = byCoin(to)
+    let difference = (a, b) => Number(decimal.toDecimal(a).minus(decimal.toDecimal(b)))
+    let change = difference(to.total, from.total)
+    return {
+      from: from.time,
+      to: to.time,
+      currency: to.currency,
+      total: to.total,
+      change: change,
+      changeRate: (from.total ? change / from.total : null),
+      coins: Object.keys(Object.assign({}, earlier, later)).map((coin) => {
+        let a = earlier[coin] || {
+          total: 0,
+          value: 0
+        }
+        let b = later[coin] || {
+          total: 0,
+          value: 0
+        }
+        return {
+          coin: coin,
+          total: b.total,
+          value: b.value,
+          change: difference(b.value, a.value),
+          amountChange: difference(b.total, a.total)
+        }
+      })
+    }
+  }
+
+  /**
+   * Take a snapshot now and then at an interval.
+   * @access public
+   * @param {number} [interval=3600000] Milliseconds between snapshots.
+   * @return {Portfolio} The portfolio.
+   */
+  start(interval = 3600000) {
+    this.stop()
+    let running = {}
+    let run = () => {
+      this.snapshot()
+        .then((snapshot) => this.emit('snapshot', snapshot), (err) => this.emit('error', err))
+        .finally(() => {
+          if (this._running === running) {
+            this._timer = setTimeout(run, interval)
+          }
+        })
+    }
+    this._running = running
+    this._timer = setTimeout(run, 0)
+    return this
+  }
+
+  /**
+   * Stop taking snapshots.
+   * @access public
+   */
+  stop() {
+    clearTimeout(this._timer)
+    this._timer = null
+    this._running = null
+  }
+
+  /**
+   * Read the saved snapshots from the store, once.
+   * @access public
+   * @return {Promise} Resolves with the snapshots.
+   */
+  load() {
+    if (!this._loaded) {
+      this._loaded = (this.store ? Q(this.store.load()) : Q(null)).then((saved) => {
+        this.snapshots = (saved || []).concat(this.snapshots)
+        return this.snapshots
+      })
+      this._loaded.catch(() => {
+        this._loaded = null
+      })
+    }
+    return this._loaded
+  }
+
+}
+
+module.exports = Portfolio
@@ -0,0 +1,96 @@
+'use strict'
+
+const Q = require('q')
+
+/**
+ * A token bucket limiting how many requests are sent. The bucket holds up to
+ * `capacity` tokens and gains `refillRate` tokens per second, each request
+ * takes one and waits in line while the bucket is empty.
+ *
+ * One limiter can be shared between several clients using the same key.
+ * @class
+ * @param {Object} [options] Limiter options.
+ * @param {number} [options.capacity=10] Maximum burst size.
+ * @param {number} [options.refillRate=5] Tokens added per second.
+ * @example
+ * let limiter = new RateLimiter({
+ *   capacity: 20,
+ *   refillRate: 10
+ * })
+ * let kc = new Kucoin(apiKey, apiSecret, {
+ *   rateLimiter: limiter
+ * })
+ */
+class RateLimiter {
+
+  /**
+   * Start with a full bucket.
+   * @param {Object} [options] Limiter options.
+   */
+  constructor(options = {}) {
+    this.capacity = options.capacity || 10
+    this.refillRate = options.refillRate || 5
+    this.tokens = this.capacity
+    this._lastRefill = Date.now()
+    this._blockedUntil = 0
+    this._queue = []
+    this._timer = null
+  }
+
+  /**
+   * Wait for a token.
+   * @access public
+   * @return {Promise} Resolves once the request may be sent.
+   */
+  acquire() {
+    let deferred = Q.defer()
+    this._queue.push(deferred)
+    this.drain()
+    return deferred.promise
+  }
+
+  /**
+   * Hold back every request for a while, e.g. after the exchange responded with HTTP 429.
+   * @access public
+   * @param {number} ms How long to wait, in milliseconds.
+   */
+  pause(ms) {
+    this._blockedUntil = Math.max(this._blockedUntil, Date.now() + ms)
+    this.tokens = 0
+  }
+
+  /**
+   * Number of requests waiting for a token.
+   * @access public
+   * @return {number} The queue length.
+   */
+  pending() {
+    return this._queue.length
+  }
+
+  /**
+   * Hand out tokens to waiting requests and schedule the next attempt if some are left.
+   * @access private
+   */
+  drain() {
+    let now = Date.now()
+    if (now >= this._blockedUntil) {
+      this.tokens = Math.min(this.capacity, this.tokens + (now - Math.max(this._lastRefill, this._blockedUntil)) / 1000 * this.refillRate)
+    }
+    this._lastRefill = now
+    while (this._queue.length && this.tokens >= 1 && now >= this._blockedUntil) {
+      this.tokens -= 1
+      this._queue.shift().resolve()
+    }
+    if (this._queue.length && !this._timer) {
+      let wait = Math.max(this._blockedUntil - now, Math.ceil((1 - this.tokens) / this.refillRate * 1000))
+      this._timer = setTimeout(() => {
+        this._timer = null
+        this.drain()
+      }, wait)
+    }
+  }
+
+}
+
+module.exports = RateLimiter
@@ -0,0 +1,160 @@
+'use strict'
+
+const EventEmitter = require('events')
+const fs = require('fs')
+const Q = require('q')
+const RestifyTransport = require('./transport')
+
+/**
+ * A transport that records public market data to disk as it is requested,
+ * for replaying it later with a Backtest.
+ *
+ * Requests are passed on to another transport. Every successful response to
+ * an unsigned request is appended to the file as a line of JSON with the
+ * `time` of the response by the server clock, the HTTP `method`, the `path`
+ * including the querystring and the response `body`. Signed requests are
+ * passed on but never recorded.
+ *
+ * `watch` polls the market data a Backtest needs for a set of pairs, any
+ * other public request the client makes is recorded as well.
+ *
+ * Events:
+ *
+ * - `record`: a response was written, with the record.
+ * - `error`: a poll or a write failed, with the error.
+ * @class
+ * @extends EventEmitter
+ * @param {Object} options Recorder options.
+ * @param {string} options.path The file to append to, created if missing.
+ * @param {Object} [options.transport] The transport to pass requests on to, a RestifyTransport created with the other options by default.
+ * @example
+ * let recorder = new Recorder({ path: './neo-btc.jsonl' })
+ * let kc = new Kucoin(null, null, { transport: recorder })
+ * recorder.watch(kc, { pairs: ['NEO-BTC'], interval: 10000 })
+ */
+class Recorder extends EventEmitter {
+
+  /**
+   * Set up the recorder, nothing is written until the first response.
+   * @param {Object} options Recorder options.
+   */
+  constructor(options = {}) {
+    super()
+    this.path = options.path
+    this.transport = options.transport || new RestifyTransport(options)
+    this.records = 0
+    this._writing = Q()
+    this._timer = null
+    this._watching = null
+  }
+
+  /**
+   * Send a request through the underlying transport and record the response if it is public market data.
+   * @access public
+   * @param {string} method HTTP request method, either 'get' or 'post'.
+   * @param {{path: string, headers: Object}} options The path including any querystring, and the request headers.
+   * @return {Promise} The response of the underlying transport.
+   */
+  request(method, options) {
+    return Q(this.transport.request(method, options)).then((res) => {
+      if (!(options.headers || {})['KC-API-KEY'] && res.body && res.body.success) {
+        this.write({
+          time: res.body.timestamp || Date.now(),
+          method: method,
+          path: options.path,
+          body: res.body
+        })
+      }
+      return res
+    })
+  }
+
+  /**
+   * Poll the tickers, order books and recent trades of some pairs, and the trading pairs and coins once, through a client using this recorder.
+   * @access public
+   * @param {Kucoin} client A client created with this recorder as its transport.
+   * @param {Object} options What to record.
+   * @param {string[]} options.pairs The trading pairs.
+   * @param {number} [options.interval=5000] Milliseconds between polls.
+   * @param {number} [options.limit] Levels per side of the order books.
+   * @return {Recorder} The recorder.
+   */
+  watch(client, options = {}) {
+    let pairs = options.pairs || []
+    let poll = () => Q.all(pairs.map((pair) => Q.all([
+      client.getTicker({
+        pair: pair
+      }),
+      client.getOrderBooks({
+        pair: pair,
+        limit: options.limit
+      }),
+      client.getRecentlyDealtOrders({
+        pair: pair
+      })
+    ])))
+    let watching = {}
+    let run = (polling) => {
+      polling
+        .catch((err) => this.emit('error', err))
+        .finally(() => {
+          if (this._watching === watching) {
+            this._timer = setTimeout(() => run(poll()), options.interval || 5000)
+          }
+        })
+    }
+    this.stop()
+    this._watching = watching
+    run(Q.all([client.getTradingSymbols(), client.getCoins()]).then(poll))
+    return this
+  }
+
+  /**
+   * Stop polling.
+   * @access public
+   * @return {Promise} Resolves once everything recorded so far is written.
+   */
+  stop() {
+    this._watching = null
+    clearTimeout(this._timer)
+    this._timer = null
+    return this.flush()
+  }
+
+  /**
+   * Wait for pending writes.
+   * @access public
+   * @return {Promise} Resolves once everything recorded so far is written.
+   */
+  flush() {
+    return this._writing
+  }
+
+  /**
+   * Release any sockets held by the underlying transport.
+   * @access public
+   */
+  close() {
+    if (typeof this.transport.close === 'function') {
+      this.transport.close()
+    }
+  }
+
+  /**
+   * Append a record to the file, after any pending ones.
+   * @access private
+   * @param {Object} record The record.
+   */
+  write(record) {
+    let line = JSON.stringify(record) + '\n'
+    this._writing = this._writing
+      .then(() => Q.nfcall(fs.appendFile, this.path, line))
+      .then(() => {
+        this.records++
+        this.emit('record', record)
+      }, (err) => this.emit('error', err))
+  }
+
+}
+
+module.exports = Recorder
@@ -0,0 +1,85 @@
+'use strict'
+
+const errors = require('./errors')
+
+/**
+ * Decides whether a failed request should be sent again and how long to wait
+ * before doing so. Delays grow exponentially from `baseDelay` up to `maxDelay`,
+ * with a random part of each delay taken off so that clients started together
+ * do not retry in lockstep.
+ * @class
+ * @param {Object} [options] Retry options.
+ * @param {number} [options.maxAttempts=3] Total number of attempts, including the first one.
+ * @param {number} [options.baseDelay=250] Delay before the first retry, in milliseconds.
+ * @param {number} [options.maxDelay=10000] Upper bound for any delay, in milliseconds.
+ * @param {number} [options.jitter=0.5] Fraction of each delay that is randomised, between 0 and 1.
+ * @param {string[]} [options.methods=['get']] HTTP methods that are safe to retry.
+ * @param {number[]} [options.retryableStatuses=[429, 500, 502, 503, 504]] HTTP statuses worth retrying.
+ * @param {string[]} [options.retryableCodes=['SYSTEM_ERROR', 'TOO_MANY_REQUESTS']] KuCoin response codes worth retrying.
+ * @param {boolean} [options.retryNetworkErrors=true] Retry when no response was received at all.
+ * @example
+ * let kc = new Kucoin(apiKey, apiSecret, {
+ *   retry: {
+ *     maxAttempts: 5,
+ *     baseDelay: 500
+ *   }
+ * })
+ */
+class RetryPolicy {
+
+  /**
+   * Set up the policy.
+   * @param {Object} [options] Retry options.
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 3
+    this.baseDelay = (options.baseDelay !== undefined ? options.baseDelay : 250)
+    this.maxDelay = (options.maxDelay !== undefined ? options.maxDelay : 10000)
+    this.jitter = (options.jitter !== undefined ? options.jitter : 0.5)
+    this.methods = options.methods || ['get']
+    this.retryableStatuses = options.retryableStatuses || [429, 500, 502, 503, 504]
+    this.retryableCodes = options.retryableCodes || ['SYSTEM_ERROR', 'TOO_MANY_REQUESTS']
+    this.retryNetworkErrors = (options.retryNetworkErrors !== undefined ? options.retryNetworkErrors : true)
+  }
+
+  /**
+   * Whether a failed attempt should be retried.
+   * @access public
+   * @param {string} method HTTP request method of the request.
+   * @param {KucoinError} err What the attempt failed with.
+   * @param {number} attempt Number of the attempt that failed, starting at 1.
+   * @return {boolean} True if the request should be sent again.
+   */
+  shouldRetry(method, err, attempt) {
+    if (attempt >= this.maxAttempts || this.methods.indexOf(method) === -1 || !err) {
+      return false
+    }
+    if (err instanceof errors.NetworkError) {
+      return this.retryNetworkErrors
+    }
+    if (this.retryableStatuses.indexOf(err.statusCode) !== -1) {
+      return true
+    }
+    return this.retryableCodes.indexOf(err.code) !== -1
+  }
+
+  /**
+   * How long to wait before the next attempt.
+   * @access public
+   * @param {number} attempt Number of the attempt that failed, starting at 1.
+   * @param {KucoinError} [err] What the attempt failed with, a Retry-After header on it is respected.
+   * @return {number} The delay in milliseconds.
+   */
+  delay(attempt, err) {
+    let delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1))
+    delay = delay - delay * this.jitter * Math.random()
+    let retryAfter = Number(err && err.headers && err.headers['retry-after'])
+    if (retryAfter > 0) {
+      delay = Math.max(delay, Math.min(this.maxDelay, retryAfter * 1000))
+    }
+    return Math.round(delay)
+  }
+
+}
+
+module.exports = RetryPolicy
@@ -0,0 +1,333 @@
+'use strict'
+
+const EventEmitter = require('events')
+const Q = require('q')
+const settleAll = require('./batch')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const models = require('./models')
+
+/**
+ * The limit an option sets for a trading pair.
+ * @access private
+ * @param {number|Object} option A number for every pair, or an object keyed by pair or, for pairs not listed, by quote coin.
+ * @param {string} pair The trading pair.
+ * @return {number} The limit, undefined if there is none.
+ */
+function limit(option, pair) {
+  if (option === undefined || option === null) {
+    return undefined
+  }
+  if (typeof option === 'number') {
+    return option
+  }
+  return (option[pair] !== undefined ? option[pair] : option[pair.split('-')[1]])
+}
+
+/**
+ * Pre-trade risk controls: checks orders before they are placed, and a kill
+ * switch. The client runs every `createOrder`, and so `marketBuy`,
+ * `marketSell` and the order algorithms, through them when created with the
+ * `risk` option.
+ *
+ * Values are the price times the amount, in the pair's quote coin, so value
+ * limits are set per pair or per quote coin, e.g. `{ BTC: 0.5, 'GAS-NEO': 100 }`.
+ * Open orders are read with `getActiveOrders`, the last price with
+ * `getTicker` and positions with `getBalance`, only when a limit needs them.
+ * Orders still being checked count as open, and so do orders placed while
+ * another check was running until that check is done, as it may have read
+ * the open orders before they were placed. So orders placed at the same time
+ * cannot exceed the limits together: the later ones are refused.
+ *
+ * A refused order rejects with a RiskLimitError whose `code` is one of
+ * 'INVALID_ORDER', 'HALTED', 'ORDER_VALUE', 'PRICE_BAND', 'OPEN_ORDERS',
+ * 'PAIR_VALUE' or 'POSITION'. Events:
+ *
+ * - `rejected`: an order was refused, with `{time, pair, type, price, amount, code, reason}`.
+ * - `halted`: the kill switch was thrown, with the reason.
+ * - `resumed`: orders are allowed again.
+ * @class
+ * @extends EventEmitter
+ * @param {Kucoin} client The client to read orders, prices and balances and to cancel orders with.
+ * @param {Object} [options] Risk limits, each a number for every pair or an object keyed by pair or quote coin.
+ * @param {number|Object} [options.maxOrderValue] Largest value of a single order.
+ * @param {number|Object} [options.maxPairValue] Largest value of the open orders of a pair, the new order included.
+ * @param {number|Object} [options.maxOpenOrders] Largest number of open orders of a pair, the new order included.
+ * @param {number|Object} [options.priceBand] Largest distance of an order's price from the last price, as a fraction of the last price, e.g. 0.05 for 5%.
+ * @param {Object} [options.maxPosition] Largest balance of each coin, free and frozen, once a buy order and the other open buy orders of its pair are filled, e.g. `{ GAS: 1000 }`.
+ * @param {string[]} [options.pairs] Trading pairs whose orders the kill switch cancels, besides those of the orders placed through the controls.
+ * @example
+ * let kc = new Kucoin(apiKey, apiSecret, {
+ *   risk: {
+ *     maxOrderValue: { NEO: 50, BTC: 0.2 },
+ *     maxOpenOrders: 10,
+ *     priceBand: 0.05,
+ *     maxPosition: { GAS: 1000 }
+ *   }
+ * })
+ * kc.risk.halt('Feed stalled').then((cancelled) => console.log(cancelled.cancelled, 'orders cancelled'))
+ */
+class RiskControls extends EventEmitter {
+
+  /**
+   * Set up the controls, nothing is requested until an order is checked.
+   * @param {Kucoin} client The client to read orders, prices and balances and to cancel orders with.
+   * @param {Object} [options] Risk limits.
+   */
+  constructor(client, options = {}) {
+    super()
+    this.client = client
+    this.maxOrderValue = options.maxOrderValue
+    this.maxPairValue = options.maxPairValue
+    this.maxOpenOrders = options.maxOpenOrders
+    this.priceBand = options.priceBand
+    this.maxPosition = options.maxPosition || {}
+    this.pairs = {}
+    this.halted = null
+    this._pending = []
+    this._sequence = 0
+    let pairs = options.pairs || []
+    pairs.forEach((pair) => {
+      this.pairs[pair] = true
+    })
+  }
+
+  /**
+   * Check an order and place it if no limit is exceeded.
+   * @access public
+   * @param {{pair: string, type: string, price: number, amount: number}} params The order.
+   * @param {Function} send Places the order, returns a Promise.
+   * @return {Promise} Resolves with what `send` resolved with, rejects with a RiskLimitError if the order was refused.
+   */
+  place(params, send) {
+    let order = {
+      pair: params.pair,
+      type: params.type,
+      price: Number(params.price),
+      amount: Number(params.amount)
+    }
+    if (!order.pair || (order.type !== 'BUY' && order.type !== 'SELL') || !(order.price > 0) || !(order.amount > 0)) {
+      return this.reject(order, 'INVALID_ORDER', 'An order needs a pair, a type of BUY or SELL and a positive price and amount')
+    }
+    if (this.halted) {
+      return this.reject(order, 'HALTED', 'Trading is halted: ' + this.halted.reason)
+    }
+    order.value = decimal.toDecimal(params.price).times(decimal.toDecimal(params.amount))
+    let maxOrderValue = limit(this.maxOrderValue, order.pair)
+    if (maxOrderValue !== undefined && order.value.greaterThan(decimal.toDecimal(maxOrderValue))) {
+      return this.reject(order, 'ORDER_VALUE', 'The order value ' + decimal.format(order.value) + ' is more than the limit of ' + maxOrderValue + ' for ' + order.pair)
+    }
+    this.pairs[order.pair] = true
+    order.started = ++this._sequence
+    this._pending.push(order)
+    return this.checkPrice(order)
+      .then(() => this.checkOpenOrders(order))
+      .then(() => this.checkPosition(order))
+      .then(() => {
+        if (this.halted) {
+          return this.reject(order, 'HALTED', 'Trading is halted: ' + this.halted.reason)
+        }
+        order.checked = true
+        return send()
+      })
+      .then((result) => {
+        order.placed = ++this._sequence
+        return result
+      })
+      .finally(() => this.release(order))
+  }
+
+  /**
+   * Throw the kill switch: refuse new orders and cancel every open order of the known pairs.
+   * @access public
+   * @param {string} [reason='Kill switch'] Why trading is halted, given in the errors of refused orders.
+   * @return {Promise} Resolves, even if some cancellations fail, with `{cancelled, failed, errors}`: how many orders were cancelled, how many could not be, and the error of each pair whose orders could not be listed or cancelled.
+   */
+  halt(reason = 'Kill switch') {
+    this.halted = {
+      time: Date.now(),
+      reason: reason
+    }
+    this.emit('halted', reason)
+    return settleAll(Object.keys(this.pairs), 5, (pair) => this.client.cancelAllOrders({
+      pair: pair
+    })).then((outcome) => {
+      let cancelled = 0
+      let failed = 0
+      let failures = {}
+      outcome.results.forEach((result) => {
+        if (!result.success) {
+          failures[result.params] = result.error
+          return
+        }
+        cancelled += result.result.succeeded
+        failed += result.result.failed
+        result.result.results.filter((cancellation) => !cancellation.success).forEach((cancellation) => {
+          failures[result.params] = cancellation.error
+        })
+      })
+      return {
+        cancelled: cancelled,
+        failed: failed,
+        errors: failures
+      }
+    })
+  }
+
+  /**
+   * Allow orders again after `halt`.
+   * @access public
+   */
+  resume() {
+    this.halted = null
+    this.emit('resumed')
+  }
+
+  /**
+   * Check an order's price against the band around the last price.
+   * @access private
+   * @param {Object} order The order.
+   * @return {Promise} Resolves if the price is within the band, rejects with a RiskLimitError otherwise.
+   */
+  checkPrice(order) {
+    let band = limit(this.priceBand, order.pair)
+    if (band === undefined) {
+      return Q()
+    }
+    return Q(this.client.getTicker({
+      pair: order.pair
+    })).then((result) => {
+      let last = (models.raw(result).data || {}).lastDealPrice
+      if (!(last > 0)) {
+        return this.reject(order, 'PRICE_BAND', 'There is no last price to check the order price against for ' + order.pair)
+      }
+      let distance = decimal.toDecimal(order.price).minus(decimal.toDecimal(last)).abs().dividedBy(decimal.toDecimal(last))
+      if (distance.greaterThan(decimal.toDecimal(band))) {
+        return this.reject(order, 'PRICE_BAND', 'The price ' + order.price + ' is more than ' + (band * 100) + '% from the last price ' + last + ' of ' + order.pair)
+      }
+    })
+  }
+
+  /**
+   * Check the number and value of a pair's open orders, those placed earlier and still being checked and this order included.
+   * @access private
+   * @param {Object} order The order.
+   * @return {Promise} Resolves if they are within the limits, rejects with a RiskLimitError otherwise.
+   */
+  checkOpenOrders(order) {
+    let maxOpenOrders = limit(this.maxOpenOrders, order.pair)
+    let maxPairValue = limit(this.maxPairValue, order.pair)
+    if (maxOpenOrders === undefined && maxPairValue === undefined) {
+      return Q()
+    }
+    return Q(this.client.getActiveOrders({
+      pair: order.pair
+    })).then((result) => {
+      let data = models.raw(result).data || {}
+      let open = (data.BUY || []).concat(data.SELL || [])
+      let pending = this.before(order).filter((other) => other.pair === order.pair)
+      if (maxOpenOrders !== undefined && open.length + pending.length > maxOpenOrders) {
+        return this.reject(order, 'OPEN_ORDERS', order.pair + ' would have ' + (open.length + pending.length) + ' open orders, more than the limit of ' + maxOpenOrders)
+      }
+      if (maxPairValue !== undefined) {
+        let value = open.reduce((sum, active) => sum.plus(decimal.toDecimal(active[2]).times(decimal.toDecimal(active[3]).minus(decimal.toDecimal(active[4] || 0)))), decimal.toDecimal(0))
+        value = pending.reduce((sum, other) => sum.plus(other.value), value)
+        if (value.greaterThan(decimal.toDecimal(maxPairValue))) {
+          return this.reject(order, 'PAIR_VALUE', 'The open orders of ' + order.pair + ' would be worth ' + decimal.format(value) + ', more than the limit of ' + maxPairValue)
+        }
+      }
+    })
+  }
+
+  /**
+   * Check the position a buy order would leave in its base coin once filled, with the pair's open buy orders and the buy orders placed earlier and still being checked.
+   * @access private
+   * @param {Object} order The order.
+   * @return {Promise} Resolves if it is within the limit, rejects with a RiskLimitError otherwise.
+   */
+  checkPosition(order) {
+    let coin = order.pair.split('-')[0]
+    if (order.type !== 'BUY' || this.maxPosition[coin] === undefined) {
+      return Q()
+    }
+    return Q.all([this.client.getBalance({
+      symbol: coin
+    }), this.client.getActiveOrders({
+      pair: order.pair
+    })]).then((results) => {
+      let data = models.raw(results[0]).data || {}
+      let balance = (Array.isArray(data) ? data.filter((item) => item.coinType === coin)[0] : data) || {}
+      let position = decimal.toDecimal((balance.balanceStr !== undefined ? balance.balanceStr : balance.balance) || 0)
+        .plus(decimal.toDecimal((balance.freezeBalanceStr !== undefined ? balance.freezeBalanceStr : balance.freezeBalance) || 0))
+      let buys = (models.raw(results[1]).data || {}).BUY || []
+      position = buys.reduce((sum, active) => sum.plus(decimal.toDecimal(active[3]).minus(decimal.toDecimal(active[4] || 0))), position)
+      position = this.before(order)
+        .filter((other) => other.type === 'BUY' && other.pair.split('-')[0] === coin)
+        .reduce((sum, other) => sum.plus(decimal.toDecimal(other.amount)), position)
+      if (position.greaterThan(decimal.toDecimal(this.maxPosition[coin]))) {
+        return this.reject(order, 'POSITION', 'Buying ' + order.amount + ' ' + coin + ' would make a position of ' + decimal.format(position) + ', more than the limit of ' + this.maxPosition[coin])
+      }
+    })
+  }
+
+  /**
+   * Refuse an order.
+   * @access private
+   * @param {Object} order The order.
+   * @param {string} code Which check failed, e.g. 'PRICE_BAND'.
+   * @param {string} reason Why the order was refused, for people.
+   * @return {Promise} Rejects with a RiskLimitError.
+   */
+  reject(order, code, reason) {
+    this.emit('rejected', {
+      time: Date.now(),
+      pair: order.pair,
+      type: order.type,
+      price: order.price,
+      amount: order.amount,
+      code: code,
+      reason: reason
+    })
+    return Q.reject(new errors.RiskLimitError(reason, {
+      method: 'post',
+      endpoint: '/order',
+      params: {
+        pair: order.pair,
+        type: order.type,
+        price: order.price,
+        amount: order.amount
+      },
+      code: code
+    }))
+  }
+
+  /**
+   * The orders still being checked that were placed before an order, those placed since its check started, and the order itself.
+   * @access private
+   * @param {Object} order The order.
+   * @return {Object[]} The orders, oldest first.
+   */
+  before(order) {
+    return this._pending
+      .slice(0, this._pending.indexOf(order) + 1)
+      .filter((other) => !other.placed || other.placed > order.started)
+  }
+
+  /**
+   * Stop counting an order as being checked. An order that was placed is still counted until the checks that started before it was placed are done.
+   * @access private
+   * @param {Object} order The order.
+   */
+  release(order) {
+    order.checked = true
+    this._pending = this._pending.filter((pending) => {
+      if (!pending.placed) {
+        return pending !== order
+      }
+      return this._pending.some((other) => !other.checked && other.started < pending.placed)
+    })
+  }
+
+}
+
+module.exports = RiskControls
@@ -0,0 +1,21 @@
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * Generate a signature the way KuCoin expects for API requests that require authorisation.
+ * @param {string} secret The API secret to sign with.
+ * @param {string} path API endpoint path, including the version prefix.
+ * @param {string} queryString A sorted querystring of parameters for the request.
+ * @param {number} nonce Number of milliseconds since the Unix epoch.
+ * @return {string} A string to be used as the authorisation signature.
+ */
+function sign(secret, path, queryString, nonce) {
+  let strForSign = path + '/' + nonce + '/' + queryString
+  let signatureStr = Buffer.from(strForSign).toString('base64')
+  return crypto.createHmac('sha256', secret)
+    .update(signatureStr)
+    .digest('hex')
+}
+
+module.exports = sign
@@ -0,0 +1,287 @@
+'use strict'
+
+const EventEmitter = require('events')
+const Q = require('q')
+const WebSocket = require('ws')
+
+/**
+ * Topic prefix for each channel.
+ * @access private
+ */
+const TOPICS = {
+  ticker: '/market/ticker:',
+  orderbook: '/market/level2:',
+  trade: '/market/match:'
+}
+
+/**
+ * A streaming market data client over WebSocket.
+ *
+ * Subscribe to `ticker`, `orderbook` or `trade` channels per trading pair and
+ * listen for events of the same name. The connection is kept alive with
+ * ping/pong heartbeats; if it drops or stops answering it is reopened with
+ * exponential backoff and every subscription is sent again.
+ *
+ * Event data uses the same shapes as the REST methods: `ticker` gets the data
+ * of `getTicker`, `trade` a `[timestamp, side, price, amount, volume]` tuple
+ * and `orderbook` `{sequence, changes: {SELL: [[price, amount]], BUY: [...]}}`
+ * where an amount of 0 removes the level. Listeners are called with the data
+ * and the pair.
+ * @class
+ * @extends EventEmitter
+ * @param {Object} [options] Stream options.
+ * @param {string|Function} [options.url='wss://push1.kucoin.com/endpoint'] The endpoint, or a function returning it or a Promise for it, e.g. to fetch a fresh token before each connection.
+ * @param {number} [options.pingInterval=30000] Milliseconds between heartbeats.
+ * @param {number} [options.pingTimeout=10000] Milliseconds to wait for a pong before the connection is considered dead.
+ * @param {boolean} [options.reconnect=true] Reconnect when the connection is lost.
+ * @param {number} [options.reconnectDelay=1000] Delay before the first reconnection attempt, doubled on each failure.
+ * @param {number} [options.maxReconnectDelay=30000] Upper bound for the reconnection delay.
+ * @example
+ * let stream = new MarketStream()
+ * stream.on('ticker', (ticker, pair) => console.log(pair, ticker.lastDealPrice))
+ * stream.on('error', console.error)
+ * stream.connect()
+ *   .then(() => stream.subscribe('ticker', 'GAS-NEO'))
+ */
+class MarketStream extends EventEmitter {
+
+  /**
+   * Set up the stream, it does not connect until `connect` is called.
+   * @param {Object} [options] Stream options.
+   */
+  constructor(options = {}) {
+    super()
+    this.url = options.url || 'wss://push1.kucoin.com/endpoint'
+    this.pingInterval = options.pingInterval || 30000
+    this.pingTimeout = options.pingTimeout || 10000
+    this.reconnect = (options.reconnect !== undefined ? options.reconnect : true)
+    this.reconnectDelay = options.reconnectDelay || 1000
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000
+    this.subscriptions = {}
+    this.connected = false
+    this._socket = null
+    this._closing = false
+    this._established = false
+    this._attempts = 0
+    this._nextId = 1
+    this._pending = {}
+    this._pingTimer = null
+    this._pongTimer = null
+    this._reconnectTimer = null
+  }
+
+  /**
+   * Open the connection.
+   * @access public
+   * @return {Promise} Resolves once the server has welcomed the connection.
+   */
+  connect() {
+    this._closing = false
+    let deferred = Q.defer()
+    Q(typeof this.url === 'function' ? this.url() : this.url)
+      .then((url) => {
+        let socket = new WebSocket(url)
+        this._socket = socket
+        socket.on('message', (message) => this.handleMessage(message, deferred))
+        socket.on('error', (err) => {
+          if (deferred.promise.isPending()) {
+            deferred.reject(err)
+          } else if (!this._closing) {
+            this.emit('error', err)
+          }
+        })
+        socket.on('close', () => this.handleClose(socket, deferred))
+      })
+      .catch(deferred.reject)
+    return deferred.promise
+  }
+
+  /**
+   * Subscribe to a channel for a trading pair.
+   * @access public
+   * @param {string} channel One of 'ticker', 'orderbook' or 'trade'.
+   * @param {string} pair The trading pair.
+   * @return {Promise} Resolves once the server has acknowledged the subscription, or straight away while disconnected.
+   */
+  subscribe(channel, pair) {
+    let topic = this.topic(channel, pair)
+    this.subscriptions[topic] = {
+      channel: channel,
+      pair: pair
+    }
+    return (this.connected ? this.send('subscribe', topic) : Q())
+  }
+
+  /**
+   * Unsubscribe from a channel for a trading pair.
+   * @access public
+   * @param {string} channel One of 'ticker', 'orderbook' or 'trade'.
+   * @param {string} pair The trading pair.
+   * @return {Promise} Resolves once the server has acknowledged it, or straight away while disconnected.
+   */
+  unsubscribe(channel, pair) {
+    let topic = this.topic(channel, pair)
+    delete this.subscriptions[topic]
+    return (this.connected ? this.send('unsubscribe', topic) : Q())
+  }
+
+  /**
+   * Close the connection for good.
+   * @access public
+   */
+  close() {
+    this._closing = true
+    this._established = false
+    clearTimeout(this._reconnectTimer)
+    this.stopHeartbeat()
+    if (this._socket) {
+      this._socket.close()
+    }
+  }
+
+  /**
+   * Build the topic for a channel and pair.
+   * @access private
+   * @param {string} channel One of 'ticker', 'orderbook' or 'trade'.
+   * @param {string} pair The trading pair.
+   * @return {string} The topic.
+   */
+  topic(channel, pair) {
+    if (!TOPICS[channel]) {
+      throw new Error('Unknown channel ' + channel)
+    }
+    return TOPICS[channel] + pair
+  }
+
+  /**
+   * Send a request and wait for the server to acknowledge it.
+   * @access private
+   * @param {string} type Request type.
+   * @param {string} [topic] Topic the request is about.
+   * @return {Promise} Resolves with the acknowledgement.
+   */
+  send(type, topic) {
+    let deferred = Q.defer()
+    let id = String(this._nextId++)
+    let message = {
+      id: id,
+      type: type
+    }
+    if (topic) {
+      message.topic = topic
+      message.response = true
+    }
+    this._pending[id] = deferred
+    this._socket.send(JSON.stringify(message), (err) => {
+      if (err) {
+        delete this._pending[id]
+        deferred.reject(err)
+      }
+    })
+    return deferred.promise
+  }
+
+  /**
+   * Handle a message from the server.
+   * @access private
+   * @param {string} raw The message as received.
+   * @param {Object} connecting The deferred of the `connect` call that opened this connection.
+   */
+  handleMessage(raw, connecting) {
+    let message
+    try {
+      message = JSON.parse(raw)
+    } catch (err) {
+      this.emit('error', err)
+      return
+    }
+    let pending = this._pending[message.id]
+    if (message.type === 'welcome') {
+      this.connected = true
+      this._established = true
+      this._attempts = 0
+      this.startHeartbeat()
+      Q.all(Object.keys(this.subscriptions).map((topic) => this.send('subscribe', topic)))
+        .then(() => {
+          connecting.resolve()
+          this.emit('open')
+        })
+        .catch(connecting.reject)
+    } else if (message.type === 'ack' || message.type === 'pong') {
+      if (pending) {
+        delete this._pending[message.id]
+        pending.resolve(message)
+      }
+      if (message.type === 'pong') {
+        clearTimeout(this._pongTimer)
+      }
+    } else if (message.type === 'error') {
+      let err = new Error(message.data || 'Stream error')
+      err.code = message.code
+      if (pending) {
+        delete this._pending[message.id]
+        pending.reject(err)
+      } else {
+        this.emit('error', err)
+      }
+    } else if (message.type === 'message') {
+      let subscription = this.subscriptions[message.topic]
+      this.emit('message', message)
+      if (subscription) {
+        this.emit(subscription.channel, message.data, subscription.pair)
+      }
+    }
+  }
+
+  /**
+   * Clean up after the connection closed and reconnect, unless `close` was called or the connection never got established.
+   * @access private
+   * @param {WebSocket} socket The socket that closed.
+   * @param {Object} connecting The deferred of the `connect` call that opened it.
+   */
+  handleClose(socket, connecting) {
+    if (socket !== this._socket) {
+      return
+    }
+    this.connected = false
+    this.stopHeartbeat()
+    Object.keys(this._pending).forEach((id) => {
+      this._pending[id].reject(new Error('Connection closed'))
+    })
+    this._pending = {}
+    this.emit('close')
+    connecting.reject(new Error('Connection closed'))
+    if (this._closing || !this.reconnect || !this._established) {
+      return
+    }
+    let delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * Math.pow(2, this._attempts++))
+    this._reconnectTimer = setTimeout(() => {
+      this.emit('reconnect', this._attempts)
+      this.connect().catch(() => {})
+    }, delay)
+  }
+
+  /**
+   * Start sending pings and drop the connection when one is not answered in time.
+   * @access private
+   */
+  startHeartbeat() {
+    this.stopHeartbeat()
+    this._pingTimer = setInterval(() => {
+      this._pongTimer = setTimeout(() => this._socket.terminate(), this.pingTimeout)
+      this.send('ping').catch(() => {})
+    }, this.pingInterval)
+  }
+
+  /**
+   * Stop the heartbeat timers.
+   * @access private
+   */
+  stopHeartbeat() {
+    clearInterval(this._pingTimer)
+    clearTimeout(this._pongTimer)
+  }
+
+}
+
+module.exports = MarketStream
@@ -0,0 +1,106 @@
+'use strict'
+
+const clients = require('restify-clients')
+const http = require('http')
+const https = require('https')
+const Q = require('q')
+
+/**
+ * The default transport, sending requests through a restify JSON client.
+ *
+ * A transport is any object with a `request(method, options)` function that
+ * returns a Promise. It must resolve with `{statusCode, headers, body}` for a
+ * successful HTTP response and reject with an Error for anything else. When a
+ * response was received, the Error should carry its `statusCode` and parsed
+ * `body` so the client can make sense of it.
+ * @class
+ * @param {Object} [options] Transport options.
+ * @param {string} [options.baseUrl='https://api.kucoin.com'] Base URL of the API.
+ * @param {number} [options.timeout] Request timeout in milliseconds.
+ * @param {Object} [options.agent] A custom `http.Agent` to send requests through.
+ * @param {boolean} [options.keepAlive=false] Reuse sockets between requests, ignored if an agent is provided.
+ * @param {string} [options.userAgent] Value of the User-Agent header.
+ * @example
+ * let transport = new RestifyTransport({
+ *   baseUrl: 'http://localhost:8080',
+ *   timeout: 5000
+ * })
+ */
+class RestifyTransport {
+
+  /**
+   * Create the underlying restify JSON client.
+   * @param {Object} [options] Transport options.
+   */
+  constructor(options = {}) {
+    let baseUrl = options.baseUrl || 'https://api.kucoin.com'
+    let agent = options.agent
+    if (agent === undefined && options.keepAlive) {
+      agent = (baseUrl.indexOf('https:') === 0 ? new https.Agent({
+        keepAlive: true
+      }) : new http.Agent({
+        keepAlive: true
+      }))
+    }
+    let clientOptions = {
+      url: baseUrl,
+      retry: false
+    }
+    if (agent !== undefined) {
+      clientOptions.agent = agent
+    }
+    if (options.timeout) {
+      clientOptions.connectTimeout = options.timeout
+      clientOptions.requestTimeout = options.timeout
+    }
+    if (options.userAgent) {
+      clientOptions.userAgent = options.userAgent
+    }
+    this.client = clients.createJsonClient(clientOptions)
+  }
+
+  /**
+   * Send a request.
+   * @access public
+   * @param {string} method HTTP request method, either 'get' or 'post'.
+   * @param {{path: string, headers: Object}} options The path including any querystring, and the request headers.
+   * @return {Promise} Resolves with an object containing the statusCode, headers and parsed body of the response.
+   */
+  request(method, options) {
+    let deferred = Q.defer()
+    let callback = (err, req, res, obj) => {
+      if (err) {
+        if (res) {
+          if (err.statusCode === undefined) {
+            err.statusCode = res.statusCode
+          }
+          err.headers = res.headers
+        }
+        deferred.reject(err)
+      } else {
+        deferred.resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: obj
+        })
+      }
+    }
+    if (method == 'post') {
+      this.client.post(options, {}, callback)
+    } else {
+      this.client.get(options, callback)
+    }
+    return deferred.promise
+  }
+
+  /**
+   * Release any sockets held by the underlying client.
+   * @access public
+   */
+  close() {
+    this.client.close()
+  }
+
+}
+
+module.exports = RestifyTransport
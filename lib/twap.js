@@ -0,0 +1,104 @@
+'use strict'
+
+const Q = require('q')
+const errors = require('./errors')
+const Executor = require('./executor')
+
+/**
+ * Spreads an order evenly over a time window, as one slice per interval.
+ *
+ * Each slice is priced to take what the book offers for it, up to
+ * `limitPrice`, and cancelled if it is still open when the next interval
+ * starts. Whatever a slice did not fill is spread over the remaining slices,
+ * so the last one gets everything that is left.
+ * @class
+ * @extends Executor
+ * @param {Kucoin} client The client to place orders with.
+ * @param {{pair: string, type: string, amount: number, duration: number, slices: number, limitPrice: number}} params The parent order: trading pair, type, amount, the window in milliseconds, the number of slices to place in it, and optionally the worst price to accept.
+ * @param {Object} [options] Execution options, see Executor.
+ * @example
+ * let twap = new Twap(kc, { pair: 'GAS-NEO', type: 'SELL', amount: 300, duration: 3600000, slices: 12, limitPrice: 0.58 })
+ * twap.start().then((report) => console.log('average', report.averagePrice, 'slippage', report.slippage))
+ */
+class Twap extends Executor {
+
+  /**
+   * Set up the execution.
+   * @param {Kucoin} client The client to place orders with.
+   * @param {Object} params The parent order.
+   * @param {Object} [options] Execution options.
+   */
+  constructor(client, params = {}, options = {}) {
+    super(client, params, options)
+    this.duration = Number(params.duration)
+    this.slices = Number(params.slices || 10)
+    this.interval = this.duration / this.slices
+  }
+
+  /**
+   * Place one slice per interval until the window ends or the whole amount is filled.
+   * @access private
+   * @return {Promise} Resolves once done or cancelled.
+   */
+  run() {
+    if (!(this.duration > 0) || !(this.slices >= 1)) {
+      return Q.reject(new errors.ValidationError('The duration and number of slices must be greater than 0', {
+        params: {
+          duration: this.duration,
+          slices: this.slices
+        }
+      }))
+    }
+    let slice = (index) => {
+      if (this._cancelled || index >= this.slices || !(this.remaining() > 0)) {
+        return Q()
+      }
+      let endsAt = this.startedAt + (index + 1) * this.interval
+      return this.sleep(this.startedAt + index * this.interval - Date.now())
+        .then(() => (this._cancelled ? 0 : this.sliceAmount(index)))
+        .then((amount) => {
+          amount = this.roundAmount(Math.min(amount, this.remaining()))
+          if (this._cancelled || !(amount > 0)) {
+            return
+          }
+          return this.slicePrice(amount).then((price) => {
+            if (price === null) {
+              return
+            }
+            return this.place(amount, price, Math.max(1, endsAt - Date.now()))
+          })
+        })
+        .then(() => slice(index + 1))
+    }
+    return slice(0)
+  }
+
+  /**
+   * Amount of a slice: an even share of what is left.
+   * @access private
+   * @param {number} index Index of the slice, from 0.
+   * @return {Promise} Resolves with the amount.
+   */
+  sliceAmount(index) {
+    return Q(this.remaining() / (this.slices - index))
+  }
+
+  /**
+   * Price that fills a slice from the current book, no worse than `limitPrice`.
+   * @access private
+   * @param {number} amount Amount of the slice.
+   * @return {Promise} Resolves with the price, or null if the book has nothing to take and no limit price is set.
+   */
+  slicePrice(amount) {
+    return this.book().then((book) => {
+      let walk = book.walk(this.type, amount)
+      if (walk.worstPrice === null) {
+        return this.limitPrice
+      }
+      return this.bounded(walk.worstPrice)
+    })
+  }
+
+}
+
+module.exports = Twap
@@ -0,0 +1,67 @@
+'use strict'
+
+const Q = require('q')
+const decimal = require('./decimal')
+const models = require('./models')
+const Twap = require('./twap')
+
+/**
+ * Like Twap, but sizes each slice by how much the market traded, so the
+ * order follows the market's volume over the window instead of the clock.
+ *
+ * Before each slice, the pair's trades over the last interval are read with
+ * `getRecentlyDealtOrders`. The slice gets the share of what is left that
+ * this volume makes up of the volume expected until the window ends, where
+ * each remaining interval is expected to trade the average seen so far.
+ * Without any trades, slices fall back to even shares.
+ * @class
+ * @extends Twap
+ * @param {Kucoin} client The client to place orders with.
+ * @param {{pair: string, type: string, amount: number, duration: number, slices: number, limitPrice: number}} params The parent order, as for Twap.
+ * @param {Object} [options] Execution options, see Executor.
+ * @example
+ * let vwap = new Vwap(kc, { pair: 'NEO-BTC', type: 'BUY', amount: 50, duration: 7200000, slices: 24 })
+ * vwap.start().then((report) => console.log('average', report.averagePrice, 'slippage', report.slippage))
+ */
+class Vwap extends Twap {
+
+  /**
+   * Set up the execution.
+   * @param {Kucoin} client The client to place orders with.
+   * @param {Object} params The parent order.
+   * @param {Object} [options] Execution options.
+   */
+  constructor(client, params = {}, options = {}) {
+    super(client, params, options)
+    this.volumes = []
+  }
+
+  /**
+   * Amount of a slice, by the volume traded over the last interval.
+   * @access private
+   * @param {number} index Index of the slice, from 0.
+   * @return {Promise} Resolves with the amount.
+   */
+  sliceAmount(index) {
+    let left = this.slices - index
+    if (left <= 1) {
+      return Q(this.remaining())
+    }
+    let since = Date.now() - this.interval
+    return Q(this.client.getRecentlyDealtOrders({
+      pair: this.pair,
+      since: since
+    })).then((result) => {
+      let volume = (models.raw(result).data || [])
+        .filter((trade) => trade[0] >= since)
+        .reduce((total, trade) => total.plus(decimal.toDecimal(trade[3])), decimal.toDecimal(0))
+      this.volumes.push(Number(volume))
+      let average = this.volumes.reduce((total, value) => total + value, 0) / this.volumes.length
+      let expected = Number(volume) + average * (left - 1)
+      return (expected > 0 ? this.remaining() * Number(volume) / expected : this.remaining() / left)
+    })
+  }
+
+}
+
+module.exports = Vwap
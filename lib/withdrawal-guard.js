@@ -0,0 +1,363 @@
+'use strict'
+
+const EventEmitter = require('events')
+const Q = require('q')
+const decimal = require('./decimal')
+const errors = require('./errors')
+const models = require('./models')
+
+/**
+ * Address formats of well-known coins, coins without one are not checked.
+ * @access private
+ */
+const ADDRESS_FORMATS = {
+  BTC: /^([13][a-km-zA-HJ-NP-Z1-9]{25,34}|bc1[02-9ac-hj-np-z]{11,71})$/,
+  BCH: /^([13][a-km-zA-HJ-NP-Z1-9]{25,34}|(bitcoincash:)?[qp][02-9ac-hj-np-z]{41})$/,
+  LTC: /^([LM3][a-km-zA-HJ-NP-Z1-9]{26,33}|ltc1[02-9ac-hj-np-z]{11,71})$/,
+  ETH: /^0x[0-9a-fA-F]{40}$/,
+  ETC: /^0x[0-9a-fA-F]{40}$/,
+  NEO: /^A[1-9A-HJ-NP-Za-km-z]{33}$/,
+  GAS: /^A[1-9A-HJ-NP-Za-km-z]{33}$/
+}
+
+/**
+ * Length of the window of `dailyLimit`, in milliseconds.
+ * @access private
+ */
+const DAY = 86400000
+
+/**
+ * Checks withdrawals before they are sent: the address against an allowlist
+ * and the coin's address format, the amount against limits per withdrawal
+ * and per day, the balance left against a reserve, and finally an approval
+ * hook. The client runs every `createWithdrawal` through it when created with
+ * the `withdrawalGuard` option.
+ *
+ * Limits, reserves and allowlists are set per coin symbol. Coins missing from
+ * `allowlist` cannot be withdrawn at all once it is set, while coins missing
+ * from the other options are not limited. The daily limit counts the
+ * withdrawals sent in the last 24 hours, and those still being checked, so
+ * withdrawals made at the same time cannot exceed it together. The reserve
+ * check likewise counts withdrawals still being checked, and those sent
+ * while another reserve check was running until that check is done, as it
+ * may have read the balance before they were debited. With a
+ * `store` the withdrawals sent are saved and loaded again after a restart.
+ *
+ * A blocked withdrawal rejects with a WithdrawalBlockedError whose `code` is
+ * one of 'INVALID_WITHDRAWAL', 'ADDRESS_FORMAT', 'ADDRESS_NOT_ALLOWED',
+ * 'AMOUNT_LIMIT', 'DAILY_LIMIT', 'RESERVE' or 'NOT_APPROVED', after it was
+ * passed to `audit`. Events:
+ *
+ * - `blocked`: a withdrawal was blocked, with its audit entry.
+ * - `withdrawal`: a withdrawal was sent, with `{time, symbol, amount, address}`.
+ * - `error`: the withdrawals could not be saved to the store, the withdrawal itself was sent.
+ * @class
+ * @extends EventEmitter
+ * @param {Kucoin} client The client to read balances with.
+ * @param {Object} [options] Guard options.
+ * @param {Object} [options.allowlist] Addresses each coin may be withdrawn to, e.g. `{ NEO: ['AWcAwoXK6gbMUTojHMHEx8FgEfaVK9Hz5s'] }`.
+ * @param {Object} [options.maxAmount] Largest amount of each coin per withdrawal.
+ * @param {Object} [options.dailyLimit] Largest amount of each coin withdrawn in 24 hours.
+ * @param {Object} [options.reserve] Available balance of each coin that must be left after a withdrawal, checked with `getBalance`.
+ * @param {Object} [options.addressFormats] Address format of each coin as a RegExp or a function returning whether an address is valid, added to the built-in formats of BTC, BCH, LTC, ETH, ETC, NEO and GAS.
+ * @param {Function} [options.approve] Called with `{symbol, amount, address}` once every other check passed, returns a Promise. The withdrawal is only sent if it resolves with `true`.
+ * @param {Function} [options.audit] Called with an entry `{time, symbol, amount, address, code, reason}` for each blocked withdrawal, may return a Promise. The withdrawal rejects once it is done.
+ * @param {Object} [options.store] Where to keep the withdrawals sent, e.g. a FileStore, in memory only by default.
+ * @example
+ * let kc = new Kucoin(apiKey, apiSecret, {
+ *   withdrawalGuard: {
+ *     allowlist: { NEO: ['AWcAwoXK6gbMUTojHMHEx8FgEfaVK9Hz5s'] },
+ *     dailyLimit: { NEO: 50 },
+ *     reserve: { NEO: 10 },
+ *     approve: (withdrawal) => askForSignOff(withdrawal),
+ *     audit: (entry) => fs.appendFileSync('./withdrawals.log', JSON.stringify(entry) + '\n')
+ *   }
+ * })
+ */
+class WithdrawalGuard extends EventEmitter {
+
+  /**
+   * Set up the guard, nothing is requested until a withdrawal is checked.
+   * @param {Kucoin} client The client to read balances with.
+   * @param {Object} [options] Guard options.
+   */
+  constructor(client, options = {}) {
+    super()
+    this.client = client
+    this.allowlist = options.allowlist || null
+    this.maxAmount = options.maxAmount || {}
+    this.dailyLimit = options.dailyLimit || {}
+    this.reserve = options.reserve || {}
+    this.addressFormats = Object.assign({}, ADDRESS_FORMATS, options.addressFormats)
+    this.approve = options.approve || null
+    this.audit = options.audit || null
+    this.store = options.store || null
+    this.withdrawals = []
+    this._pending = []
+    this._sequence = 0
+    this._loaded = null
+    this._saving = Q()
+  }
+
+  /**
+   * Check a withdrawal and send it if nothing blocks it.
+   * @access public
+   * @param {{symbol: string, amount: number, address: string}} params The withdrawal.
+   * @param {Function} send Sends the withdrawal, returns a Promise.
+   * @return {Promise} Resolves with what `send` resolved with, rejects with a WithdrawalBlockedError if the withdrawal was blocked.
+   */
+  withdraw(params, send) {
+    return this.load().then(() => {
+      let withdrawal = {
+        time: Date.now(),
+        symbol: params.symbol,
+        amount: Number(params.amount),
+        address: params.address
+      }
+      let blocked = this.check(withdrawal)
+      if (blocked) {
+        return this.block(withdrawal, blocked.code, blocked.reason)
+      }
+      let pending = {
+        symbol: withdrawal.symbol,
+        amount: withdrawal.amount,
+        started: ++this._sequence
+      }
+      this._pending.push(pending)
+      return this.checkReserve(withdrawal, pending)
+        .then(() => {
+          pending.checked = true
+          return this.checkApproval(withdrawal)
+        })
+        .then(() => send())
+        .then((result) => {
+          pending.sent = ++this._sequence
+          this.release(pending)
+          this.withdrawals.push(withdrawal)
+          this.emit('withdrawal', withdrawal)
+          return this.save().then(() => result, (err) => {
+            if (this.listenerCount('error')) {
+              this.emit('error', err)
+            }
+            return result
+          })
+        }, (err) => {
+          this.release(pending)
+          throw err
+        })
+    })
+  }
+
+  /**
+   * Amount of a coin withdrawn in the last 24 hours, including withdrawals still being checked.
+   * @access public
+   * @param {string} symbol The coin.
+   * @return {number} The amount.
+   */
+  withdrawnToday(symbol) {
+    let since = Date.now() - DAY
+    return Number(this.withdrawals
+      .filter((withdrawal) => withdrawal.time > since)
+      .concat(this._pending.filter((pending) => !pending.sent))
+      .filter((withdrawal) => withdrawal.symbol === symbol)
+      .reduce((sum, withdrawal) => sum.plus(decimal.toDecimal(withdrawal.amount)), decimal.toDecimal(0)))
+  }
+
+  /**
+   * Whether an address looks valid for a coin, always true for coins without a known format.
+   * @access public
+   * @param {string} symbol The coin.
+   * @param {string} address The address.
+   * @return {boolean} False if the address does not match the coin's format.
+   */
+  validAddress(symbol, address) {
+    let format = this.addressFormats[symbol]
+    if (!format) {
+      return true
+    }
+    return (typeof format === 'function' ? !!format(address) : format.test(address))
+  }
+
+  /**
+   * Read the saved withdrawals from the store, once.
+   * @access public
+   * @return {Promise} Resolves with the withdrawals.
+   */
+  load() {
+    if (!this._loaded) {
+      this._loaded = (this.store ? Q(this.store.load()) : Q(null)).then((saved) => {
+        this.withdrawals = (saved || []).concat(this.withdrawals)
+        return this.withdrawals
+      })
+      this._loaded.catch(() => {
+        this._loaded = null
+      })
+    }
+    return this._loaded
+  }
+
+  /**
+   * Run the checks that need no request.
+   * @access private
+   * @param {Object} withdrawal The withdrawal.
+   * @return {Object} `{code, reason}` if the withdrawal is blocked, null otherwise.
+   */
+  check(withdrawal) {
+    let symbol = withdrawal.symbol
+    if (!symbol || !withdrawal.address || !(withdrawal.amount > 0)) {
+      return {
+        code: 'INVALID_WITHDRAWAL',
+        reason: 'A withdrawal needs a symbol, an address and a positive amount'
+      }
+    }
+    let amount = decimal.toDecimal(withdrawal.amount)
+    if (!this.validAddress(symbol, withdrawal.address)) {
+      return {
+        code: 'ADDRESS_FORMAT',
+        reason: withdrawal.address + ' is not a valid ' + symbol + ' address'
+      }
+    }
+    if (this.allowlist && (this.allowlist[symbol] || []).indexOf(withdrawal.address) === -1) {
+      return {
+        code: 'ADDRESS_NOT_ALLOWED',
+        reason: withdrawal.address + ' is not on the ' + symbol + ' allowlist'
+      }
+    }
+    if (this.maxAmount[symbol] !== undefined && amount.greaterThan(decimal.toDecimal(this.maxAmount[symbol]))) {
+      return {
+        code: 'AMOUNT_LIMIT',
+        reason: decimal.format(amount) + ' ' + symbol + ' is more than the limit of ' + this.maxAmount[symbol] + ' per withdrawal'
+      }
+    }
+    if (this.dailyLimit[symbol] !== undefined && amount.plus(this.withdrawnToday(symbol)).greaterThan(decimal.toDecimal(this.dailyLimit[symbol]))) {
+      return {
+        code: 'DAILY_LIMIT',
+        reason: decimal.format(amount) + ' ' + symbol + ' would exceed the daily limit of ' + this.dailyLimit[symbol] + ', ' + this.withdrawnToday(symbol) + ' was already withdrawn'
+      }
+    }
+    return null
+  }
+
+  /**
+   * Check that the balance left after a withdrawal, the others still being checked and those sent since this check started, covers the coin's reserve.
+   * @access private
+   * @param {Object} withdrawal The withdrawal.
+   * @param {Object} check The withdrawal's entry among those being checked.
+   * @return {Promise} Resolves if it does, rejects with a WithdrawalBlockedError otherwise.
+   */
+  checkReserve(withdrawal, check) {
+    let symbol = withdrawal.symbol
+    if (this.reserve[symbol] === undefined) {
+      return Q()
+    }
+    return Q(this.client.getBalance({
+      symbol: symbol
+    })).then((result) => {
+      let data = models.raw(result).data || {}
+      let balance = (Array.isArray(data) ? data.filter((item) => item.coinType === symbol)[0] : data) || {}
+      let available = decimal.toDecimal((balance.balanceStr !== undefined ? balance.balanceStr : balance.balance) || 0)
+      let left = this._pending
+        .filter((pending) => pending.symbol === symbol && (!pending.sent || pending.sent > check.started))
+        .reduce((sum, pending) => sum.minus(decimal.toDecimal(pending.amount)), available)
+      if (left.lessThan(decimal.toDecimal(this.reserve[symbol]))) {
+        return this.block(withdrawal, 'RESERVE', 'Withdrawing ' + withdrawal.amount + ' ' + symbol + ' would leave ' + decimal.format(left) + ', less than the reserve of ' + this.reserve[symbol])
+      }
+    })
+  }
+
+  /**
+   * Ask the approval hook, if there is one.
+   * @access private
+   * @param {Object} withdrawal The withdrawal.
+   * @return {Promise} Resolves if the withdrawal was approved, rejects with a WithdrawalBlockedError otherwise.
+   */
+  checkApproval(withdrawal) {
+    if (!this.approve) {
+      return Q()
+    }
+    return Q.fcall(() => this.approve({
+      symbol: withdrawal.symbol,
+      amount: withdrawal.amount,
+      address: withdrawal.address
+    })).then((approved) => {
+      if (approved !== true) {
+        return this.block(withdrawal, 'NOT_APPROVED', 'The withdrawal was not approved')
+      }
+    }, (err) => this.block(withdrawal, 'NOT_APPROVED', 'The withdrawal was not approved: ' + (err && err.message ? err.message : err)))
+  }
+
+  /**
+   * Audit a blocked withdrawal.
+   * @access private
+   * @param {Object} withdrawal The withdrawal.
+   * @param {string} code Why it was blocked, e.g. 'DAILY_LIMIT'.
+   * @param {string} reason Why it was blocked, for people.
+   * @return {Promise} Rejects with a WithdrawalBlockedError once the entry is audited.
+   */
+  block(withdrawal, code, reason) {
+    let entry = {
+      time: Date.now(),
+      symbol: withdrawal.symbol,
+      amount: withdrawal.amount,
+      address: withdrawal.address,
+      code: code,
+      reason: reason
+    }
+    this.emit('blocked', entry)
+    let err = new errors.WithdrawalBlockedError(reason, {
+      method: 'post',
+      endpoint: '/account/' + withdrawal.symbol + '/withdraw/apply',
+      params: {
+        symbol: withdrawal.symbol,
+        amount: withdrawal.amount,
+        address: withdrawal.address
+      },
+      code: code
+    })
+    return Q.fcall(() => (this.audit ? this.audit(entry) : null))
+      .then(() => {
+        throw err
+      }, (auditErr) => {
+        err.cause = auditErr
+        throw err
+      })
+  }
+
+  /**
+   * Stop counting a withdrawal as being checked. A withdrawal that was sent is still counted against the reserve until the reserve checks that started before it was sent are done.
+   * @access private
+   * @param {Object} check The withdrawal's entry among those being checked.
+   */
+  release(check) {
+    check.checked = true
+    this._pending = this._pending.filter((pending) => {
+      if (!pending.sent) {
+        return pending !== check
+      }
+      return this._pending.some((other) => !other.checked && other.started < pending.sent)
+    })
+  }
+
+  /**
+   * Save the withdrawals of the last 24 hours, if there is a store.
+   * @access private
+   * @return {Promise} Resolves once saved.
+   */
+  save() {
+    let since = Date.now() - DAY
+    this.withdrawals = this.withdrawals.filter((withdrawal) => withdrawal.time > since)
+    if (!this.store) {
+      return Q()
+    }
+    let withdrawals = this.withdrawals.slice()
+    this._saving = this._saving
+      .catch(() => {})
+      .then(() => this.store.save(withdrawals))
+    return this._saving
+  }
+
+}
+
+WithdrawalGuard.ADDRESS_FORMATS = ADDRESS_FORMATS
+
+module.exports = WithdrawalGuard
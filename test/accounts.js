@@ -0,0 +1,66 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('AccountManager', () => {
+
+  let server
+  let accounts
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer({
+      accounts: [{
+        apiKey: 'momentum-key',
+        apiSecret: 'momentum-secret',
+        balances: {
+          NEO: 2,
+          GAS: 10
+        }
+      }, {
+        apiKey: 'arbitrage-key',
+        apiSecret: 'arbitrage-secret',
+        balances: {
+          NEO: 3
+        }
+      }]
+    })
+    return server.listen().then((baseUrl) => {
+      accounts = new Kucoin.AccountManager({
+        accounts: {
+          momentum: { apiKey: 'momentum-key', apiSecret: 'momentum-secret' },
+          arbitrage: { apiKey: 'arbitrage-key', apiSecret: 'arbitrage-secret' }
+        },
+        client: {
+          baseUrl: baseUrl,
+          retry: false
+        }
+      })
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('combines the balances of every account', () => {
+    return accounts.getBalance().then((balances) => {
+      let neo = balances.total.filter((balance) => balance.coin === 'NEO')[0]
+      assert.strictEqual(neo.total, 5)
+      assert.strictEqual(balances.accounts.arbitrage.filter((balance) => balance.coin === 'NEO')[0].available, 3)
+      assert.deepStrictEqual(balances.errors, {})
+    })
+  })
+
+  it('keeps the error of every pair an account failed for', () => {
+    accounts.add('unknown', { apiKey: 'unknown-key', apiSecret: 'unknown-secret' })
+    return accounts.account('momentum').createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 }).then(() => {
+      return accounts.getActiveOrders({ pairs: ['GAS-NEO', 'NEO-BTC'] })
+    }).then((result) => {
+      assert.strictEqual(result.orders.length, 1)
+      assert.strictEqual(result.orders[0].account, 'momentum')
+      assert.deepStrictEqual(Object.keys(result.errors), ['unknown'])
+      assert.deepStrictEqual(Object.keys(result.errors.unknown).sort(), ['GAS-NEO', 'NEO-BTC'])
+      assert(result.errors.unknown['NEO-BTC'] instanceof Kucoin.KucoinError)
+    })
+  })
+
+})
@@ -0,0 +1,102 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Q = require('q')
+const Kucoin = require('..')
+
+describe('Recorder and Backtest', () => {
+
+  let server
+  let file
+  let recorder
+  let kc
+
+  let lines = () => fs.readFileSync(file, 'utf8').split('\n').filter((line) => line).map((line) => JSON.parse(line))
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), 'kucoin-recording-' + process.pid + '-' + Date.now() + '.jsonl')
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      recorder = new Kucoin.Recorder({
+        path: file,
+        transport: new Kucoin.RestifyTransport({
+          baseUrl: baseUrl
+        })
+      })
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        transport: recorder,
+        retry: false
+      })
+    })
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file)
+    }
+    return server.close()
+  })
+
+  it('records public responses but not signed ones', () => {
+    return Q.all([kc.getTicker({ pair: 'GAS-NEO' }), kc.getBalance({ symbol: 'NEO' })])
+      .then(() => recorder.stop())
+      .then(() => {
+        let records = lines()
+        assert.strictEqual(records.length, 1)
+        assert.strictEqual(records[0].method, 'get')
+        assert(/\/GAS-NEO\/open\/tick/.test(records[0].path))
+        assert.strictEqual(records[0].body.data.symbol, 'GAS-NEO')
+        assert(records[0].time > 0)
+      })
+  })
+
+  it('replays a recording on a simulated clock and reports the result', () => {
+    return Q.all([
+      kc.getTradingSymbols(),
+      kc.getCoins(),
+      kc.getTicker({ pair: 'GAS-NEO' }),
+      kc.getOrderBooks({ pair: 'GAS-NEO' }),
+      kc.getRecentlyDealtOrders({ pair: 'GAS-NEO' })
+    ]).then(() => recorder.stop()).then(() => {
+      let first = lines()
+      let start = Math.max.apply(Math, first.map((record) => record.time))
+      let later = first.map((record) => {
+        let copy = JSON.parse(JSON.stringify(record))
+        copy.time = start + 60000
+        if (/\/open\/tick/.test(copy.path)) {
+          copy.body.data.lastDealPrice = 0.7
+        }
+        return copy
+      })
+      let backtest = new Kucoin.Backtest({
+        records: first.concat(later),
+        balances: {
+          NEO: 10
+        },
+        baseFeeRate: 0,
+        step: 60000
+      })
+      let calls = []
+      return backtest.run((client, time) => {
+        calls.push(time)
+        if (calls.length === 1) {
+          return client.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.628, amount: 5 })
+        }
+      }).then((report) => {
+        assert.deepStrictEqual(calls, [start, start + 60000])
+        assert.strictEqual(report.quote, 'NEO')
+        assert.strictEqual(report.startingEquity, 10)
+        assert.strictEqual(report.trades.length, 1)
+        assert.strictEqual(report.trades[0].price, 0.628)
+        assert.strictEqual(report.trades[0].time, start)
+        assert.strictEqual(report.balances.GAS, 5)
+        assert(Math.abs(report.pnl - 5 * (0.7 - 0.628)) < 1e-9)
+        assert.strictEqual(Object.keys(server.accounts['mock-key'].orders).length, 0)
+      })
+    })
+  })
+
+})
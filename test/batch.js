@@ -0,0 +1,54 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('Batch orders', () => {
+
+  let server
+  let kc
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false
+      })
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('places every order and reports each outcome in order', () => {
+    return kc.createOrders([
+      { pair: 'GAS-NEO', type: 'BUY', price: 0.5, amount: 2 },
+      { pair: 'GAS-NEO', type: 'BUY', price: 0.5, amount: 1000 },
+      { pair: 'GAS-NEO', type: 'SELL', price: 0.7, amount: 3 }
+    ], { concurrency: 2 }).then((batch) => {
+      assert.strictEqual(batch.succeeded, 2)
+      assert.strictEqual(batch.failed, 1)
+      assert.deepStrictEqual(batch.results.map((result) => result.success), [true, false, true])
+      assert(batch.results[1].error instanceof Kucoin.InsufficientFundsError)
+      assert.strictEqual(batch.results[2].params.amount, 3)
+      assert.strictEqual(Object.keys(server.accounts['mock-key'].orders).length, 2)
+    })
+  })
+
+  it('cancels every active order of a pair and type', () => {
+    let orders = [
+      { pair: 'GAS-NEO', type: 'BUY', price: 0.5, amount: 2 },
+      { pair: 'GAS-NEO', type: 'BUY', price: 0.51, amount: 2 },
+      { pair: 'GAS-NEO', type: 'SELL', price: 0.7, amount: 3 }
+    ]
+    return kc.createOrders(orders).then(() => kc.cancelAllOrders({ pair: 'GAS-NEO', type: 'BUY' })).then((batch) => {
+      assert.strictEqual(batch.succeeded, 2)
+      assert.strictEqual(batch.failed, 0)
+      return kc.getActiveOrders({ pair: 'GAS-NEO' })
+    }).then((result) => {
+      assert.strictEqual(result.data.BUY.length, 0)
+      assert.strictEqual(result.data.SELL.length, 1)
+    })
+  })
+
+})
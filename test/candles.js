@@ -0,0 +1,64 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('CandleBuilder', () => {
+
+  let t0 = 1509591180000
+
+  it('aggregates trades into candles and fills the gaps', () => {
+    let candles = new Kucoin.CandleBuilder('GAS-NEO', { interval: '1m' })
+    candles.addAll([
+      [t0 + 1000, 'BUY', 0.61, 2, 1.22],
+      [t0 + 5000, 'SELL', 0.6, 1, 0.6],
+      [t0 + 2000, 'BUY', 0.63, 1, 0.63],
+      [t0 + 125000, 'SELL', 0.62, 3, 1.86]
+    ])
+    let result = candles.candles()
+    assert.strictEqual(result.length, 3)
+    assert.deepStrictEqual(result[0], { time: t0, open: 0.61, high: 0.63, low: 0.6, close: 0.6, amount: 4, volume: 2.45, trades: 3 })
+    assert.deepStrictEqual(result[1], { time: t0 + 60000, open: 0.6, high: 0.6, low: 0.6, close: 0.6, amount: 0, volume: 0, trades: 0 })
+    assert.strictEqual(result[2].close, 0.62)
+    assert.strictEqual(candles.candles({ fill: false }).length, 2)
+  })
+
+  it('counts distinct trades alike in side, price and amount', () => {
+    let candles = new Kucoin.CandleBuilder('GAS-NEO')
+    assert(candles.add([t0, 'BUY', 0.61, 1, 0.61]))
+    assert(candles.add([t0, 'BUY', 0.61, 1, 0.61]))
+    assert.strictEqual(candles.addAll([[t0 + 1000, 'SELL', 0.6, 1], [t0 + 1000, 'SELL', 0.6, 1]]), 2)
+    assert.strictEqual(candles.candles()[0].trades, 4)
+  })
+
+  it('skips only what a page repeats where it overlaps the previous one', () => {
+    let candles = new Kucoin.CandleBuilder('GAS-NEO')
+    candles.addAll([
+      [t0, 'BUY', 0.61, 1, 0.61],
+      [t0 + 1000, 'BUY', 0.62, 1, 0.62]
+    ])
+    let added = candles.addAll([
+      [t0, 'BUY', 0.61, 1, 0.61],
+      [t0 + 1000, 'BUY', 0.62, 1, 0.62],
+      [t0 + 1000, 'BUY', 0.62, 1, 0.62],
+      [t0 + 2000, 'SELL', 0.6, 2, 1.2]
+    ])
+    assert.strictEqual(added, 2)
+    assert.strictEqual(candles.candles()[0].trades, 4)
+    assert.strictEqual(candles.candles()[0].amount, 5)
+  })
+
+  it('adds a trade with an id once', () => {
+    let candles = new Kucoin.CandleBuilder('GAS-NEO')
+    let fill = (id) => new Kucoin.models.Trade({ oid: id, createdAt: t0, coinType: 'GAS', coinTypePair: 'NEO', direction: 'BUY', dealPrice: 0.61, amount: 1, dealValue: 0.61 })
+    assert(candles.add(fill('a')))
+    assert(candles.add(fill('b')))
+    assert.strictEqual(candles.add(fill('a')), null)
+    assert.strictEqual(candles.candles()[0].trades, 2)
+  })
+
+  it('rejects an unknown interval', () => {
+    assert.throws(() => new Kucoin.CandleBuilder('GAS-NEO', { interval: '7m' }), Kucoin.ValidationError)
+  })
+
+})
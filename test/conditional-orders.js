@@ -0,0 +1,151 @@
+'use strict'
+
+const assert = require('assert')
+const Q = require('q')
+const Kucoin = require('..')
+
+describe('ConditionalOrders', () => {
+
+  let server
+  let kc
+  let engine
+  let saved
+
+  let store = {
+    load: () => Q(saved),
+    save: (orders) => {
+      saved = JSON.parse(JSON.stringify(orders))
+      return Q()
+    }
+  }
+
+  let setLastPrice = (price) => {
+    server.fixtures.symbols.filter((symbol) => symbol.symbol === 'GAS-NEO')[0].lastDealPrice = price
+  }
+
+  let lagCancel = (delay) => {
+    let cancelOrder = kc.cancelOrder
+    kc.cancelOrder = (params) => {
+      kc.cancelOrder = cancelOrder
+      if (delay !== null) {
+        setTimeout(() => cancelOrder.call(kc, params), delay)
+      }
+      return Q({
+        success: true,
+        data: null
+      })
+    }
+  }
+
+  beforeEach(() => {
+    saved = null
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false
+      })
+      engine = new Kucoin.ConditionalOrders(kc, {
+        pollInterval: 10,
+        store: store
+      })
+    })
+  })
+
+  afterEach(() => {
+    engine.stop()
+    return server.close()
+  })
+
+  it('places the order of a stop-loss once the price falls to it', () => {
+    return engine.stopLoss({ pair: 'GAS-NEO', type: 'SELL', amount: 5, stopPrice: 0.6, price: 0.59 }).then((order) => {
+      let triggered = Q.defer()
+      engine.on('triggered', triggered.resolve)
+      setLastPrice(0.599)
+      return triggered.promise.delay(10).then((triggeredOrder) => {
+        assert.strictEqual(triggeredOrder, order)
+        assert.strictEqual(order.status, 'TRIGGERED')
+        let placed = server.accounts['mock-key'].orders[order.orderOid]
+        assert.strictEqual(placed.price, 0.59)
+        assert.strictEqual(placed.amount, 5)
+        assert.strictEqual(saved[0].status, 'TRIGGERED')
+      })
+    })
+  })
+
+  it('saves a failed trigger without anything listening for errors', () => {
+    return engine.stopLoss({ pair: 'GAS-NEO', type: 'SELL', amount: 100000, stopPrice: 0.6, price: 0.59 }).then((order) => {
+      setLastPrice(0.599)
+      let saving = () => Q.delay(10).then(() => (saved[0].status === 'PENDING' || saved[0].status === 'TRIGGERING' ? saving() : null))
+      return saving().then(() => {
+        assert.strictEqual(order.status, 'FAILED')
+        assert.strictEqual(saved[0].status, 'FAILED')
+        assert(order.error)
+      })
+    })
+  })
+
+  it('tracks a reloaded OCO limit order from when it was placed', () => {
+    let placedAt
+    return engine.oco({ pair: 'GAS-NEO', type: 'SELL', amount: 5, price: 0.7, stopPrice: 0.5, stopLimitPrice: 0.49 }).then((order) => {
+      placedAt = order.limitOrderCreatedAt
+      assert(placedAt <= Date.now())
+      assert.strictEqual(saved[0].limitOrderCreatedAt, placedAt)
+      engine.stop()
+      return Q.delay(20).then(() => {
+        engine = new Kucoin.ConditionalOrders(kc, {
+          pollInterval: 10,
+          store: store
+        })
+        return engine.start()
+      }).then(() => {
+        let limitOrder = engine.orderManager.orders[order.limitOrderOid]
+        assert.strictEqual(limitOrder.createdAt, placedAt)
+        let filled = Q.defer()
+        engine.on('filled', filled.resolve)
+        server.fillOrder(order.limitOrderOid, 5)
+        return filled.promise
+      })
+    }).then((order) => {
+      assert.strictEqual(order.status, 'FILLED')
+      assert.strictEqual(saved[0].status, 'FILLED')
+    })
+  })
+
+  it('places an OCO stop only once the exchange no longer lists the cancelled limit order', () => {
+    return engine.oco({ pair: 'GAS-NEO', type: 'SELL', amount: 5, price: 0.7, stopPrice: 0.5, stopLimitPrice: 0.49 }).then((order) => {
+      lagCancel(30)
+      let triggered = Q.defer()
+      engine.on('triggered', () => triggered.resolve(server.accounts['mock-key'].orders[order.limitOrderOid].status))
+      setLastPrice(0.5)
+      return triggered.promise.then((limitStatus) => {
+        assert.strictEqual(limitStatus, 'CANCELED')
+        assert.strictEqual(order.status, 'TRIGGERED')
+        assert.strictEqual(server.accounts['mock-key'].orders[order.orderOid].amount, 5)
+      })
+    })
+  })
+
+  it('fails an OCO stop without placing it while the limit order stays open', () => {
+    engine = new Kucoin.ConditionalOrders(kc, {
+      pollInterval: 10,
+      cancelTimeout: 50,
+      store: store
+    })
+    return engine.oco({ pair: 'GAS-NEO', type: 'SELL', amount: 5, price: 0.7, stopPrice: 0.5, stopLimitPrice: 0.49 }).then((order) => {
+      lagCancel(null)
+      let failed = Q.defer()
+      engine.on('error', (err, failedOrder) => failed.resolve([err, failedOrder]))
+      setLastPrice(0.5)
+      return failed.promise.delay(10).then((result) => {
+        assert(result[0] instanceof Kucoin.OrderTimeoutError)
+        assert.strictEqual(result[1], order)
+        assert.strictEqual(order.status, 'FAILED')
+        assert.strictEqual(order.orderOid, null)
+        assert.strictEqual(saved[0].status, 'FAILED')
+        assert.strictEqual(Object.keys(server.accounts['mock-key'].orders).length, 1)
+      })
+    })
+  })
+
+})
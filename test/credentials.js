@@ -0,0 +1,91 @@
+'use strict'
+
+const assert = require('assert')
+const util = require('util')
+const Kucoin = require('..')
+
+describe('Credentials', () => {
+
+  let server
+  let baseUrl
+
+  let client = (options) => new Kucoin(null, null, Object.assign({
+    baseUrl: baseUrl,
+    retry: {
+      baseDelay: 1
+    }
+  }, options))
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((url) => {
+      baseUrl = url
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('signs requests with the credentials of a provider', () => {
+    let kc = client({
+      credentials: () => ({ apiKey: 'mock-key', apiSecret: 'mock-secret' })
+    })
+    return kc.getBalance({ symbol: 'NEO' }).then((result) => {
+      assert.strictEqual(result.success, true)
+      assert.strictEqual(util.inspect(kc, { depth: 5 }).indexOf('mock-secret'), -1)
+    })
+  })
+
+  it('rejects with an AuthenticationError without retrying when a provider fails', () => {
+    let calls = 0
+    let kc = client({
+      credentials: () => {
+        calls++
+        throw new Error('Vault is sealed')
+      }
+    })
+    return kc.getBalance({ symbol: 'NEO' }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.AuthenticationError)
+      assert.strictEqual(err.cause.message, 'Vault is sealed')
+      assert.strictEqual(calls, 1)
+    })
+  })
+
+  it('rejects with an AuthenticationError without retrying when the nonce provider fails', () => {
+    let calls = 0
+    let kc = new Kucoin('mock-key', 'mock-secret', {
+      baseUrl: baseUrl,
+      nonce: {
+        next: () => {
+          calls++
+          return Promise.reject(new Error('Store unavailable'))
+        }
+      }
+    })
+    return kc.getBalance({ symbol: 'NEO' }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.AuthenticationError)
+      assert.strictEqual(calls, 1)
+    })
+  })
+
+  it('rejects when the environment variables are missing', () => {
+    let kc = client({
+      credentials: new Kucoin.EnvCredentials({ key: 'KUCOIN_TEST_MISSING_KEY', secret: 'KUCOIN_TEST_MISSING_SECRET' })
+    })
+    return kc.getBalance({ symbol: 'NEO' }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.AuthenticationError)
+      assert(/KUCOIN_TEST_MISSING_KEY/.test(err.message))
+    })
+  })
+
+  it('refuses to change a read-only account', () => {
+    let kc = new Kucoin('mock-key', 'mock-secret', {
+      baseUrl: baseUrl,
+      readOnly: true
+    })
+    return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.ReadOnlyError)
+      assert.strictEqual(Object.keys(server.accounts['mock-key'].orders).length, 0)
+    })
+  })
+
+})
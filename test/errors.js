@@ -0,0 +1,81 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('errors', () => {
+  let server
+  let kc
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false
+      })
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('rejects with an InsufficientFundsError carrying the request and response', () => {
+    return kc.createOrder({
+      pair: 'GAS-NEO',
+      type: 'BUY',
+      price: 0.6,
+      amount: 1000
+    }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.InsufficientFundsError)
+      assert(err instanceof Kucoin.KucoinError)
+      assert.strictEqual(err.code, 'NO_BALANCE')
+      assert.strictEqual(err.method, 'post')
+      assert.strictEqual(err.endpoint, '/order')
+      assert.strictEqual(err.params.pair, 'GAS-NEO')
+      assert.strictEqual(err.response.success, false)
+    })
+  })
+
+  it('rejects with an OrderNotFoundError for unknown orders', () => {
+    return kc.cancelOrder({
+      pair: 'GAS-NEO',
+      txOid: 'missing',
+      type: 'BUY'
+    }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.OrderNotFoundError)
+    })
+  })
+
+  it('rejects with a NetworkError when nothing answers', () => {
+    let url = server.url
+    return server.close().then(() => {
+      let offline = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: url,
+        retry: false
+      })
+      return offline.getTicker({
+        pair: 'GAS-NEO'
+      })
+    }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.NetworkError)
+      assert.strictEqual(err.statusCode, undefined)
+      return server.listen()
+    })
+  })
+
+  it('redacts secret-looking parameters', () => {
+    let err = new Kucoin.ApiError('Failed', {
+      params: {
+        pair: 'GAS-NEO',
+        apiSecret: 'secret',
+        passphrase: 'secret'
+      }
+    })
+    assert.deepStrictEqual(err.params, {
+      pair: 'GAS-NEO',
+      apiSecret: '[REDACTED]',
+      passphrase: '[REDACTED]'
+    })
+  })
+
+})
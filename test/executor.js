@@ -0,0 +1,76 @@
+'use strict'
+
+const assert = require('assert')
+const Q = require('q')
+const Kucoin = require('..')
+
+describe('Execution algorithms', () => {
+
+  let server
+  let kc
+  let iceberg
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false
+      })
+      kc.metadata.pricePrecisions['GAS-NEO'] = 6
+    })
+  })
+
+  afterEach(() => {
+    iceberg.orderManager.stop()
+    return server.close()
+  })
+
+  it('places iceberg slices until the whole amount is filled', () => {
+    iceberg = new Kucoin.Iceberg(kc, { pair: 'GAS-NEO', type: 'BUY', amount: 5, visibleAmount: 2, price: 0.6 }, { pollInterval: 10 })
+    iceberg.on('order', (order) => setTimeout(() => server.fillOrder(order.orderOid, order.amount), 5))
+    return iceberg.start().then((report) => {
+      assert.strictEqual(report.status, 'COMPLETED')
+      assert.strictEqual(report.filledAmount, 5)
+      assert.strictEqual(report.orders, 3)
+      assert.strictEqual(report.averagePrice, 0.6)
+    })
+  })
+
+  it('follows a timed out child the exchange still lists as open after cancelling it', () => {
+    let cancelOrder = kc.cancelOrder
+    let lagging = true
+    kc.cancelOrder = (params) => {
+      if (!lagging) {
+        return cancelOrder.call(kc, params)
+      }
+      lagging = false
+      setTimeout(() => cancelOrder.call(kc, params), 80)
+      return Q({
+        success: true,
+        data: null
+      })
+    }
+    iceberg = new Kucoin.Iceberg(kc, { pair: 'GAS-NEO', type: 'BUY', amount: 4, visibleAmount: 2 }, {
+      pollInterval: 10,
+      sliceTimeout: 30
+    })
+    let children = []
+    iceberg.on('order', (order) => {
+      children.push(order)
+      if (children.length === 1) {
+        setTimeout(() => server.fillOrder(order.orderOid, 1), 50)
+      } else {
+        assert.strictEqual(children[0].status, 'CANCELLED')
+        setTimeout(() => server.fillOrder(order.orderOid, order.amount), 5)
+      }
+    })
+    return iceberg.start().then((report) => {
+      assert.strictEqual(report.status, 'COMPLETED')
+      assert.strictEqual(children[0].dealtAmount, 1)
+      assert.deepStrictEqual(children.map((order) => order.amount), [2, 2, 1])
+      assert.strictEqual(report.filledAmount, 4)
+    })
+  })
+
+})
@@ -0,0 +1,83 @@
+'use strict'
+
+const assert = require('assert')
+const Q = require('q')
+const Kucoin = require('..')
+
+describe('Ledger', () => {
+
+  let server
+  let kc
+
+  let close = (a, b) => assert(Math.abs(a - b) < 1e-9, a + ' is not ' + b)
+
+  let ledger = (options) => new Kucoin.Ledger(kc, Object.assign({
+    pairs: ['GAS-NEO'],
+    coins: ['GAS'],
+    openingLots: {
+      NEO: [{ time: 0, amount: 10, cost: 100 }]
+    }
+  }, options))
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false
+      })
+      return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 10 })
+    }).then((result) => {
+      server.fillOrder(result.data.orderOid, 10)
+      return Q.delay(5).then(() => kc.createOrder({ pair: 'GAS-NEO', type: 'SELL', price: 0.7, amount: 5 }))
+    }).then((result) => {
+      server.fillOrder(result.data.orderOid, 5)
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('values entries with the rate and works out realised gains', () => {
+    let prices = { NEO: 20, GAS: 10 }
+    let l = ledger({ rate: (coin) => prices[coin] })
+    return l.load().then((entries) => {
+      assert.deepStrictEqual(entries.map((entry) => entry.type), ['BUY', 'SELL'])
+      close(entries[0].fiatValue, 120)
+      close(entries[1].fiatFee, 0.07)
+      let gains = l.gains('FIFO')
+      assert.strictEqual(gains.valued, true)
+      close(gains.coins.NEO.gain, 120 - 60)
+      close(gains.coins.GAS.costBasis, 120 * 5 / 9.99)
+      close(gains.gain, 60 + 69.93 - 120 * 5 / 9.99)
+      close(gains.lots.GAS[0].amount, 4.99)
+    })
+  })
+
+  it('leaves values unknown without a rate instead of using current rates', () => {
+    let l = ledger()
+    let getExchangeRates = kc.getExchangeRates
+    kc.getExchangeRates = () => assert.fail('Requested current rates')
+    return l.load().then((entries) => {
+      kc.getExchangeRates = getExchangeRates
+      assert(entries.every((entry) => entry.fiatValue === null && entry.fiatFee === null))
+      let gains = l.gains()
+      assert.strictEqual(gains.valued, false)
+      assert.strictEqual(gains.gain, null)
+      assert.strictEqual(gains.costBasis, null)
+      assert(gains.disposals.every((disposal) => disposal.proceeds === null && disposal.gain === null))
+      assert.strictEqual(gains.disposals.filter((disposal) => disposal.coin === 'GAS')[0].costBasis, null)
+      assert.deepStrictEqual(gains.unpriced.sort(), ['GAS', 'NEO'])
+      assert.strictEqual(JSON.parse(JSON.stringify(l)).valued, false)
+    })
+  })
+
+  it('values amounts in the currency itself without a rate', () => {
+    let l = ledger({ currency: 'NEO' })
+    return l.load().then((entries) => {
+      close(entries[0].fiatValue, 6)
+      close(entries[1].fiatValue, 3.5)
+      assert(/^time,date,type/.test(l.toCSV()))
+    })
+  })
+
+})
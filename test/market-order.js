@@ -0,0 +1,76 @@
+'use strict'
+
+const assert = require('assert')
+const Q = require('q')
+const Kucoin = require('..')
+
+describe('Market orders', () => {
+
+  let server
+  let kc
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false
+      })
+      kc.metadata.pricePrecisions['GAS-NEO'] = 6
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('buys at the best ask and reports the slippage', () => {
+    return kc.marketBuy({ pair: 'GAS-NEO', amount: 10, pollInterval: 10 }).then((order) => {
+      assert.strictEqual(order.status, 'FILLED')
+      assert.strictEqual(order.dealtAmount, 10)
+      assert.strictEqual(order.expectedPrice, 0.628)
+      assert.strictEqual(order.expectedSlippage, 0)
+      assert.strictEqual(order.slippage, 0)
+    })
+  })
+
+  it('stops following the order when it cannot be cancelled', () => {
+    let createOrder = kc.createOrder
+    let getActiveOrders = kc.getActiveOrders
+    let polls = 0
+    kc.createOrder = (params) => createOrder.call(kc, Object.assign({}, params, { price: 0.5 }))
+    kc.getActiveOrders = (params) => {
+      polls++
+      return getActiveOrders.call(kc, params)
+    }
+    kc.cancelOrder = () => Q.reject(new Kucoin.NetworkError('Connection reset'))
+    let seen
+    return kc.marketBuy({ pair: 'GAS-NEO', amount: 10, timeout: 30, pollInterval: 10 }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.OrderTimeoutError)
+      assert(err.cause instanceof Kucoin.NetworkError)
+      assert.strictEqual(err.order.status, 'OPEN')
+      seen = polls
+      return Q.delay(50)
+    }).then(() => {
+      assert.strictEqual(polls, seen)
+    })
+  })
+
+  it('refuses an order whose expected slippage exceeds the cap', () => {
+    server.setOrderBook('GAS-NEO', {
+      SELL: [[0.628, 1], [0.7, 100]],
+      BUY: [[0.608, 1], [0.5, 100]]
+    })
+    return kc.marketSell({ pair: 'GAS-NEO', amount: 10, maxSlippage: 0.05 }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.SlippageError)
+      assert(/exceeds the cap of 5\.00%/.test(err.message))
+      assert.strictEqual(Object.keys(server.accounts['mock-key'].orders).length, 0)
+    })
+  })
+
+  it('refuses an order the book is not deep enough for', () => {
+    return kc.marketBuy({ pair: 'GAS-NEO', funds: 100000 }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.SlippageError)
+      assert(/not deep enough/.test(err.message))
+    })
+  })
+
+})
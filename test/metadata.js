@@ -0,0 +1,97 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('MarketMetadata', () => {
+
+  let server
+  let baseUrl
+  let warnings
+  let emitWarning = process.emitWarning
+
+  let client = (metadata) => new Kucoin('mock-key', 'mock-secret', {
+    baseUrl: baseUrl,
+    metadata: metadata
+  })
+
+  let rejects = (promise, message) => promise.then(() => assert.fail('Resolved'), (err) => {
+    assert(err instanceof Kucoin.ValidationError)
+    assert.strictEqual(err.message, message)
+    assert.strictEqual(Object.keys(server.accounts['mock-key'].orders).length, 0)
+  })
+
+  beforeEach(() => {
+    warnings = []
+    process.emitWarning = (warning) => warnings.push(warning)
+    server = new Kucoin.MockServer()
+    return server.listen().then((url) => {
+      baseUrl = url
+    })
+  })
+
+  afterEach(() => {
+    process.emitWarning = emitWarning
+    return server.close()
+  })
+
+  it('rejects orders for unknown pairs and below the minimum amount before sending them', () => {
+    let kc = client({
+      minAmounts: {
+        'GAS-NEO': 0.1
+      }
+    })
+    return rejects(kc.createOrder({ pair: 'FOO-NEO', type: 'BUY', price: 0.6, amount: 1 }), 'Unknown trading pair FOO-NEO')
+      .then(() => rejects(kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 0.05 }), 'The amount must be at least 0.1 for GAS-NEO'))
+      .then(() => rejects(kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0, amount: 1 }), 'The price must be greater than 0'))
+      .then(() => kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 0.1 }))
+      .then((result) => {
+        assert(result.data.orderOid)
+        assert(!warnings.some((warning) => /minimum amount/.test(warning)))
+      })
+  })
+
+  it('warns once about an unknown minimum amount and places the order', () => {
+    let kc = client(true)
+    let order = () => kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 0.05 })
+    return order().then(order).then(() => {
+      assert.strictEqual(Object.keys(server.accounts['mock-key'].orders).length, 2)
+      assert.strictEqual(warnings.filter((warning) => /minimum amount of GAS-NEO/.test(warning)).length, 1)
+    })
+  })
+
+  it('rejects an unknown minimum amount when configured to', () => {
+    let kc = client({
+      unknown: 'reject',
+      pricePrecisions: {
+        'GAS-NEO': 6
+      }
+    })
+    return rejects(kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 }), 'The minimum amount of GAS-NEO is not known, set it with the minAmounts option')
+  })
+
+  it('checks withdrawals against the coin', () => {
+    let kc = client(true)
+    return rejects(kc.createWithdrawal({ symbol: 'GAS', amount: 0.05, address: 'AXYZ' }), 'The amount must be at least 0.1 GAS')
+      .then(() => rejects(kc.createWithdrawal({ symbol: 'GAS', amount: 1.23456, address: 'AXYZ' }), 'The amount 1.23456 has more than 4 decimal places for GAS'))
+      .then(() => kc.metadata.validateWithdrawal({ symbol: 'GAS', amount: 1, address: 'AXYZ' }))
+      .then((fee) => assert.strictEqual(Number(fee), 0))
+  })
+
+  it('reloads once stale and keeps the previous data if that fails', () => {
+    let kc = new Kucoin('mock-key', 'mock-secret', {
+      baseUrl: baseUrl,
+      retry: false,
+      metadata: {
+        refreshInterval: 0
+      }
+    })
+    return kc.metadata.load().then(() => {
+      server.injectFailure({ status: 503, times: 2 })
+      return kc.metadata.pair('GAS-NEO')
+    }).then((symbol) => {
+      assert.strictEqual(symbol.coinType, 'GAS')
+    })
+  })
+
+})
@@ -0,0 +1,143 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('MockServer', () => {
+  let server
+  let kc
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false
+      })
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('serves public endpoints from the fixtures', () => {
+    return kc.getTicker({
+      pair: 'GAS-NEO'
+    }).then((result) => {
+      assert.strictEqual(result.success, true)
+      assert.strictEqual(result.data.symbol, 'GAS-NEO')
+      assert.strictEqual(result.data.sell, 0.628)
+    })
+  })
+
+  it('accepts requests signed with the account secret', () => {
+    return kc.getBalance({
+      symbol: 'NEO'
+    }).then((result) => {
+      assert.strictEqual(result.data.coinType, 'NEO')
+      assert.strictEqual(result.data.balance, 10.72040467)
+    })
+  })
+
+  it('rejects requests signed with another secret', () => {
+    let other = new Kucoin('mock-key', 'wrong-secret', {
+      baseUrl: server.url,
+      retry: false
+    })
+    return other.getBalance().then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.AuthenticationError)
+      assert.strictEqual(err.statusCode, 401)
+    })
+  })
+
+  it('fills orders that cross the book and freezes the rest', () => {
+    return kc.createOrder({
+      pair: 'GAS-NEO',
+      type: 'BUY',
+      price: 0.628,
+      amount: 300
+    }).catch((err) => {
+      assert(err instanceof Kucoin.InsufficientFundsError)
+      return kc.createOrder({
+        pair: 'GAS-NEO',
+        type: 'BUY',
+        price: 0.628,
+        amount: 10
+      })
+    }).then((result) => {
+      let order = server.accounts['mock-key'].orders[result.data.orderOid]
+      assert.strictEqual(order.status, 'DEALT')
+      assert.strictEqual(server.accounts['mock-key'].deals.length, 1)
+      return kc.createOrder({
+        pair: 'GAS-NEO',
+        type: 'SELL',
+        price: 0.7,
+        amount: 5
+      })
+    }).then((result) => {
+      return kc.getActiveOrders({
+        pair: 'GAS-NEO'
+      }).then((active) => {
+        assert.strictEqual(active.data.SELL.length, 1)
+        assert.strictEqual(active.data.SELL[0][5], result.data.orderOid)
+        assert.strictEqual(server.accounts['mock-key'].balances.GAS.freeze, 5)
+        return kc.cancelOrder({
+          pair: 'GAS-NEO',
+          txOid: result.data.orderOid,
+          type: 'SELL'
+        })
+      })
+    }).then(() => {
+      assert.strictEqual(server.accounts['mock-key'].balances.GAS.freeze, 0)
+    })
+  })
+
+  it('fills resting orders on demand', () => {
+    return kc.createOrder({
+      pair: 'GAS-NEO',
+      type: 'SELL',
+      price: 0.7,
+      amount: 5
+    }).then((result) => {
+      server.fillOrder(result.data.orderOid, 2)
+      return kc.getDealtOrders({
+        pair: 'GAS-NEO'
+      })
+    }).then((result) => {
+      assert.strictEqual(result.data.datas.length, 1)
+      assert.strictEqual(result.data.datas[0].amount, 2)
+      assert.strictEqual(result.data.datas[0].dealPrice, 0.7)
+    })
+  })
+
+  it('freezes withdrawals and records them', () => {
+    return kc.createWithdrawal({
+      symbol: 'NEO',
+      amount: 5,
+      address: 'AWcAwoXK6gbMUTojHMHEx8FgEfaVK9Hz5s'
+    }).then(() => kc.getDepositAndWithdrawalRecords({
+      symbol: 'NEO'
+    })).then((result) => {
+      assert.strictEqual(result.data.datas.length, 1)
+      assert.strictEqual(result.data.datas[0].type, 'WITHDRAW')
+      assert.strictEqual(result.data.datas[0].status, 'PENDING')
+      assert.strictEqual(server.accounts['mock-key'].balances.NEO.freeze, 5)
+    })
+  })
+
+  it('sends injected failures', () => {
+    server.injectFailure({
+      status: 503,
+      times: 1
+    })
+    return kc.getTicker({
+      pair: 'GAS-NEO'
+    }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.HttpError)
+      assert.strictEqual(err.statusCode, 503)
+      return kc.getTicker({
+        pair: 'GAS-NEO'
+      })
+    })
+  })
+
+})
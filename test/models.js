@@ -0,0 +1,49 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('Normalised responses', () => {
+
+  let server
+  let kc
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        normalize: true
+      })
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('turns responses into models and keeps the raw response', () => {
+    return kc.getTicker({ pair: 'GAS-NEO' }).then((ticker) => {
+      assert(ticker instanceof Kucoin.models.Ticker)
+      assert.strictEqual(ticker.pair, 'GAS-NEO')
+      assert.strictEqual(ticker.lastPrice, 0.627999)
+      assert.strictEqual(Kucoin.models.raw(ticker).success, true)
+    })
+  })
+
+  it('represents decimals as configured', () => {
+    kc.decimals = 'string'
+    return kc.getBalance({ symbol: 'NEO' }).then((balance) => {
+      assert.strictEqual(balance.coin, 'NEO')
+      assert.strictEqual(balance.available, '10.72040467')
+    })
+  })
+
+  it('does not invent a creation time for placed orders', () => {
+    return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 2 }).then((order) => {
+      assert(order.orderOid)
+      assert.strictEqual(order.price, 0.6)
+      assert.strictEqual(order.remainingAmount, 2)
+      assert.strictEqual(order.timestamp, undefined)
+    })
+  })
+
+})
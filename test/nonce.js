@@ -0,0 +1,54 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('NonceGenerator', () => {
+
+  it('never repeats a nonce within the same millisecond', () => {
+    let nonce = new Kucoin.NonceGenerator()
+    let nonces = []
+    for (let i = 0; i < 100; i++) {
+      nonces.push(nonce.next())
+    }
+    for (let i = 1; i < nonces.length; i++) {
+      assert(nonces[i] > nonces[i - 1])
+    }
+  })
+
+  it('applies the clock offset', () => {
+    let nonce = new Kucoin.NonceGenerator()
+    nonce.setOffset(60000)
+    assert(nonce.next() >= Date.now() + 59000)
+  })
+
+  it('signs concurrent requests with distinct nonces', () => {
+    let server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      let kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false
+      })
+      return Promise.all(['NEO', 'GAS', 'BTC', 'KCS'].map((symbol) => kc.getBalance({
+        symbol: symbol
+      })))
+    }).then((results) => {
+      assert.deepStrictEqual(results.map((result) => result.data.coinType), ['NEO', 'GAS', 'BTC', 'KCS'])
+    }).finally(() => server.close())
+  })
+
+  it('measures the server clock offset', () => {
+    let server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      let kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl
+      })
+      return kc.syncTime().then((offset) => {
+        assert(Math.abs(offset) < 1000)
+        assert.strictEqual(kc.timeOffset, offset)
+        assert.strictEqual(kc.nonceProvider.offset, offset)
+      })
+    }).finally(() => server.close())
+  })
+
+})
@@ -0,0 +1,76 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('OrderBook', () => {
+
+  let book
+
+  beforeEach(() => {
+    book = new Kucoin.OrderBook('GAS-NEO', {
+      SELL: [[0.63, 5, 3.15], [0.628, 2, 1.256], [0.64, 10, 6.4]],
+      BUY: [[0.6, 4, 2.4], [0.608, 1, 0.608]]
+    })
+  })
+
+  it('keeps bids highest first and asks lowest first', () => {
+    assert.deepStrictEqual(book.bestBid(), [0.608, 1])
+    assert.deepStrictEqual(book.bestAsk(), [0.628, 2])
+    assert.deepStrictEqual(book.depth(2).SELL, [[0.628, 2], [0.63, 5]])
+    assert(Math.abs(book.spread() - 0.02) < 1e-12)
+    assert(Math.abs(book.midPrice() - 0.618) < 1e-12)
+  })
+
+  it('applies updates and removes levels with an amount of 0', () => {
+    book.applyUpdate('BUY', 0.61, 3)
+    book.applyUpdate('SELL', 0.628, 0)
+    assert.deepStrictEqual(book.bestBid(), [0.61, 3])
+    assert.deepStrictEqual(book.bestAsk(), [0.63, 5])
+  })
+
+  it('ignores changes older than the book', () => {
+    book.applySnapshot({
+      SELL: [[0.628, 2]],
+      BUY: []
+    }, 10)
+    assert.strictEqual(book.applyChanges({
+      sequence: 9,
+      changes: {
+        SELL: [[0.628, 0]]
+      }
+    }), false)
+    assert.strictEqual(book.applyChanges({
+      sequence: 11,
+      changes: {
+        SELL: [[0.628, 1]]
+      }
+    }), true)
+    assert.deepStrictEqual(book.bestAsk(), [0.628, 1])
+    assert.strictEqual(book.bestBid(), null)
+    assert.strictEqual(book.spread(), null)
+  })
+
+  it('reports what changed between snapshots', () => {
+    let changes = book.applyDiff({
+      SELL: [[0.628, 2], [0.63, 6]],
+      BUY: [[0.608, 1]]
+    })
+    assert.deepStrictEqual(changes.SELL, [[0.64, 0], [0.63, 6]])
+    assert.deepStrictEqual(changes.BUY, [[0.6, 0]])
+    assert.deepStrictEqual(book.depth().SELL, [[0.628, 2], [0.63, 6]])
+  })
+
+  it('walks the book to price a fill', () => {
+    let fill = book.walk('BUY', 4)
+    assert.strictEqual(fill.amount, 4)
+    assert(Math.abs(fill.cost - (2 * 0.628 + 2 * 0.63)) < 1e-12)
+    assert.strictEqual(fill.worstPrice, 0.63)
+    assert.strictEqual(fill.complete, true)
+    assert.strictEqual(book.walk('SELL', 10).complete, false)
+    assert.strictEqual(book.vwap('SELL', 10), null)
+    assert(Math.abs(book.vwap('SELL', 3) - (0.608 + 2 * 0.6) / 3) < 1e-12)
+    assert.strictEqual(book.cumulativeVolume('SELL', 0.63), 7)
+  })
+
+})
@@ -0,0 +1,129 @@
+'use strict'
+
+const assert = require('assert')
+const Q = require('q')
+const Kucoin = require('..')
+
+describe('OrderManager', () => {
+
+  let server
+  let kc
+  let manager
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false
+      })
+      manager = new Kucoin.OrderManager(kc, {
+        pollInterval: 10
+      })
+    })
+  })
+
+  afterEach(() => {
+    manager.stop()
+    return server.close()
+  })
+
+  it('follows an order until it is filled', () => {
+    let events = []
+    manager.on('partiallyFilled', (order) => events.push(['partiallyFilled', order.dealtAmount]))
+    manager.on('filled', (order) => events.push(['filled', order.dealtAmount]))
+    return manager.submit({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 10 }).then((order) => {
+      server.fillOrder(order.orderOid, 4)
+      return manager.poll().then(() => {
+        server.fillOrder(order.orderOid, 6)
+        return manager.waitForFill(order.orderOid, { timeout: 1000 })
+      })
+    }).then((order) => {
+      assert.strictEqual(order.status, 'FILLED')
+      assert.strictEqual(order.averagePrice, 0.6)
+      assert.strictEqual(order.fills.length, 2)
+      assert.deepStrictEqual(events, [['partiallyFilled', 4], ['filled', 10]])
+    })
+  })
+
+  it('stops waiting for a fill once polls keep failing', () => {
+    let polls = 0
+    return manager.submit({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 10 }).then((order) => {
+      kc.getActiveOrders = () => {
+        polls++
+        return Q.reject(new Kucoin.AuthenticationError('Invalid API key'))
+      }
+      return manager.waitForFill(order.orderOid)
+    }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.AuthenticationError)
+      assert.strictEqual(polls, 3)
+      assert.strictEqual(manager._waiters.length, 0)
+    })
+  })
+
+  it('waits for late fills before considering an order cancelled', () => {
+    let cancelled = false
+    manager = new Kucoin.OrderManager(kc, {
+      pollInterval: 60000
+    })
+    manager.on('cancelled', () => {
+      cancelled = true
+    })
+    return manager.submit({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 10 }).then((order) => {
+      server.fillOrder(order.orderOid, 10)
+      let deals = server.accounts['mock-key'].deals.splice(0)
+      return manager.poll().then(() => manager.poll()).then(() => {
+        assert.strictEqual(order.status, 'OPEN')
+        assert.strictEqual(cancelled, false)
+        server.accounts['mock-key'].deals.push(...deals)
+        return manager.poll()
+      }).then(() => {
+        assert.strictEqual(order.status, 'FILLED')
+        assert.strictEqual(order.dealtAmount, 10)
+        assert.strictEqual(manager.orders[order.orderOid], undefined)
+      })
+    })
+  })
+
+  it('reports an order cancelled once it settled', () => {
+    return manager.submit({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 10 }).then((order) => {
+      server.fillOrder(order.orderOid, 3)
+      return manager.cancel(order.orderOid)
+    }).then((order) => {
+      assert.strictEqual(order.status, 'CANCELLED')
+      assert.strictEqual(order.dealtAmount, 3)
+    })
+  })
+
+  it('looks fills up from when a tracked order was placed', () => {
+    let placedAt = Date.now() - 3600000
+    manager = new Kucoin.OrderManager(kc, {
+      pollInterval: 10,
+      clockSkew: 0
+    })
+    return kc.createOrder({ pair: 'GAS-NEO', type: 'SELL', price: 0.7, amount: 5 }).then((result) => {
+      let orderOid = result.data.orderOid
+      server.fillOrder(orderOid, 5)
+      server.accounts['mock-key'].deals[0].createdAt = placedAt + 1000
+      let order = manager.track(orderOid, { pair: 'GAS-NEO', type: 'SELL', price: 0.7, amount: 5, createdAt: placedAt })
+      return manager.poll().then(() => {
+        assert.strictEqual(order.createdAt, placedAt)
+        assert.strictEqual(order.status, 'FILLED')
+        assert.strictEqual(order.fills.length, 1)
+      })
+    })
+  })
+
+  it('keeps polling after a failed poll when nothing listens for errors', () => {
+    return manager.submit({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 10 }).then((order) => {
+      server.injectFailure({ status: 503, times: 1 })
+      return Q.delay(50).then(() => {
+        server.fillOrder(order.orderOid, 10)
+        return manager.waitForFill(order.orderOid, { timeout: 1000 })
+      })
+    }).then((order) => {
+      assert.strictEqual(order.status, 'FILLED')
+    })
+  })
+
+})
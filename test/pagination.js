@@ -0,0 +1,75 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('Paging through history', () => {
+
+  let server
+  let kc
+  let requests
+
+  let collect = async (iterator, max) => {
+    let records = []
+    for await (let record of iterator) {
+      records.push(record)
+      if (records.length === max) {
+        break
+      }
+    }
+    return records
+  }
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl
+      })
+      requests = 0
+      let getDealtOrders = kc.getDealtOrders
+      kc.getDealtOrders = (params) => {
+        requests++
+        return getDealtOrders.call(kc, params)
+      }
+      for (let i = 1; i <= 5; i++) {
+        server.accounts['mock-key'].deals.unshift({
+          coinType: 'GAS',
+          coinTypePair: 'NEO',
+          createdAt: i * 1000,
+          amount: i,
+          dealPrice: 0.6,
+          dealValue: i * 0.6,
+          fee: 0,
+          direction: 'BUY',
+          dealDirection: 'BUY',
+          oid: 'deal' + i,
+          orderOid: 'order' + i
+        })
+      }
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('yields every record of every page, newest first', () => {
+    return collect(kc.iterateDealtOrders({ pair: 'GAS-NEO', limit: 2 })).then((fills) => {
+      assert.deepStrictEqual(fills.map((fill) => fill.oid), ['deal5', 'deal4', 'deal3', 'deal2', 'deal1'])
+      assert.strictEqual(requests, 3)
+    })
+  })
+
+  it('limits records to a time window', () => {
+    return collect(kc.iterateDealtOrders({ pair: 'GAS-NEO', limit: 2, since: 2000, until: 4000 })).then((fills) => {
+      assert.deepStrictEqual(fills.map((fill) => fill.oid), ['deal4', 'deal3', 'deal2'])
+    })
+  })
+
+  it('requests no more pages once the loop stops', () => {
+    return collect(kc.iterateDealtOrders({ pair: 'GAS-NEO', limit: 2 }), 2).then((fills) => {
+      assert.strictEqual(fills.length, 2)
+      assert.strictEqual(requests, 1)
+    })
+  })
+
+})
@@ -0,0 +1,72 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('Paper trading', () => {
+
+  let server
+  let kc
+
+  let dealt = (result) => result.data.datas.reduce((sum, deal) => sum + deal.amount, 0)
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false,
+        paper: {
+          balances: {
+            NEO: 10,
+            GAS: 5
+          },
+          baseFeeRate: 0
+        }
+      })
+      server.setOrderBook('GAS-NEO', {
+        SELL: [[0.628, 3], [0.65, 100]],
+        BUY: [[0.6, 100]]
+      })
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('fills orders against the book without sending them', () => {
+    return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.628, amount: 2 }).then(() => {
+      assert.strictEqual(Object.keys(server.accounts['mock-key'].orders).length, 0)
+      return kc.getBalance({ symbol: 'GAS' })
+    }).then((result) => {
+      assert.strictEqual(Number(result.data.balance), 7)
+      return kc.getBalance({ symbol: 'NEO' })
+    }).then((result) => {
+      assert(Math.abs(result.data.balance - (10 - 2 * 0.628)) < 1e-9)
+    })
+  })
+
+  it('takes filled amounts off the book until it changes', () => {
+    let order = { pair: 'GAS-NEO', type: 'BUY', price: 0.628, amount: 2 }
+    return kc.createOrder(order)
+      .then(() => kc.createOrder(order))
+      .then(() => kc.getDealtOrders({ pair: 'GAS-NEO' }))
+      .then((result) => {
+        assert.strictEqual(dealt(result), 3)
+        return kc.getActiveOrders({ pair: 'GAS-NEO' })
+      })
+      .then((result) => {
+        assert.strictEqual(result.data.BUY.length, 1)
+        assert.strictEqual(result.data.BUY[0][4], 1)
+        server.setOrderBook('GAS-NEO', {
+          SELL: [[0.628, 4], [0.65, 100]],
+          BUY: [[0.6, 100]]
+        })
+        return kc.createOrder(order)
+      })
+      .then(() => kc.getDealtOrders({ pair: 'GAS-NEO' }))
+      .then((result) => {
+        assert.strictEqual(dealt(result), 5)
+      })
+  })
+
+})
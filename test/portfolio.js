@@ -0,0 +1,63 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('Portfolio', () => {
+
+  let server
+  let kc
+
+  let close = (a, b) => assert(Math.abs(a - b) < 1e-9, a + ' is not ' + b)
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer({
+      accounts: [{
+        apiKey: 'mock-key',
+        apiSecret: 'mock-secret',
+        balances: {
+          NEO: 2,
+          GAS: 10
+        }
+      }]
+    })
+    return server.listen().then((baseUrl) => {
+      kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: false
+      })
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('values balances in a fiat currency from the exchange rates', () => {
+    return new Kucoin.Portfolio(kc, { currency: 'USD' }).value().then((valuation) => {
+      close(valuation.total, 2 * 25.27 + 10 * 14.54)
+      assert.deepStrictEqual(valuation.holdings.map((holding) => holding.coin), ['GAS', 'NEO'])
+      close(valuation.holdings[0].allocation, 145.4 / valuation.total)
+      assert.deepStrictEqual(valuation.unpriced, [])
+    })
+  })
+
+  it('values balances in a coin from the last prices', () => {
+    return new Kucoin.Portfolio(kc, { currency: 'NEO' }).value().then((valuation) => {
+      close(valuation.total, 2 + 10 * 0.627999)
+    })
+  })
+
+  it('reports how the value changed between snapshots', () => {
+    let portfolio = new Kucoin.Portfolio(kc, { currency: 'USD' })
+    return portfolio.snapshot().then(() => {
+      server.setBalance('mock-key', 'GAS', 20)
+      return portfolio.snapshot()
+    }).then(() => {
+      let change = portfolio.change()
+      close(change.change, 10 * 14.54)
+      close(change.changeRate, 145.4 / 195.94)
+      let gas = change.coins.filter((coin) => coin.coin === 'GAS')[0]
+      assert.strictEqual(gas.amountChange, 10)
+    })
+  })
+
+})
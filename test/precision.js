@@ -0,0 +1,113 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('Order precision', () => {
+
+  let server
+  let baseUrl
+  let warnings
+  let emitWarning = process.emitWarning
+
+  let client = (options) => new Kucoin('mock-key', 'mock-secret', Object.assign({
+    baseUrl: baseUrl
+  }, options))
+
+  let sent = () => {
+    let orders = server.accounts['mock-key'].orders
+    return orders[Object.keys(orders).pop()]
+  }
+
+  beforeEach(() => {
+    warnings = []
+    process.emitWarning = (warning) => warnings.push(warning)
+    server = new Kucoin.MockServer()
+    return server.listen().then((url) => {
+      baseUrl = url
+    })
+  })
+
+  afterEach(() => {
+    process.emitWarning = emitWarning
+    return server.close()
+  })
+
+  it('takes the amount precision from the coin and the price precision from the options', () => {
+    let kc = client({
+      metadata: {
+        pricePrecisions: {
+          'GAS-NEO': 6
+        }
+      }
+    })
+    return kc.getPairPrecision('GAS-NEO').then((precision) => {
+      assert.deepStrictEqual(precision, { price: 6, amount: 4 })
+      return kc.getPairPrecision('NEO-BTC')
+    }).then((precision) => {
+      assert.deepStrictEqual(precision, { price: null, amount: 0 })
+      assert.strictEqual(warnings.length, 1)
+      assert(/price precision of NEO-BTC/.test(warnings[0]))
+    })
+  })
+
+  it('rounds amounts down and prices towards the better side', () => {
+    let kc = client({
+      orderPrecision: 'round',
+      metadata: {
+        pricePrecisions: {
+          'GAS-NEO': 6
+        }
+      }
+    })
+    return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: '0.6080049', amount: 1.23456 }).then(() => {
+      assert.strictEqual(sent().price, 0.608004)
+      assert.strictEqual(sent().amount, 1.2345)
+      return kc.createOrder({ pair: 'GAS-NEO', type: 'SELL', price: '0.6380041', amount: 1 })
+    }).then(() => {
+      assert.strictEqual(sent().price, 0.638005)
+    })
+  })
+
+  it('sends a field of unknown precision as it is, with a warning once per pair', () => {
+    let kc = client({
+      orderPrecision: 'round'
+    })
+    let order = () => kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: '0.6080049', amount: 1.23456 })
+    return order().then(order).then(() => {
+      kc.metadata.stop()
+      kc.metadata.start()
+      kc.metadata.stop()
+      return order()
+    }).then(() => {
+      assert.strictEqual(sent().price, 0.6080049)
+      assert.strictEqual(sent().amount, 1.2345)
+      assert.strictEqual(warnings.length, 1)
+    })
+  })
+
+  it('rejects an unknown precision when configured to', () => {
+    let kc = client({
+      orderPrecision: 'round',
+      metadata: {
+        unknown: 'reject'
+      }
+    })
+    return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.ValidationError)
+      assert(/price precision of GAS-NEO/.test(err.message))
+      assert.strictEqual(Object.keys(server.accounts['mock-key'].orders).length, 0)
+    })
+  })
+
+  it('rejects too many decimal places in strict mode', () => {
+    let kc = client({
+      orderPrecision: 'strict'
+    })
+    return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1.23456 }).then(() => assert.fail('Resolved'), (err) => {
+      assert(err instanceof Kucoin.ValidationError)
+      assert.strictEqual(err.message, 'The amount 1.23456 has more than 4 decimal places for GAS-NEO')
+    })
+  })
+
+})
@@ -0,0 +1,114 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('RetryPolicy', () => {
+
+  it('retries GET requests failing with a retryable status', () => {
+    let policy = new Kucoin.RetryPolicy()
+    let err = new Kucoin.HttpError('Unavailable', {
+      statusCode: 503
+    })
+    assert.strictEqual(policy.shouldRetry('get', err, 1), true)
+    assert.strictEqual(policy.shouldRetry('get', err, 3), false)
+    assert.strictEqual(policy.shouldRetry('post', err, 1), false)
+    assert.strictEqual(policy.shouldRetry('get', new Kucoin.ValidationError('Bad', {
+      statusCode: 400
+    }), 1), false)
+  })
+
+  it('backs off exponentially and respects Retry-After', () => {
+    let policy = new Kucoin.RetryPolicy({
+      baseDelay: 100,
+      maxDelay: 5000,
+      jitter: 0
+    })
+    assert.strictEqual(policy.delay(1), 100)
+    assert.strictEqual(policy.delay(3), 400)
+    assert.strictEqual(policy.delay(10), 5000)
+    assert.strictEqual(policy.delay(1, {
+      headers: {
+        'retry-after': '2'
+      }
+    }), 2000)
+  })
+
+  it('sends failed GET requests again', () => {
+    let server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      let kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: {
+          baseDelay: 1
+        }
+      })
+      server.injectFailure({
+        status: 503,
+        times: 2
+      })
+      return kc.getTicker({
+        pair: 'GAS-NEO'
+      })
+    }).then((result) => {
+      assert.strictEqual(result.data.symbol, 'GAS-NEO')
+    }).finally(() => server.close())
+  })
+
+  it('does not send failed POST requests again', () => {
+    let server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      let kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: baseUrl,
+        retry: {
+          baseDelay: 1
+        }
+      })
+      server.injectFailure({
+        status: 503,
+        times: 1
+      })
+      return kc.createOrder({
+        pair: 'GAS-NEO',
+        type: 'SELL',
+        price: 0.7,
+        amount: 1
+      }).then(() => assert.fail('Resolved'), (err) => {
+        assert.strictEqual(err.statusCode, 503)
+        assert.deepStrictEqual(server.accounts['mock-key'].orders, {})
+      })
+    }).finally(() => server.close())
+  })
+
+})
+
+describe('RateLimiter', () => {
+
+  it('lets a burst through and then spaces requests at the refill rate', () => {
+    let limiter = new Kucoin.RateLimiter({
+      capacity: 2,
+      refillRate: 20
+    })
+    let started = Date.now()
+    let times = []
+    let requests = [1, 2, 3, 4].map(() => limiter.acquire().then(() => times.push(Date.now() - started)))
+    assert.strictEqual(limiter.pending(), 2)
+    return Promise.all(requests).then(() => {
+      assert(times[1] < 30)
+      assert(times[3] >= 90)
+    })
+  })
+
+  it('holds every request back while paused', () => {
+    let limiter = new Kucoin.RateLimiter({
+      capacity: 5,
+      refillRate: 100
+    })
+    limiter.pause(100)
+    let started = Date.now()
+    return limiter.acquire().then(() => {
+      assert(Date.now() - started >= 90)
+    })
+  })
+
+})
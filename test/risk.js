@@ -0,0 +1,134 @@
+'use strict'
+
+const assert = require('assert')
+const Q = require('q')
+const Kucoin = require('..')
+
+describe('RiskControls', () => {
+
+  let server
+  let baseUrl
+
+  let client = (risk) => {
+    let kc = new Kucoin('mock-key', 'mock-secret', {
+      baseUrl: baseUrl,
+      retry: false,
+      risk: risk
+    })
+    kc.metadata.pricePrecisions['GAS-NEO'] = 6
+    return kc
+  }
+
+  let refused = (promise, code) => promise.then(() => assert.fail('Resolved'), (err) => {
+    assert(err instanceof Kucoin.RiskLimitError, err.message)
+    assert.strictEqual(err.code, code)
+  })
+
+  let orders = () => Object.keys(server.accounts['mock-key'].orders)
+    .map((oid) => server.accounts['mock-key'].orders[oid])
+    .filter((order) => order.status === 'OPEN')
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer({
+      accounts: [{
+        apiKey: 'mock-key',
+        apiSecret: 'mock-secret',
+        balances: {
+          NEO: 100,
+          GAS: 10
+        }
+      }]
+    })
+    return server.listen().then((url) => {
+      baseUrl = url
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('refuses orders priced too far from the last price', () => {
+    let rejected = []
+    let kc = client({ priceBand: 0.05 })
+    kc.risk.on('rejected', (entry) => rejected.push(entry))
+    return refused(kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.7, amount: 1 }), 'PRICE_BAND').then(() => {
+      assert.strictEqual(rejected.length, 1)
+      assert.strictEqual(rejected[0].pair, 'GAS-NEO')
+      return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.62, amount: 1 })
+    }).then(() => {
+      assert.strictEqual(orders().length, 1)
+    })
+  })
+
+  it('refuses orders worth more than the limit of their pair or quote coin', () => {
+    let kc = client({ maxOrderValue: { NEO: 10, 'GAS-NEO': 3 } })
+    return refused(kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 6 }), 'ORDER_VALUE').then(() => {
+      return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 5 })
+    })
+  })
+
+  it('counts orders placed at the same time against the open order limits', () => {
+    let kc = client({ maxOpenOrders: 2, maxPairValue: 10 })
+    return kc.createOrder({ pair: 'GAS-NEO', type: 'SELL', price: 0.7, amount: 1 }).then(() => {
+      return Q.allSettled([
+        kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 }),
+        kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 })
+      ])
+    }).then((results) => {
+      assert.strictEqual(results[0].state, 'fulfilled')
+      assert.strictEqual(results[1].reason.code, 'OPEN_ORDERS')
+      assert.strictEqual(orders().length, 2)
+    })
+  })
+
+  it('counts an order placed while another check was reading the open orders', () => {
+    let kc = client({ maxOpenOrders: 1 })
+    let getActiveOrders = kc.getActiveOrders
+    let calls = 0
+    kc.getActiveOrders = (params) => {
+      let result = getActiveOrders.call(kc, params)
+      return (++calls === 2 ? result.delay(100) : result)
+    }
+    return Q.allSettled([
+      kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 }),
+      kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 })
+    ]).then((results) => {
+      assert.strictEqual(results[0].state, 'fulfilled')
+      assert.strictEqual(results[1].reason.code, 'OPEN_ORDERS')
+      assert.strictEqual(orders().length, 1)
+      assert.strictEqual(kc.risk._pending.length, 0)
+    })
+  })
+
+  it('refuses buys that would make too large a position', () => {
+    let kc = client({ maxPosition: { GAS: 15 } })
+    return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 3 }).then(() => {
+      return refused(kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 3 }), 'POSITION')
+    }).then(() => {
+      return kc.createOrder({ pair: 'GAS-NEO', type: 'SELL', price: 0.7, amount: 3 })
+    })
+  })
+
+  it('cancels open orders and refuses new ones until resumed', () => {
+    let kc = client({ pairs: ['GAS-NEO'] })
+    return Q.all([
+      kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 }),
+      kc.createOrder({ pair: 'GAS-NEO', type: 'SELL', price: 0.7, amount: 1 })
+    ]).then(() => kc.risk.halt('Feed stalled')).then((result) => {
+      assert.strictEqual(result.cancelled, 2)
+      assert.deepStrictEqual(result.errors, {})
+      assert.strictEqual(orders().length, 0)
+      return refused(kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 }), 'HALTED')
+    }).then(() => {
+      kc.risk.resume()
+      return kc.createOrder({ pair: 'GAS-NEO', type: 'BUY', price: 0.6, amount: 1 })
+    }).then(() => {
+      assert.strictEqual(orders().length, 1)
+    })
+  })
+
+  it('refuses invalid orders', () => {
+    let kc = client({})
+    return refused(kc.risk.place({ pair: 'GAS-NEO', type: 'HOLD', price: 0.6, amount: 1 }, () => assert.fail('Sent')), 'INVALID_ORDER')
+  })
+
+})
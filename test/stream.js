@@ -0,0 +1,76 @@
+'use strict'
+
+const assert = require('assert')
+const Kucoin = require('..')
+
+describe('MarketStream', () => {
+  let server
+  let stream
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer()
+    return server.listen().then((baseUrl) => {
+      stream = new Kucoin.MarketStream({
+        url: baseUrl.replace('http', 'ws') + '/endpoint',
+        reconnectDelay: 10
+      })
+      return stream.connect()
+    })
+  })
+
+  afterEach(() => {
+    stream.close()
+    return server.close()
+  })
+
+  it('emits messages of subscribed channels with their pair', () => {
+    let received = new Promise((resolve) => stream.once('ticker', (ticker, pair) => resolve([ticker, pair])))
+    return stream.subscribe('ticker', 'GAS-NEO').then(() => {
+      server.publish('/market/ticker:GAS-NEO', {
+        lastDealPrice: 0.63
+      })
+      return received
+    }).then((message) => {
+      assert.deepStrictEqual(message, [{
+        lastDealPrice: 0.63
+      }, 'GAS-NEO'])
+    })
+  })
+
+  it('publishes fills to the trade channel', () => {
+    let received = new Promise((resolve) => stream.once('trade', (trade) => resolve(trade)))
+    return stream.subscribe('trade', 'GAS-NEO').then(() => {
+      let kc = new Kucoin('mock-key', 'mock-secret', {
+        baseUrl: server.url
+      })
+      return kc.createOrder({
+        pair: 'GAS-NEO',
+        type: 'BUY',
+        price: 0.628,
+        amount: 1
+      })
+    }).then(() => received).then((trade) => {
+      assert.strictEqual(trade[1], 'BUY')
+      assert.strictEqual(trade[2], 0.628)
+      assert.strictEqual(trade[3], 1)
+    })
+  })
+
+  it('reconnects and restores subscriptions', () => {
+    let reconnected = new Promise((resolve) => stream.once('open', resolve))
+    return stream.subscribe('ticker', 'GAS-NEO').then(() => {
+      server.dropConnections()
+      return reconnected
+    }).then(() => {
+      let received = new Promise((resolve) => stream.once('ticker', (ticker) => resolve(ticker)))
+      let publish = setInterval(() => server.publish('/market/ticker:GAS-NEO', {
+        lastDealPrice: 0.64
+      }), 10)
+      return received.then((ticker) => {
+        clearInterval(publish)
+        assert.strictEqual(ticker.lastDealPrice, 0.64)
+      })
+    })
+  })
+
+})
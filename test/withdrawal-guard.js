@@ -0,0 +1,140 @@
+'use strict'
+
+const assert = require('assert')
+const Q = require('q')
+const Kucoin = require('..')
+
+describe('WithdrawalGuard', () => {
+
+  let address = 'AWcAwoXK6gbMUTojHMHEx8FgEfaVK9Hz5s'
+  let server
+  let baseUrl
+
+  let client = (guard) => new Kucoin('mock-key', 'mock-secret', {
+    baseUrl: baseUrl,
+    retry: false,
+    withdrawalGuard: guard
+  })
+
+  let blocked = (promise, code) => promise.then(() => assert.fail('Resolved'), (err) => {
+    assert(err instanceof Kucoin.WithdrawalBlockedError, err.message)
+    assert.strictEqual(err.code, code)
+  })
+
+  let withdrawals = () => server.accounts['mock-key'].records.filter((record) => record.type === 'WITHDRAW')
+
+  beforeEach(() => {
+    server = new Kucoin.MockServer({
+      accounts: [{
+        apiKey: 'mock-key',
+        apiSecret: 'mock-secret',
+        balances: {
+          NEO: 20
+        }
+      }]
+    })
+    return server.listen().then((url) => {
+      baseUrl = url
+    })
+  })
+
+  afterEach(() => server.close())
+
+  it('sends withdrawals to allowed addresses only', () => {
+    let kc = client({ allowlist: { NEO: [address] } })
+    return kc.createWithdrawal({ symbol: 'NEO', amount: 2, address: address }).then(() => {
+      assert.strictEqual(withdrawals().length, 1)
+      return blocked(kc.createWithdrawal({ symbol: 'NEO', amount: 2, address: 'AKkkumHbBipZ46UMZJoFynJMXzSRnBvKcs' }), 'ADDRESS_NOT_ALLOWED')
+    }).then(() => {
+      return blocked(kc.createWithdrawal({ symbol: 'GAS', amount: 2, address: address }), 'ADDRESS_NOT_ALLOWED')
+    }).then(() => {
+      return blocked(kc.createWithdrawal({ symbol: 'NEO', amount: 2, address: 'not-an-address' }), 'ADDRESS_FORMAT')
+    }).then(() => {
+      assert.strictEqual(withdrawals().length, 1)
+    })
+  })
+
+  it('limits the amount per withdrawal and per day, counting withdrawals made at the same time', () => {
+    let kc = client({ maxAmount: { NEO: 5 }, dailyLimit: { NEO: 8 } })
+    return blocked(kc.createWithdrawal({ symbol: 'NEO', amount: 6, address: address }), 'AMOUNT_LIMIT').then(() => {
+      return Q.allSettled([
+        kc.createWithdrawal({ symbol: 'NEO', amount: 5, address: address }),
+        kc.createWithdrawal({ symbol: 'NEO', amount: 5, address: address })
+      ])
+    }).then((results) => {
+      assert.deepStrictEqual(results.map((result) => result.state).sort(), ['fulfilled', 'rejected'])
+      assert.strictEqual(results.filter((result) => result.state === 'rejected')[0].reason.code, 'DAILY_LIMIT')
+      assert.strictEqual(kc.withdrawalGuard.withdrawnToday('NEO'), 5)
+    })
+  })
+
+  it('keeps the reserve in the account', () => {
+    let kc = client({ reserve: { NEO: 15 } })
+    return blocked(kc.createWithdrawal({ symbol: 'NEO', amount: 6, address: address }), 'RESERVE').then(() => {
+      return kc.createWithdrawal({ symbol: 'NEO', amount: 5, address: address })
+    }).then(() => {
+      assert.strictEqual(withdrawals().length, 1)
+    })
+  })
+
+  it('counts a withdrawal sent while another reserve check was reading the balance', () => {
+    let second
+    let kc = client({
+      reserve: { NEO: 12 },
+      approve: () => {
+        if (!second) {
+          second = kc.createWithdrawal({ symbol: 'NEO', amount: 5, address: address })
+          return Q.delay(20).then(() => true)
+        }
+        return true
+      }
+    })
+    let getBalance = kc.getBalance
+    let calls = 0
+    kc.getBalance = (params) => {
+      let result = getBalance.call(kc, params)
+      return (++calls === 2 ? result.delay(100) : result)
+    }
+    return kc.createWithdrawal({ symbol: 'NEO', amount: 5, address: address }).then(() => {
+      return blocked(second, 'RESERVE')
+    }).then(() => {
+      assert.strictEqual(withdrawals().length, 1)
+      assert.strictEqual(kc.withdrawalGuard._pending.length, 0)
+    })
+  })
+
+  it('sends a withdrawal only once approved and audits those blocked', () => {
+    let audited = []
+    let approvals = [false, true]
+    let kc = client({
+      approve: () => approvals.shift(),
+      audit: (entry) => audited.push(entry)
+    })
+    return blocked(kc.createWithdrawal({ symbol: 'NEO', amount: 2, address: address }), 'NOT_APPROVED').then(() => {
+      assert.strictEqual(audited.length, 1)
+      assert.strictEqual(audited[0].code, 'NOT_APPROVED')
+      assert.strictEqual(withdrawals().length, 0)
+      return kc.createWithdrawal({ symbol: 'NEO', amount: 2, address: address })
+    }).then(() => {
+      assert.strictEqual(withdrawals().length, 1)
+    })
+  })
+
+  it('sends the withdrawal when it cannot be saved, emitting the error only to listeners', () => {
+    let store = {
+      load: () => Q([]),
+      save: () => Q.reject(new Error('Disk full'))
+    }
+    let kc = client({ store: store })
+    return kc.createWithdrawal({ symbol: 'NEO', amount: 2, address: address }).then(() => {
+      let saveErrors = []
+      kc.withdrawalGuard.on('error', (err) => saveErrors.push(err))
+      return kc.createWithdrawal({ symbol: 'NEO', amount: 2, address: address }).then(() => {
+        assert.strictEqual(saveErrors.length, 1)
+        assert.strictEqual(saveErrors[0].message, 'Disk full')
+        assert.strictEqual(withdrawals().length, 2)
+      })
+    })
+  })
+
+})